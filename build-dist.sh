@@ -42,6 +42,7 @@ echo "[2/6] Creating directory structure..."
 mkdir -p "$EXTENSION_DIR/CSXS"
 mkdir -p "$EXTENSION_DIR/js"
 mkdir -p "$EXTENSION_DIR/jsx"
+mkdir -p "$EXTENSION_DIR/mogrt"
 
 # Step 3: Copy extension files
 echo "[3/6] Copying extension files..."
@@ -51,6 +52,7 @@ cp "$SCRIPT_DIR/CSXS/manifest.xml" "$EXTENSION_DIR/CSXS/"
 cp "$SCRIPT_DIR/js/main.js" "$EXTENSION_DIR/js/"
 cp "$SCRIPT_DIR/js/CSInterface.js" "$EXTENSION_DIR/js/"
 cp "$SCRIPT_DIR/jsx/hostscript.jsx" "$EXTENSION_DIR/jsx/"
+cp "$SCRIPT_DIR"/mogrt/* "$EXTENSION_DIR/mogrt/"
 
 # Step 4: Copy installer scripts and documentation
 echo "[4/6] Copying installer scripts..."
@@ -78,6 +78,7 @@ copy "%SOURCE_DIR%\.debug" "%INSTALL_PATH%\" >nul 2>&1
 xcopy "%SOURCE_DIR%\CSXS" "%INSTALL_PATH%\CSXS\" /E /I /Q >nul 2>&1
 xcopy "%SOURCE_DIR%\js" "%INSTALL_PATH%\js\" /E /I /Q >nul 2>&1
 xcopy "%SOURCE_DIR%\jsx" "%INSTALL_PATH%\jsx\" /E /I /Q >nul 2>&1
+xcopy "%SOURCE_DIR%\mogrt" "%INSTALL_PATH%\mogrt\" /E /I /Q >nul 2>&1
 
 :: Enable debug mode in registry (required for unsigned extensions)
 echo.
@@ -27,6 +27,97 @@ var settingsContent = null;
 var variationSlider = null;
 var variationValue = null;
 var variationDisplay = null;
+var timingModeEl = null;
+var timingPreviewEl = null;
+var timingModeLabel = null;
+var timingSummaryEl = null;
+var timingListEl = null;
+var previewWarningsEl = null;
+var preflightReportEl = null;
+var preflightListEl = null;
+var preflightAckEl = null;
+var preflightAckRow = null;
+var preflightReport = null;
+var preflightSignature = '';
+var preflightPending = false;
+var seedInput = null;
+var rerollBtn = null;
+var pacingEl = null;
+var pacingCanvas = null;
+var timingBarsEl = null;
+var snapToPausesEl = null;
+var pauseToleranceEl = null;
+var pauseToleranceValue = null;
+var minImageDurationEl = null;
+var maxImageDurationEl = null;
+var imageOrderEl = null;
+var tooManyImagesEl = null;
+var tooFewImagesEl = null;
+var maxVideoDurationEl = null;
+var scalingEl = null;
+var blurBackgroundEl = null;
+var blurAmountEl = null;
+var transitionEl = null;
+var transitionFramesEl = null;
+var kenBurnsEl = null;
+var kenBurnsIntensityEl = null;
+var overlaysEl = null;
+var imageMarkersEl = null;
+var chapterSourceEl = null;
+var youtubeChaptersEl = null;
+var musicLevelEl = null;
+var musicLevelValue = null;
+var musicDuckingEl = null;
+var musicDuckingValue = null;
+var musicFadeOutEl = null;
+var introDurationEl = null;
+var outroDurationEl = null;
+var brandingFolderNameEl = null;
+var clearBrandingBtn = null;
+var brandingFolderPath = '';
+var sequenceModeEl = null;
+var sequenceWidthEl = null;
+var sequenceHeightEl = null;
+var sequenceVideoTracksEl = null;
+var sequenceAudioTracksEl = null;
+var sequenceNameEl = null;
+var sequencePresetNameEl = null;
+var sequencePresetPath = '';
+var timingErrorShown = false;
+var layoutProfileEl = null;
+var previewLayoutEl = null;
+var editProfileBtn = null;
+var newProfileBtn = null;
+var deleteProfileBtn = null;
+var profileEditorEl = null;
+var profileFields = {};
+
+// Folder layout profiles (loaded from the host)
+var PROFILE_FIELDS = ['name', 'imagesFolder', 'voiceoversFolder', 'subtitlesFolder', 'musicFolder', 'imageExtensions',
+                      'videoExtensions', 'audioExtensions', 'subtitleExtensions', 'voiceSelection', 'voiceName',
+                      'subtitleSelection', 'subtitleName'];
+var layoutProfiles = [];
+var builtInProfileName = 'Standard';
+var editingProfileName = null;    // Name of the profile being edited, '' for a new one
+
+// Voiceover analysis (silence detection)
+var SILENCE_THRESHOLD_DB = -40;   // Window RMS below this counts as silence
+var MIN_PAUSE_SECONDS = 0.2;      // Shorter gaps are breaths inside words/phrases
+var ANALYSIS_WINDOW_SECONDS = 0.01;
+var voiceAnalysis = null;         // {path, parts, durations} for the current folder
+
+// Custom pacing curve: evenly spaced points, 0 = fastest, 1 = slowest
+var PACING_POINTS = 8;
+var customPacingCurve = [0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5];
+var pacingDragging = false;
+
+// Display names for timing modes returned by the host
+var TIMING_MODE_LABELS = {
+    even: 'Even split',
+    srt: 'Subtitle cues',
+    freeze: 'Freeze last image',
+    mixed: 'Per voice part'
+};
 
 // Export section DOM elements
 var exportHeader = null;
@@ -35,6 +126,35 @@ var exportList = null;
 var exportCount = null;
 var refreshListBtn = null;
 var exportAllBtn = null;
+var batchHeader = null;
+var batchContent = null;
+var batchList = null;
+var batchCount = null;
+var batchRunBtn = null;
+var batchStopBtn = null;
+var jobFileBtn = null;
+var batchRows = [];
+var batchTemplateId = null;
+var batchStopRequested = false;
+var watchHeader = null;
+var watchContent = null;
+var watchLogEl = null;
+var watchToggleBtn = null;
+var watchFolderPath = '';
+var watchTemplateId = '';
+var watchActive = false;
+var watchBusy = false;
+var watchTimer = null;
+var watchFolders = {};
+var watchLog = [];
+var watchScanFailures = 0;
+
+// Watch folder polling, failed scans in a row before watching stops, and log length
+var WATCH_POLL_INTERVAL = 5000;
+var WATCH_MAX_SCAN_FAILURES = 12;
+var WATCH_LOG_LIMIT = 100;
+var exportSubtitleModeEl = null;
+var exportSubtitleLanguageEl = null;
 
 /**
  * Initialize the extension when DOM is ready
@@ -60,10 +180,77 @@ document.addEventListener('DOMContentLoaded', function() {
     variationSlider = document.getElementById('variationSlider');
     variationValue = document.getElementById('variationValue');
     variationDisplay = document.getElementById('variationDisplay');
+    timingModeEl = document.getElementById('timingMode');
+    timingPreviewEl = document.getElementById('timingPreview');
+    timingModeLabel = document.getElementById('timingModeLabel');
+    timingSummaryEl = document.getElementById('timingSummary');
+    timingListEl = document.getElementById('timingList');
+    previewWarningsEl = document.getElementById('previewWarnings');
+    preflightReportEl = document.getElementById('preflightReport');
+    preflightListEl = document.getElementById('preflightList');
+    preflightAckEl = document.getElementById('preflightAck');
+    preflightAckRow = document.getElementById('preflightAckRow');
+    seedInput = document.getElementById('seedInput');
+    rerollBtn = document.getElementById('rerollBtn');
+    pacingEl = document.getElementById('pacing');
+    pacingCanvas = document.getElementById('pacingCurve');
+    timingBarsEl = document.getElementById('timingBars');
+    snapToPausesEl = document.getElementById('snapToPauses');
+    pauseToleranceEl = document.getElementById('pauseTolerance');
+    pauseToleranceValue = document.getElementById('pauseToleranceValue');
+    minImageDurationEl = document.getElementById('minImageDuration');
+    maxImageDurationEl = document.getElementById('maxImageDuration');
+    imageOrderEl = document.getElementById('imageOrder');
+    tooManyImagesEl = document.getElementById('tooManyImages');
+    tooFewImagesEl = document.getElementById('tooFewImages');
+    maxVideoDurationEl = document.getElementById('maxVideoDuration');
+    scalingEl = document.getElementById('scaling');
+    blurBackgroundEl = document.getElementById('blurBackground');
+    blurAmountEl = document.getElementById('blurAmount');
+    transitionEl = document.getElementById('transition');
+    transitionFramesEl = document.getElementById('transitionFrames');
+    kenBurnsEl = document.getElementById('kenBurns');
+    kenBurnsIntensityEl = document.getElementById('kenBurnsIntensity');
+    overlaysEl = document.getElementById('overlays');
+    imageMarkersEl = document.getElementById('imageMarkers');
+    chapterSourceEl = document.getElementById('chapterSource');
+    youtubeChaptersEl = document.getElementById('youtubeChapters');
+    musicLevelEl = document.getElementById('musicLevel');
+    musicLevelValue = document.getElementById('musicLevelValue');
+    musicDuckingEl = document.getElementById('musicDucking');
+    musicDuckingValue = document.getElementById('musicDuckingValue');
+    musicFadeOutEl = document.getElementById('musicFadeOut');
+    introDurationEl = document.getElementById('introDuration');
+    outroDurationEl = document.getElementById('outroDuration');
+    brandingFolderNameEl = document.getElementById('brandingFolderName');
+    clearBrandingBtn = document.getElementById('clearBrandingBtn');
+    sequenceModeEl = document.getElementById('sequenceMode');
+    sequenceWidthEl = document.getElementById('sequenceWidth');
+    sequenceHeightEl = document.getElementById('sequenceHeight');
+    sequenceVideoTracksEl = document.getElementById('sequenceVideoTracks');
+    sequenceAudioTracksEl = document.getElementById('sequenceAudioTracks');
+    sequenceNameEl = document.getElementById('sequenceName');
+    sequencePresetNameEl = document.getElementById('sequencePresetName');
+    layoutProfileEl = document.getElementById('layoutProfile');
+    previewLayoutEl = document.getElementById('previewLayout');
+    editProfileBtn = document.getElementById('editProfileBtn');
+    newProfileBtn = document.getElementById('newProfileBtn');
+    deleteProfileBtn = document.getElementById('deleteProfileBtn');
+    profileEditorEl = document.getElementById('profileEditor');
+    for (var f = 0; f < PROFILE_FIELDS.length; f++) {
+        var field = PROFILE_FIELDS[f];
+        profileFields[field] = document.getElementById('profile' + field.charAt(0).toUpperCase() + field.slice(1));
+    }
 
     // Attach event listeners
     selectFolderBtn.addEventListener('click', selectFolderHandler);
     createBtn.addEventListener('click', createSlideshowHandler);
+    preflightAckEl.addEventListener('change', function() {
+        updateCreateButton();
+        if (previewInfo && previewInfo.voiceDuration && !timingErrorShown) {
+            showReadyStatus();
+        }
+    });
 
     // Help tooltip toggle
     helpIcon.addEventListener('click', function(e) {
@@ -85,6 +272,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Update frame rate display when changed
     frameRateEl.addEventListener('change', function() {
         frameRateDisplay.innerHTML = '<strong>' + this.value + '</strong> fps';
+        refreshTimingPreview();
     });
 
     // Duration variation slider
@@ -94,6 +282,164 @@ document.addEventListener('DOMContentLoaded', function() {
         variationDisplay.innerHTML = '<strong>±' + val + '</strong>s';
         // Update preview if we have duration info
         updatePreviewWithVariation();
+        refreshTimingPreview();
+    });
+
+    // Seed for the randomized durations (typed in to rebuild an approved cut)
+    seedInput.value = generateSeed();
+    seedInput.addEventListener('change', function() {
+        var seed = parseInt(this.value.replace(/[^0-9]/g, ''), 10);
+        this.value = (seed > 0 && seed < 2147483647) ? seed : generateSeed();
+        refreshTimingPreview();
+    });
+
+    rerollBtn.addEventListener('click', function() {
+        seedInput.value = generateSeed();
+        refreshTimingPreview();
+    });
+
+    // Pacing curve picker (drawable when "custom" is selected)
+    pacingEl.addEventListener('change', function() {
+        drawPacingCurve();
+        refreshTimingPreview();
+    });
+
+    pacingCanvas.addEventListener('mousedown', function(e) {
+        if (pacingEl.value !== 'custom') return;
+        pacingDragging = true;
+        editPacingCurve(e);
+    });
+
+    pacingCanvas.addEventListener('mousemove', function(e) {
+        if (pacingDragging) {
+            editPacingCurve(e);
+        }
+    });
+
+    document.addEventListener('mouseup', function() {
+        if (pacingDragging) {
+            pacingDragging = false;
+            refreshTimingPreview();
+        }
+    });
+
+    drawPacingCurve();
+
+    // Image order (shuffle follows the seed, so re-roll also reshuffles)
+    imageOrderEl.addEventListener('change', refreshTimingPreview);
+
+    // Image count policies (too many / too few images for the voice)
+    var policyControls = [minImageDurationEl, maxImageDurationEl, tooManyImagesEl, tooFewImagesEl, maxVideoDurationEl];
+    for (var p = 0; p < policyControls.length; p++) {
+        policyControls[p].addEventListener('change', refreshTimingPreview);
+    }
+
+    // Scaling and frame size change which images the preview flags
+    // (fill and stretch cover the frame, so they need no background)
+    scalingEl.addEventListener('change', function() {
+        blurBackgroundEl.disabled = this.value === 'fill' || this.value === 'stretch';
+        refreshTimingPreview();
+    });
+    sequenceWidthEl.addEventListener('change', refreshTimingPreview);
+    sequenceHeightEl.addEventListener('change', refreshTimingPreview);
+
+    // Transitions need room in every image, so they change the timing
+    transitionEl.addEventListener('change', refreshTimingPreview);
+    transitionFramesEl.addEventListener('change', refreshTimingPreview);
+
+    // Pause-aware cuts (decodes the voiceover on first use)
+    snapToPausesEl.addEventListener('change', function() {
+        pauseToleranceEl.disabled = !this.checked;
+        if (this.checked) {
+            analyzeVoiceForPreview();
+        } else {
+            refreshTimingPreview();
+        }
+    });
+    pauseToleranceEl.disabled = true;
+
+    pauseToleranceEl.addEventListener('input', function() {
+        pauseToleranceValue.textContent = '±' + parseFloat(this.value).toFixed(1) + 's';
+        refreshTimingPreview();
+    });
+
+    // Ken Burns motion (intensity only matters with a move)
+    kenBurnsEl.addEventListener('change', function() {
+        document.getElementById('kenBurnsIntensityRow').style.display = this.value === 'off' ? 'none' : 'block';
+    });
+    kenBurnsIntensityEl.addEventListener('input', function() {
+        document.getElementById('kenBurnsIntensityValue').textContent = this.value + '% zoom';
+    });
+
+    // Text overlays and chapter source (the preview lists their rows and any bad lines)
+    overlaysEl.addEventListener('change', revalidateFolder);
+    chapterSourceEl.addEventListener('change', revalidateFolder);
+
+    // Music bed (ducking needs the voiceover pauses)
+    musicLevelEl.addEventListener('input', function() {
+        musicLevelValue.textContent = this.value + ' dB';
+    });
+    musicDuckingEl.addEventListener('input', function() {
+        musicDuckingValue.textContent = this.value === '0' ? 'off' : '-' + this.value + ' dB';
+    });
+    musicDuckingEl.addEventListener('change', function() {
+        if (needsVoiceAnalysis()) {
+            analyzeVoiceForPreview();
+        }
+    });
+
+    // Intro / outro cards (a changed card changes the preview)
+    introDurationEl.addEventListener('change', revalidateFolder);
+    outroDurationEl.addEventListener('change', revalidateFolder);
+    document.getElementById('brandingFolderBtn').addEventListener('click', selectBrandingFolderHandler);
+    clearBrandingBtn.addEventListener('click', function() {
+        setBrandingFolder('');
+    });
+
+    // Target sequence (the frame rate choice feeds the timing preview)
+    sequenceModeEl.addEventListener('change', function() {
+        updateSequenceModeDisplay();
+        checkSequence();
+        refreshTimingPreview();
+    });
+    document.getElementById('sequencePresetBtn').addEventListener('click', selectSequencePresetHandler);
+
+    // Folder layout profiles
+    layoutProfileEl.addEventListener('change', function() {
+        updateProfileButtons();
+        closeProfileEditor();
+        if (currentFolderPath) {
+            clearStatus();
+            resetPreview();
+            validateFolder(currentFolderPath);
+        }
+    });
+
+    editProfileBtn.addEventListener('click', function() {
+        var profile = findLayoutProfile(layoutProfileEl.value);
+        if (profile) {
+            openProfileEditor(profile, profile.name);
+        }
+    });
+
+    newProfileBtn.addEventListener('click', function() {
+        var base = findLayoutProfile(layoutProfileEl.value) || findLayoutProfile(builtInProfileName);
+        openProfileEditor(base, '');
+    });
+
+    deleteProfileBtn.addEventListener('click', deleteProfileHandler);
+    document.getElementById('saveProfileBtn').addEventListener('click', saveProfileHandler);
+    document.getElementById('cancelProfileBtn').addEventListener('click', closeProfileEditor);
+
+    profileFields.voiceSelection.addEventListener('change', updateProfileNameFields);
+    profileFields.subtitleSelection.addEventListener('change', updateProfileNameFields);
+
+    loadLayoutProfiles();
+
+    // Timing mode (variation only applies to the even split)
+    timingModeEl.addEventListener('change', function() {
+        updateTimingModeDisplay();
+        refreshTimingPreview();
     });
 
     // Export section elements
@@ -103,6 +449,56 @@ document.addEventListener('DOMContentLoaded', function() {
     exportCount = document.getElementById('exportCount');
     refreshListBtn = document.getElementById('refreshListBtn');
     exportAllBtn = document.getElementById('exportAllBtn');
+    exportSubtitleModeEl = document.getElementById('exportSubtitleMode');
+    exportSubtitleLanguageEl = document.getElementById('exportSubtitleLanguage');
+
+    // Batch section
+    batchHeader = document.getElementById('batchHeader');
+    batchContent = document.getElementById('batchContent');
+    batchList = document.getElementById('batchList');
+    batchCount = document.getElementById('batchCount');
+    batchRunBtn = document.getElementById('batchRunBtn');
+    batchStopBtn = document.getElementById('batchStopBtn');
+    jobFileBtn = document.getElementById('jobFileBtn');
+
+    batchHeader.addEventListener('click', function() {
+        batchHeader.classList.toggle('expanded');
+        batchContent.classList.toggle('show');
+    });
+    batchRunBtn.addEventListener('click', batchRunHandler);
+    jobFileBtn.addEventListener('click', runJobFileHandler);
+
+    // Watch folder section
+    watchHeader = document.getElementById('watchHeader');
+    watchContent = document.getElementById('watchContent');
+    watchLogEl = document.getElementById('watchLog');
+    watchToggleBtn = document.getElementById('watchToggleBtn');
+
+    watchHeader.addEventListener('click', function() {
+        watchHeader.classList.toggle('expanded');
+        watchContent.classList.toggle('show');
+    });
+    document.getElementById('watchFolderBtn').addEventListener('click', function() {
+        chooseFolder('Select Watch Folder', watchFolderPath, function(path) {
+            watchFolderPath = path;
+            var nameEl = document.getElementById('watchFolderName');
+            nameEl.textContent = extractFolderName(path);
+            nameEl.title = path;
+            watchToggleBtn.disabled = false;
+        });
+    });
+    watchToggleBtn.addEventListener('click', function() {
+        if (watchActive) {
+            stopWatching();
+        } else {
+            startWatchingHandler();
+        }
+    });
+    batchStopBtn.addEventListener('click', function() {
+        batchStopRequested = true;
+        batchStopBtn.disabled = true;
+        showStatus('Stopping the batch after the current folder...', 'info');
+    });
 
     // Export section toggle
     exportHeader.addEventListener('click', function() {
@@ -120,6 +516,11 @@ document.addEventListener('DOMContentLoaded', function() {
         refreshExportList();
     });
 
+    // Subtitle language only matters when subtitles are exported
+    exportSubtitleModeEl.addEventListener('change', function() {
+        exportSubtitleLanguageEl.disabled = this.value === 'none';
+    });
+
     // Export all button
     exportAllBtn.addEventListener('click', function(e) {
         e.stopPropagation();
@@ -162,7 +563,20 @@ function resetPreview() {
     imageCountEl.textContent = '-';
     secondsPerImageEl.textContent = '-';
     srtIndicator.textContent = '\u2715'; // X mark
+    srtIndicator.title = '';
     srtIndicator.className = 'srt-indicator';
+    timingPreviewEl.style.display = 'none';
+    previewLayoutEl.innerHTML = '';
+    voiceAnalysis = null;
+    timingListEl.innerHTML = '';
+    previewWarningsEl.innerHTML = '';
+    preflightReportEl.style.display = 'none';
+    preflightListEl.innerHTML = '';
+    preflightAckEl.checked = false;
+    preflightReport = null;
+    preflightSignature = '';
+    preflightPending = false;
+    timingErrorShown = false;
     createBtn.disabled = true;
     previewInfo = null;
 }
@@ -199,6 +613,361 @@ function updatePreviewWithVariation() {
     }
 }
 
+/**
+ * Reflect the selected timing mode in the settings header and slider
+ */
+function updateTimingModeDisplay() {
+    var srtMode = timingModeEl.value === 'srt';
+    variationSlider.disabled = srtMode;
+    if (srtMode) {
+        variationDisplay.innerHTML = '<strong>SRT</strong> sync';
+    } else {
+        variationDisplay.innerHTML = '<strong>±' + parseFloat(variationSlider.value) + '</strong>s';
+    }
+}
+
+/**
+ * Pick a new random seed (same range as the host's seeded generator)
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * 2147483646) + 1;
+}
+
+/**
+ * Collect build options from the settings panel
+ * Passed to getPreviewInfo/createSlideshow as an object literal
+ */
+function getBuildOptions() {
+    return {
+        timingMode: timingModeEl.value,
+        maxVariation: parseFloat(variationSlider.value),
+        frameRate: parseFloat(frameRateEl.value),
+        seed: parseInt(seedInput.value, 10),
+        pacing: pacingEl.value,
+        pacingCurve: customPacingCurve,
+        snapToPauses: snapToPausesEl.checked,
+        pauseTolerance: parseFloat(pauseToleranceEl.value),
+        pauses: voiceAnalysis ? getVoicePauses(voiceAnalysis.parts, voiceAnalysis.durations, parseFloat(frameRateEl.value)) : [],
+        imageOrder: imageOrderEl.value,
+        minImageDuration: parseFloat(minImageDurationEl.value) || 0,
+        maxImageDuration: parseFloat(maxImageDurationEl.value) || 0,
+        tooManyImages: tooManyImagesEl.value,
+        tooFewImages: tooFewImagesEl.value,
+        maxVideoDuration: parseFloat(maxVideoDurationEl.value) || 0,
+        scaling: scalingEl.value,
+        blurBackground: blurBackgroundEl.checked,
+        blurAmount: parseFloat(blurAmountEl.value) || 0,
+        transition: transitionEl.value,
+        transitionFrames: parseInt(transitionFramesEl.value, 10) || 0,
+        kenBurns: kenBurnsEl.value,
+        kenBurnsIntensity: parseFloat(kenBurnsIntensityEl.value),
+        overlays: overlaysEl.checked,
+        imageMarkers: imageMarkersEl.checked,
+        chapterSource: chapterSourceEl.value,
+        youtubeChapters: youtubeChaptersEl.checked,
+        musicLevel: parseFloat(musicLevelEl.value),
+        musicDucking: parseFloat(musicDuckingEl.value),
+        musicFadeOut: parseFloat(musicFadeOutEl.value) || 0,
+        introDuration: parseFloat(introDurationEl.value) || 0,
+        outroDuration: parseFloat(outroDurationEl.value) || 0,
+        brandingFolder: brandingFolderPath,
+        sequenceMode: sequenceModeEl.value,
+        sequencePreset: sequencePresetPath,
+        sequenceWidth: parseInt(sequenceWidthEl.value, 10) || 0,
+        sequenceHeight: parseInt(sequenceHeightEl.value, 10) || 0,
+        sequenceVideoTracks: parseInt(sequenceVideoTracksEl.value, 10) || 0,
+        sequenceAudioTracks: parseInt(sequenceAudioTracksEl.value, 10) || 0,
+        sequenceName: sequenceNameEl.value,
+        videoDurations: previewInfo && previewInfo.videoDurations ? previewInfo.videoDurations : {},
+        profile: previewInfo && previewInfo.profile ? previewInfo.profile : layoutProfileEl.value,
+        voiceDuration: previewInfo && previewInfo.voiceDuration ? previewInfo.voiceDuration : 0,
+        voiceDurations: previewInfo && previewInfo.voiceDurations ? previewInfo.voiceDurations : []
+    };
+}
+
+/**
+ * Ask the host for the timing plan and show per-image durations
+ */
+function refreshTimingPreview() {
+    if (!currentFolderPath || !previewInfo || !previewInfo.voiceDuration) {
+        return;
+    }
+
+    var escapedPath = escapeForScript(currentFolderPath);
+    var buildOptions = getBuildOptions();
+    // Once the voice length is known, the preflight runs again for the checks that need it
+    if (preflightPending) {
+        buildOptions.preflight = true;
+        preflightPending = false;
+    }
+    var options = JSON.stringify(buildOptions);
+
+    csInterface.evalScript('getPreviewInfo("' + escapedPath + '", ' + options + ')', function(result) {
+        try {
+            var info = JSON.parse(result);
+            if (info.preflight) {
+                renderPreflightReport(info.preflight);
+            }
+            if (info.valid && info.timing) {
+                renderTimingPreview(info.timing);
+
+                // A "fail" policy blocks creation until settings or folder change
+                if (info.timing.error) {
+                    showStatus('Error: ' + info.timing.error, 'error');
+                    timingErrorShown = true;
+                } else if (timingErrorShown) {
+                    showReadyStatus();
+                    timingErrorShown = false;
+                }
+            }
+            if (info.preflight && info.preflight.errors > 0) {
+                showPreflightErrorStatus(info.preflight);
+            } else if (info.preflight && !timingErrorShown) {
+                showReadyStatus();
+            }
+            updateCreateButton();
+            renderPreviewWarnings(info.warnings || []);
+        } catch (e) {
+            // Keep the last preview on parse errors
+        }
+    });
+}
+
+/**
+ * Render the timing plan returned by the host
+ */
+function renderTimingPreview(timing) {
+    timingModeLabel.textContent = TIMING_MODE_LABELS[timing.mode] || timing.mode;
+
+    var summary = [];
+    if (timing.mode === 'srt') {
+        summary.push(timing.cueCount + ' cues');
+    } else {
+        if (timing.timingFile) {
+            summary.push(timing.timingFile);
+        }
+        if (parseFloat(variationSlider.value) > 0) {
+            summary.push('seed ' + timing.seed);
+        }
+    }
+    if (timing.snapped) {
+        summary.push(timing.movedCuts + ' cuts moved to pauses');
+    }
+    if (timing.videoCount > 0) {
+        // Clips play at their own length; the timing rules only shape the stills
+        summary.push(timing.videoCount + ' clips ' + formatDuration(timing.videoSeconds) + ' fixed, stills ' +
+                     formatDuration(timing.stillSeconds));
+    }
+    timingSummaryEl.textContent = summary.join(' \u00b7 ');
+
+    // Bar per image, scaled to the longest
+    var longest = 0;
+    for (var b = 0; b < timing.images.length; b++) {
+        longest = Math.max(longest, timing.images[b].seconds);
+    }
+    var bars = '';
+    for (var c = 0; c < timing.images.length; c++) {
+        var height = longest > 0 ? Math.max(Math.round(timing.images[c].seconds / longest * 100), 4) : 0;
+        bars += '<div style="height: ' + height + '%;" title="' + timing.images[c].seconds.toFixed(2) + 's"></div>';
+    }
+    timingBarsEl.innerHTML = bars;
+
+    // Voice parts played back-to-back get a header row above their images
+    var segments = timing.segments || [];
+    var segmentStarts = {};
+    if (segments.length > 1) {
+        var first = 0;
+        for (var s = 0; s < segments.length; s++) {
+            segmentStarts[first] = segments[s];
+            first += segments[s].imageCount;
+        }
+    }
+
+    var html = '';
+    for (var i = 0; i < timing.images.length; i++) {
+        var image = timing.images[i];
+        var segment = segmentStarts[i];
+        if (segment) {
+            html += '<div class="timing-item timing-segment">';
+            html += '<span class="item-name">' + escapeHtml(segment.name) +
+                    (segment.group ? ' \u2192 ' + escapeHtml(segment.group) : '') + '</span>';
+            html += '<span class="item-rule">' + segment.imageCount + ' images</span>';
+            html += '<span class="item-duration">' + formatDuration(segment.seconds) + '</span>';
+            html += '</div>';
+        }
+        html += '<div class="timing-item">';
+        html += '<span class="item-name">' + (i + 1) + '. ' + escapeHtml(image.name) + '</span>';
+        if (image.rule) {
+            html += '<span class="item-rule">' + escapeHtml(image.rule) + '</span>';
+        }
+        if (image.snapped) {
+            html += '<span class="item-rule" title="Starts in a pause">&#8596;</span>';
+        }
+        html += '<span class="item-duration">' + image.seconds.toFixed(2) + 's</span>';
+        html += '</div>';
+    }
+    timingListEl.innerHTML = html;
+    timingPreviewEl.style.display = 'block';
+}
+
+/**
+ * Relative image weight at position t (0-1) of a pacing curve
+ * Mirrors getPacingWeight() in hostscript.jsx so the picker matches the build
+ */
+function pacingWeight(pacing, t) {
+    switch (pacing) {
+        case 'ease-in':
+            return 1.6 - 1.2 * t;
+        case 'ease-out':
+            return 0.4 + 1.2 * t;
+        case 'ease-in-out':
+            return 1 + 1.2 * Math.pow(Math.abs(2 * t - 1), 4);
+        case 'build-up':
+            return 1.8 * Math.pow(0.15, t);
+        case 'custom':
+            var pos = t * (customPacingCurve.length - 1);
+            var index = Math.min(Math.floor(pos), customPacingCurve.length - 2);
+            var y = customPacingCurve[index] + (customPacingCurve[index + 1] - customPacingCurve[index]) * (pos - index);
+            return 0.25 + 1.75 * y;
+        default:
+            return 1;
+    }
+}
+
+/**
+ * Draw the selected pacing curve (higher = image stays on screen longer)
+ */
+function drawPacingCurve() {
+    var ctx = pacingCanvas.getContext('2d');
+    var width = pacingCanvas.width;
+    var height = pacingCanvas.height;
+    var custom = pacingEl.value === 'custom';
+    var maxWeight = 2.2;
+
+    pacingCanvas.className = custom ? 'pacing-curve editable' : 'pacing-curve';
+    ctx.clearRect(0, 0, width, height);
+
+    // Average pace reference line
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, height - height / maxWeight);
+    ctx.lineTo(width, height - height / maxWeight);
+    ctx.stroke();
+
+    ctx.strokeStyle = '#4fc3f7';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (var x = 0; x <= width; x += 4) {
+        var y = height - pacingWeight(pacingEl.value, x / width) / maxWeight * height;
+        if (x === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+    ctx.stroke();
+
+    if (custom) {
+        ctx.fillStyle = '#e0e0e0';
+        for (var i = 0; i < PACING_POINTS; i++) {
+            var px = i / (PACING_POINTS - 1) * width;
+            var py = height - (0.25 + 1.75 * customPacingCurve[i]) / maxWeight * height;
+            ctx.fillRect(px - 2, py - 2, 4, 4);
+        }
+    }
+}
+
+/**
+ * Move the custom curve point nearest to the mouse
+ */
+function editPacingCurve(e) {
+    var rect = pacingCanvas.getBoundingClientRect();
+    var t = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    var weight = (1 - (e.clientY - rect.top) / rect.height) * 2.2;
+    var index = Math.round(t * (PACING_POINTS - 1));
+
+    customPacingCurve[index] = Math.max(0, Math.min(1, (weight - 0.25) / 1.75));
+    drawPacingCurve();
+}
+
+/**
+ * Render the preflight report below the preview
+ * Errors block creation; warnings have to be ticked off first. The tick
+ * is cleared when the list changes.
+ */
+function renderPreflightReport(report) {
+    var signature = JSON.stringify(report.issues);
+    if (signature !== preflightSignature) {
+        preflightAckEl.checked = false;
+        preflightSignature = signature;
+    }
+    preflightReport = report;
+
+    var html = '';
+    for (var i = 0; i < report.issues.length; i++) {
+        var issue = report.issues[i];
+        html += '<div class="preflight-issue ' + issue.level + '">' +
+                (issue.level === 'error' ? '&#10005; ' : '&#9888; ') + escapeHtml(issue.message) + '</div>';
+        if (issue.files.length > 0) {
+            var shown = issue.files.slice(0, 5).join(', ');
+            if (issue.files.length > 5) {
+                shown += ' +' + (issue.files.length - 5) + ' more';
+            }
+            html += '<div class="preflight-files" title="' + escapeHtml(issue.files.join('\n')) + '">' +
+                    escapeHtml(shown) + '</div>';
+        }
+    }
+    preflightListEl.innerHTML = html;
+    preflightAckRow.style.display = report.errors === 0 && report.warnings > 0 ? 'flex' : 'none';
+    preflightReportEl.style.display = report.issues.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Whether the preflight report lets the slideshow be created
+ */
+function preflightAllowsCreate() {
+    if (!preflightReport) return true;
+    return preflightReport.errors === 0 && (preflightReport.warnings === 0 || preflightAckEl.checked);
+}
+
+/**
+ * Enable the create button once the preview is complete and nothing blocks it
+ */
+function updateCreateButton() {
+    createBtn.disabled = !previewInfo || !previewInfo.voiceDuration || timingErrorShown || !preflightAllowsCreate();
+}
+
+/**
+ * Show the ready message, or what is still needed before creating
+ */
+function showReadyStatus() {
+    if (preflightAllowsCreate()) {
+        showStatus('Ready to create slideshow!', 'success');
+    } else {
+        showStatus('Check the preflight warnings, then tick the box to create the slideshow.', 'info');
+    }
+}
+
+/**
+ * Show that preflight errors block the build
+ */
+function showPreflightErrorStatus(report) {
+    showStatus('Preflight found ' + report.errors + (report.errors === 1 ? ' error' : ' errors') +
+               ' - fix the files listed below and select the folder again.', 'error');
+}
+
+/**
+ * Render host warnings below the preview
+ */
+function renderPreviewWarnings(warnings) {
+    var html = '';
+    for (var i = 0; i < warnings.length; i++) {
+        html += '<div>&#9888; ' + escapeHtml(warnings[i]) + '</div>';
+    }
+    previewWarningsEl.innerHTML = html;
+}
+
 /**
  * Extract folder name from full path
  */
@@ -211,9 +980,12 @@ function extractFolderName(fullPath) {
 }
 
 /**
- * Check if there's an active sequence
+ * Check if there's an active sequence (only needed to build into the open one)
  */
 function checkSequence() {
+    if (sequenceModeEl.value !== 'active') {
+        return;
+    }
     csInterface.evalScript('checkActiveSequence()', function(result) {
         try {
             var info = JSON.parse(result);
@@ -273,13 +1045,113 @@ function selectFolderHandler() {
     }
 }
 
+/**
+ * Describe an intro/outro card for the layout line
+ */
+function formatCardInfo(label, card) {
+    if (!card) return '';
+    return ' &middot; ' + label + ': ' + escapeHtml(card.name) + (card.shared ? ' (branding)' : '');
+}
+
+/**
+ * Re-read the selected folder after a setting that changes what is found
+ */
+function revalidateFolder() {
+    if (currentFolderPath) {
+        clearStatus();
+        resetPreview();
+        validateFolder(currentFolderPath);
+    }
+}
+
+/**
+ * Set the shared branding folder (intro/outro cards for every project)
+ */
+function setBrandingFolder(path) {
+    brandingFolderPath = path;
+    brandingFolderNameEl.textContent = path ? extractFolderName(path) : 'No branding folder';
+    brandingFolderNameEl.title = path || 'intro/outro files used when a project has none';
+    clearBrandingBtn.disabled = !path;
+    revalidateFolder();
+}
+
+/**
+ * Show the settings of the chosen sequence mode
+ */
+function updateSequenceModeDisplay() {
+    var mode = sequenceModeEl.value;
+    document.getElementById('sequenceSizeRow').style.display = mode === 'new' ? 'flex' : 'none';
+    document.getElementById('sequencePresetRow').style.display = mode === 'preset' ? 'flex' : 'none';
+    document.getElementById('sequenceNewRows').style.display = mode === 'active' ? 'none' : 'block';
+}
+
+/**
+ * Choose the .sqpreset new sequences are made from
+ */
+function selectSequencePresetHandler() {
+    if (!(window.cep && window.cep.fs && window.cep.fs.showOpenDialogEx)) {
+        showStatus('Choosing a preset needs a newer version of Premiere Pro.', 'error');
+        return;
+    }
+    var result = window.cep.fs.showOpenDialogEx(false, false, 'Select Sequence Preset', '', ['sqpreset']);
+    if (result.err === 0 && result.data && result.data.length > 0) {
+        sequencePresetPath = result.data[0];
+        sequencePresetNameEl.textContent = extractFolderName(sequencePresetPath);
+        sequencePresetNameEl.title = sequencePresetPath;
+    }
+}
+
+/**
+ * Let the user pick a folder (CEP dialog, ExtendScript dialog as fallback)
+ * @param {string} title - Dialog title
+ * @param {string} initialPath - Folder to start in ('' = last used)
+ * @param {Function} callback - callback(path), not called when cancelled
+ */
+function chooseFolder(title, initialPath, callback) {
+    if (window.cep && window.cep.fs && window.cep.fs.showOpenDialogEx) {
+        var result = window.cep.fs.showOpenDialogEx(false, true, title, initialPath, []);
+        if (result.err === 0 && result.data && result.data.length > 0) {
+            callback(result.data[0]);
+        }
+    } else {
+        csInterface.evalScript('selectFolder()', function(result) {
+            if (result && result !== 'null' && result !== 'undefined') {
+                callback(result);
+            }
+        });
+    }
+}
+
+/**
+ * Choose the shared branding folder
+ */
+function selectBrandingFolderHandler() {
+    chooseFolder('Select Branding Folder', brandingFolderPath, setBrandingFolder);
+}
+
 /**
  * Validate folder and get preview info
  */
 function validateFolder(folderPath) {
     var escapedPath = escapeForScript(folderPath);
 
-    csInterface.evalScript('getPreviewInfo("' + escapedPath + '")', function(result) {
+    var options = JSON.stringify({
+        profile: layoutProfileEl.value,
+        imageOrder: imageOrderEl.value,
+        seed: parseInt(seedInput.value, 10),
+        introDuration: parseFloat(introDurationEl.value) || 0,
+        outroDuration: parseFloat(outroDurationEl.value) || 0,
+        brandingFolder: brandingFolderPath,
+        scaling: scalingEl.value,
+        sequenceMode: sequenceModeEl.value,
+        sequenceWidth: parseInt(sequenceWidthEl.value, 10) || 0,
+        sequenceHeight: parseInt(sequenceHeightEl.value, 10) || 0,
+        overlays: overlaysEl.checked,
+        chapterSource: chapterSourceEl.value,
+        preflight: true
+    });
+
+    csInterface.evalScript('getPreviewInfo("' + escapedPath + '", ' + options + ')', function(result) {
         try {
             var info = JSON.parse(result);
 
@@ -289,19 +1161,41 @@ function validateFolder(folderPath) {
                 // Show preview section
                 previewSection.style.display = 'block';
 
-                imageCountEl.textContent = info.imageCount;
+                imageCountEl.textContent = info.imageCount + (info.videoCount ? ' (' + info.videoCount + ' video)' : '');
+                previewLayoutEl.innerHTML = 'Layout: <strong>' + escapeHtml(info.profile) + '</strong>' +
+                    (layoutProfileEl.value ? '' : ' (auto-detected)') +
+                    (info.musicFiles.length > 0 ? ' &middot; Music: ' + info.musicFiles.length +
+                        (info.musicFiles.length === 1 ? ' file' : ' files') : '') +
+                    (info.overlays ? ' &middot; Overlays: ' + info.overlays.rows.length : '') +
+                    (info.chapters.length > 0 ? ' &middot; Chapters: ' + info.chapters.length : '') +
+                    formatCardInfo('Intro', info.intro) + formatCardInfo('Outro', info.outro);
+                renderPreviewWarnings(info.warnings || []);
+                renderPreflightReport(info.preflight);
 
-                // Update SRT indicator
+                // Update SRT indicator (lists the caption languages)
                 if (info.srtName) {
-                    srtIndicator.textContent = '\u2713'; // Checkmark
+                    var languages = [];
+                    var files = [];
+                    for (var sub = 0; sub < info.subtitles.length; sub++) {
+                        languages.push(info.subtitles[sub].label);
+                        files.push(info.subtitles[sub].name);
+                    }
+                    srtIndicator.textContent = '\u2713 ' + languages.join(', '); // Checkmark
+                    srtIndicator.title = files.join('\n');
                     srtIndicator.className = 'srt-indicator active';
                 } else {
                     srtIndicator.textContent = '\u2715'; // X mark
                     srtIndicator.className = 'srt-indicator';
                 }
 
+                // Nothing is imported while the preflight has errors
+                if (info.preflight.errors > 0) {
+                    showPreflightErrorStatus(info.preflight);
+                    return;
+                }
+
                 // Now we need to get the audio duration
-                getAudioDurationForPreview(info.voicePath, info.imageCount, folderPath);
+                getAudioDurationForPreview(info.imageCount, folderPath);
 
             } else {
                 showStatus(info.error, 'error');
@@ -315,13 +1209,14 @@ function validateFolder(folderPath) {
 }
 
 /**
- * Get audio duration for preview (imports file to proper bin structure)
+ * Get audio duration for preview (imports files to proper bin structure)
+ * Several voice files are played back-to-back, so the total is their sum
  */
-function getAudioDurationForPreview(voicePath, imageCount, folderPath) {
-    var escapedPath = escapeForScript(voicePath);
+function getAudioDurationForPreview(imageCount, folderPath) {
     var escapedFolderPath = escapeForScript(folderPath);
+    var escapedProfile = escapeForScript(previewInfo && previewInfo.profile ? previewInfo.profile : '');
 
-    csInterface.evalScript('getImportedAudioDuration("' + escapedPath + '", "' + escapedFolderPath + '")', function(result) {
+    csInterface.evalScript('getImportedAudioDurations("' + escapedFolderPath + '", "' + escapedProfile + '")', function(result) {
         try {
             var info = JSON.parse(result);
 
@@ -330,6 +1225,9 @@ function getAudioDurationForPreview(voicePath, imageCount, folderPath) {
                 var secondsPerImage = duration / imageCount;
 
                 voiceDurationEl.textContent = formatDuration(duration);
+                if (info.durations.length > 1) {
+                    voiceDurationEl.textContent += ' (' + info.durations.length + ' parts)';
+                }
 
                 // Show seconds per image with variation indicator
                 var variation = parseFloat(variationSlider.value);
@@ -342,12 +1240,22 @@ function getAudioDurationForPreview(voicePath, imageCount, folderPath) {
                 // Store duration for later
                 if (previewInfo) {
                     previewInfo.voiceDuration = duration;
+                    previewInfo.voiceDurations = info.durations;
                     previewInfo.secondsPerImage = secondsPerImage;
                 }
 
-                // Enable create button
-                createBtn.disabled = false;
-                showStatus('Ready to create slideshow!', 'success');
+                // Enable create button (unless preflight warnings are still unchecked)
+                updateCreateButton();
+                showReadyStatus();
+                preflightPending = true;
+
+                getVideoDurationsForPreview(function() {
+                    if (needsVoiceAnalysis()) {
+                        analyzeVoiceForPreview();
+                    } else {
+                        refreshTimingPreview();
+                    }
+                });
 
             } else {
                 showStatus('Could not get audio duration: ' + info.error, 'error');
@@ -358,6 +1266,33 @@ function getAudioDurationForPreview(voicePath, imageCount, folderPath) {
     });
 }
 
+/**
+ * Get the native length of video clips in the images folder (imports them)
+ * @param {Function} callback - Called when done, also when there are no clips
+ */
+function getVideoDurationsForPreview(callback) {
+    if (!previewInfo || !previewInfo.videoCount) {
+        callback();
+        return;
+    }
+
+    var escapedFolderPath = escapeForScript(currentFolderPath);
+    var escapedProfile = escapeForScript(previewInfo.profile || '');
+    csInterface.evalScript('getImportedVideoDurations("' + escapedFolderPath + '", "' + escapedProfile + '")', function(result) {
+        try {
+            var info = JSON.parse(result);
+            if (info.success && previewInfo) {
+                previewInfo.videoDurations = info.durations;
+            } else if (!info.success) {
+                showStatus('Could not read video clip lengths: ' + info.error, 'error');
+            }
+        } catch (e) {
+            // Clips without a known length are timed like stills
+        }
+        callback();
+    });
+}
+
 /**
  * Handle create slideshow button click
  */
@@ -374,16 +1309,27 @@ function createSlideshowHandler() {
     var escapedPath = escapeForScript(currentFolderPath);
     var variation = parseFloat(variationSlider.value);
     var frameRate = parseFloat(frameRateEl.value);
+    var options = JSON.stringify(getBuildOptions());
 
     csInterface.evalScript(
-        'createSlideshow("' + escapedPath + '", ' + variation + ', ' + frameRate + ')',
+        'createSlideshow("' + escapedPath + '", ' + variation + ', ' + frameRate + ', ' + options + ')',
         function(result) {
             try {
                 var response = JSON.parse(result);
 
                 if (response.success) {
-                    var message = 'Done! ' + response.imageCount + ' images at ';
-                    message += response.secondsPerImage.toFixed(2) + 's each.';
+                    var message = 'Done! ' + response.sequenceName + ': ' + response.imageCount + ' images at ';
+                    message += response.secondsPerImage.toFixed(2) + 's each (seed ' + response.seed + ').';
+                    if (response.captionLanguages && response.captionLanguages.length > 0) {
+                        message += ' Captions: ' + response.captionLanguages.join(', ') + '.';
+                    }
+                    if (response.music && response.music.clips > 0) {
+                        message += ' Music bed: ' + response.music.clips + ' clip(s) on A2.';
+                    }
+                    // Timing, effect, marker and music problems (the build itself went through)
+                    if (response.warnings && response.warnings.length > 0) {
+                        message += ' ' + response.warnings.join('; ');
+                    }
                     showStatus(message, 'success');
                     // Refresh export list after creating slideshow
                     refreshExportList();
@@ -395,17 +1341,1065 @@ function createSlideshowHandler() {
             }
 
             // Re-enable button
-            createBtn.disabled = false;
+            updateCreateButton();
         }
     );
 }
 
 // ============================================================
-// EXPORT FUNCTIONS
+// LAYOUT PROFILES - Folder names and file rules, saved by the host
 // ============================================================
 
 /**
- * Refresh the list of exportable slideshows
+ * Load the layout profiles from the host and fill the profile picker
+ */
+function loadLayoutProfiles() {
+    csInterface.evalScript('getLayoutProfiles()', function(result) {
+        try {
+            var info = JSON.parse(result);
+            builtInProfileName = info.builtIn;
+            renderProfileOptions(info.profiles, layoutProfileEl.value);
+        } catch (e) {
+            // Keep auto-detect only
+        }
+    });
+}
+
+/**
+ * Rebuild the profile picker, keeping the given selection if it still exists
+ */
+function renderProfileOptions(profiles, selected) {
+    layoutProfiles = profiles;
+    var html = '<option value="">Auto-detect</option>';
+    var found = false;
+    for (var i = 0; i < profiles.length; i++) {
+        var name = escapeHtml(profiles[i].name);
+        html += '<option value="' + name + '">' + name + ' (' + escapeHtml(profiles[i].imagesFolder) + '/, ' +
+                escapeHtml(profiles[i].voiceoversFolder) + '/)</option>';
+        if (profiles[i].name === selected) found = true;
+    }
+    layoutProfileEl.innerHTML = html;
+    layoutProfileEl.value = found ? selected : '';
+    updateProfileButtons();
+}
+
+/**
+ * Find a loaded profile by name
+ */
+function findLayoutProfile(name) {
+    for (var i = 0; i < layoutProfiles.length; i++) {
+        if (layoutProfiles[i].name === name) {
+            return layoutProfiles[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Edit/Delete only apply to saved profiles, not auto-detect or the built-in one
+ */
+function updateProfileButtons() {
+    var editable = layoutProfileEl.value !== '' && layoutProfileEl.value !== builtInProfileName;
+    editProfileBtn.disabled = !editable;
+    deleteProfileBtn.disabled = !editable;
+}
+
+/**
+ * Show the profile editor filled with a profile's values
+ * @param {object} profile - Profile to show
+ * @param {string} name - Name being edited ('' creates a new profile)
+ */
+function openProfileEditor(profile, name) {
+    editingProfileName = name;
+    for (var i = 0; i < PROFILE_FIELDS.length; i++) {
+        var field = PROFILE_FIELDS[i];
+        var value = profile ? profile[field] : '';
+        if (value && value.join) {
+            // Extension lists are edited as "png, jpg"
+            value = value.join(', ').replace(/\./g, '');
+        }
+        profileFields[field].value = value || '';
+    }
+    if (!name) {
+        profileFields.name.value = '';
+    }
+    updateProfileNameFields();
+    profileEditorEl.style.display = 'block';
+    profileFields.name.focus();
+}
+
+function closeProfileEditor() {
+    editingProfileName = null;
+    profileEditorEl.style.display = 'none';
+}
+
+/**
+ * The file name boxes only apply to the "named" selection rule
+ */
+function updateProfileNameFields() {
+    profileFields.voiceName.disabled = profileFields.voiceSelection.value !== 'named';
+    profileFields.subtitleName.disabled = profileFields.subtitleSelection.value !== 'named';
+}
+
+/**
+ * Save the profile in the editor and select it
+ */
+function saveProfileHandler() {
+    var profile = {};
+    for (var i = 0; i < PROFILE_FIELDS.length; i++) {
+        profile[PROFILE_FIELDS[i]] = profileFields[PROFILE_FIELDS[i]].value;
+    }
+
+    var script = 'saveLayoutProfile(' + JSON.stringify(profile) + ', "' + escapeForScript(editingProfileName || '') + '")';
+    csInterface.evalScript(script, function(result) {
+        try {
+            var response = JSON.parse(result);
+            if (!response.success) {
+                showStatus('Error: ' + response.error, 'error');
+                return;
+            }
+            renderProfileOptions(response.profiles, response.profile.name);
+            closeProfileEditor();
+            showStatus('Layout profile "' + response.profile.name + '" saved.', 'success');
+            if (currentFolderPath) {
+                resetPreview();
+                validateFolder(currentFolderPath);
+            }
+        } catch (e) {
+            showStatus('Error: ' + e.toString(), 'error');
+        }
+    });
+}
+
+/**
+ * Delete the selected profile and fall back to auto-detect
+ */
+function deleteProfileHandler() {
+    var name = layoutProfileEl.value;
+    if (!name) {
+        return;
+    }
+
+    csInterface.evalScript('deleteLayoutProfile("' + escapeForScript(name) + '")', function(result) {
+        try {
+            var response = JSON.parse(result);
+            if (!response.success) {
+                showStatus('Error: ' + response.error, 'error');
+                return;
+            }
+            renderProfileOptions(response.profiles, '');
+            closeProfileEditor();
+            showStatus('Layout profile "' + name + '" deleted.', 'success');
+            if (currentFolderPath) {
+                resetPreview();
+                validateFolder(currentFolderPath);
+            }
+        } catch (e) {
+            showStatus('Error: ' + e.toString(), 'error');
+        }
+    });
+}
+
+// ============================================================
+// VOICEOVER ANALYSIS - Find pauses for cut placement
+// ============================================================
+
+/**
+ * Check whether the voiceover pauses are needed (cut snapping or music ducking)
+ * @param {object} info - Preview info of the folder (default: the current preview)
+ */
+function needsVoiceAnalysis(info) {
+    info = info || previewInfo;
+    var ducking = info && info.musicFiles && info.musicFiles.length > 0 &&
+                  parseFloat(musicDuckingEl.value) > 0;
+    return snapToPausesEl.checked || ducking;
+}
+
+/**
+ * Analyze the current voiceover once and refresh the timing preview
+ * Voice files are analyzed in order and their pauses placed on one
+ * timeline by getVoicePauses, as the files are placed
+ */
+function analyzeVoiceForPreview() {
+    if (!previewInfo || !previewInfo.voiceFiles || !previewInfo.voiceDurations) {
+        return;
+    }
+    var voiceFiles = previewInfo.voiceFiles;
+    var voiceDurations = previewInfo.voiceDurations;
+    var key = voiceFiles.map(function(v) { return v.path; }).join('|');
+    if (voiceAnalysis && voiceAnalysis.path === key) {
+        refreshTimingPreview();
+        return;
+    }
+
+    showStatus('Analyzing voiceover for pauses...', 'info');
+    analyzeVoiceParts(voiceFiles, function(err, parts) {
+        if (err) {
+            showStatus('Could not analyze ' + err, 'error');
+            return;
+        }
+        voiceAnalysis = {
+            path: key,
+            parts: parts,
+            durations: voiceDurations
+        };
+        var pauses = getVoicePauses(parts, voiceDurations, parseFloat(frameRateEl.value));
+        showStatus('Found ' + pauses.length + ' pauses in the voiceover.', 'success');
+        refreshTimingPreview();
+    });
+}
+
+/**
+ * Find the pauses of each voice file
+ * @param {Array} voiceFiles - Voice files {path, name} in order
+ * @param {Function} callback - callback(error, parts) with the pauses of every file in its own time;
+ *   the error names the file
+ */
+function analyzeVoiceParts(voiceFiles, callback) {
+    var parts = [];
+    var analyzePart = function(index) {
+        if (index >= voiceFiles.length) {
+            callback(null, parts);
+            return;
+        }
+        analyzeVoiceFile(voiceFiles[index].path, function(err, partPauses) {
+            if (err) {
+                callback(voiceFiles[index].name + ': ' + err);
+                return;
+            }
+            parts.push(partPauses);
+            analyzePart(index + 1);
+        });
+    };
+    analyzePart(0);
+}
+
+/**
+ * Place the analyzed pauses on one timeline, as the voice files are placed
+ * Each part starts on the first frame after the one before ends (the
+ * host's getVoiceSegmentFrames), so the pauses line up with the cuts.
+ * @param {Array} parts - Pauses of each voice file, from analyzeVoiceParts
+ * @param {Array} voiceDurations - Lengths of the voice files in seconds
+ * @param {number} frameRate - Frame rate the slideshow is timed at
+ * @returns {Array} Pauses [{start, end}] in seconds from the voiceover start
+ */
+function getVoicePauses(parts, voiceDurations, frameRate) {
+    var pauses = [];
+    var elapsed = 0;
+    var startFrame = 0;
+    for (var i = 0; i < parts.length; i++) {
+        var offset = startFrame / frameRate;
+        var partPauses = parts[i];
+        for (var p = 0; p < partPauses.length; p++) {
+            pauses.push({
+                start: Math.round((partPauses[p].start + offset) * 1000) / 1000,
+                end: Math.round((partPauses[p].end + offset) * 1000) / 1000
+            });
+        }
+        elapsed += voiceDurations[i];
+        var endFrame = (i === parts.length - 1) ?
+                       Math.round(elapsed * frameRate) : Math.ceil(elapsed * frameRate - 0.0001);
+        startFrame += Math.max(endFrame - startFrame, 1);
+    }
+    return pauses;
+}
+
+/**
+ * Decode an audio file locally and detect its silent gaps
+ * WAV/PCM is parsed directly; MP3, AAC, M4A, OGG and FLAC go through
+ * the panel's built-in (Chromium) audio decoder
+ * @param {string} path - Audio file path
+ * @param {Function} callback - callback(error, pauses) with pauses as [{start, end}] seconds
+ */
+function analyzeVoiceFile(path, callback) {
+    var file = window.cep.fs.readFile(path, window.cep.encoding.Base64);
+    if (file.err !== 0) {
+        callback('file could not be read (error ' + file.err + ')');
+        return;
+    }
+
+    var buffer = base64ToArrayBuffer(file.data);
+    var levels = null;
+    try {
+        levels = wavWindowLevels(buffer, ANALYSIS_WINDOW_SECONDS);
+    } catch (e) {
+        callback(e.toString());
+        return;
+    }
+    if (levels) {
+        callback(null, findPauses(levels.levels, levels.windowSeconds));
+        return;
+    }
+
+    var AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        callback('no audio decoder available for this format');
+        return;
+    }
+
+    var context = new AudioContextClass();
+    context.decodeAudioData(buffer, function(audioBuffer) {
+        var channels = [];
+        for (var c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+        var windowSize = Math.max(Math.round(audioBuffer.sampleRate * ANALYSIS_WINDOW_SECONDS), 1);
+        var decodedLevels = [];
+        for (var start = 0; start < audioBuffer.length; start += windowSize) {
+            var end = Math.min(start + windowSize, audioBuffer.length);
+            var sum = 0;
+            for (var i = start; i < end; i++) {
+                var sample = 0;
+                for (var ch = 0; ch < channels.length; ch++) {
+                    sample += channels[ch][i];
+                }
+                sample /= channels.length;
+                sum += sample * sample;
+            }
+            decodedLevels.push(Math.sqrt(sum / (end - start)));
+        }
+        if (context.close) {
+            context.close();
+        }
+        // The window is whole samples, so its real length is what the pause times are counted in
+        callback(null, findPauses(decodedLevels, windowSize / audioBuffer.sampleRate));
+    }, function() {
+        if (context.close) {
+            context.close();
+        }
+        callback('unsupported or corrupt audio file');
+    });
+}
+
+/**
+ * Convert base64 file data to an ArrayBuffer
+ */
+function base64ToArrayBuffer(base64) {
+    var binary = atob(base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+/**
+ * RMS level (0-1) per analysis window of a PCM or float WAV file
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {number} windowSeconds - Window length
+ * @returns {object|null} {levels, windowSeconds} as from pcmWindowLevels, or null if the file is not a WAV file
+ */
+function wavWindowLevels(buffer, windowSeconds) {
+    var view = new DataView(buffer);
+    if (buffer.byteLength < 12 || view.getUint32(0, false) !== 0x52494646 || view.getUint32(8, false) !== 0x57415645) {
+        return null; // Not "RIFF....WAVE"
+    }
+
+    var format = null;
+    var offset = 12;
+    while (offset + 8 <= buffer.byteLength) {
+        var chunkId = view.getUint32(offset, false);
+        var chunkSize = view.getUint32(offset + 4, true);
+        var body = offset + 8;
+
+        if (chunkId === 0x666d7420) { // "fmt "
+            format = {
+                audioFormat: view.getUint16(body, true),
+                channels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                bitsPerSample: view.getUint16(body + 14, true)
+            };
+            if (format.audioFormat === 0xFFFE && chunkSize >= 26) {
+                format.audioFormat = view.getUint16(body + 24, true); // WAVE_FORMAT_EXTENSIBLE sub-format
+            }
+        } else if (chunkId === 0x64617461 && format) { // "data"
+            return pcmWindowLevels(view, body, Math.min(chunkSize, buffer.byteLength - body), format, windowSeconds);
+        }
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+    throw new Error('WAV file has no audio data');
+}
+
+/**
+ * RMS level per window of interleaved PCM samples (channels mixed to mono)
+ * The window is rounded to whole samples; windowSeconds in the result is its real length.
+ * @returns {object} {levels, windowSeconds}
+ */
+function pcmWindowLevels(view, start, length, format, windowSeconds) {
+    var bytes = format.bitsPerSample / 8;
+    var isFloat = format.audioFormat === 3;
+    if (!(format.audioFormat === 1 || (isFloat && bytes === 4)) || [1, 2, 3, 4].indexOf(bytes) === -1) {
+        throw new Error('unsupported WAV encoding');
+    }
+
+    var frameBytes = bytes * format.channels;
+    var frameCount = Math.floor(length / frameBytes);
+    var windowSize = Math.max(Math.round(format.sampleRate * windowSeconds), 1);
+    var levels = [];
+
+    for (var first = 0; first < frameCount; first += windowSize) {
+        var last = Math.min(first + windowSize, frameCount);
+        var sum = 0;
+        for (var f = first; f < last; f++) {
+            var sample = 0;
+            for (var ch = 0; ch < format.channels; ch++) {
+                var pos = start + f * frameBytes + ch * bytes;
+                if (isFloat) {
+                    sample += view.getFloat32(pos, true);
+                } else if (bytes === 1) {
+                    sample += (view.getUint8(pos) - 128) / 128;
+                } else if (bytes === 2) {
+                    sample += view.getInt16(pos, true) / 32768;
+                } else if (bytes === 3) {
+                    var value = view.getUint8(pos) | (view.getUint8(pos + 1) << 8) | (view.getInt8(pos + 2) << 16);
+                    sample += value / 8388608;
+                } else {
+                    sample += view.getInt32(pos, true) / 2147483648;
+                }
+            }
+            sample /= format.channels;
+            sum += sample * sample;
+        }
+        levels.push(Math.sqrt(sum / (last - first)));
+    }
+    return { levels: levels, windowSeconds: windowSize / format.sampleRate };
+}
+
+/**
+ * Group quiet windows into pauses
+ * @param {Array} levels - RMS level per window (0-1)
+ * @param {number} windowSeconds - Window length
+ * @returns {Array} Pauses as [{start, end}] in seconds
+ */
+function findPauses(levels, windowSeconds) {
+    var threshold = Math.pow(10, SILENCE_THRESHOLD_DB / 20);
+    var pauses = [];
+    var pauseStart = -1;
+
+    for (var i = 0; i <= levels.length; i++) {
+        var silent = i < levels.length && levels[i] < threshold;
+        if (silent && pauseStart < 0) {
+            pauseStart = i;
+        } else if (!silent && pauseStart >= 0) {
+            var startSeconds = pauseStart * windowSeconds;
+            var endSeconds = i * windowSeconds;
+            if (endSeconds - startSeconds >= MIN_PAUSE_SECONDS) {
+                pauses.push({
+                    start: Math.round(startSeconds * 1000) / 1000,
+                    end: Math.round(endSeconds * 1000) / 1000
+                });
+            }
+            pauseStart = -1;
+        }
+    }
+    return pauses;
+}
+
+// ============================================================
+// BATCH MODE - One slideshow per subfolder, shared settings
+// ============================================================
+
+/**
+ * Pick a parent folder and build every subfolder in turn
+ * Every slideshow gets a new sequence from the sequence settings; with
+ * "open sequence" the open sequence is the template that is copied.
+ */
+function batchRunHandler() {
+    if (sequenceModeEl.value !== 'active') {
+        chooseFolder('Select Parent Folder', '', function(parentPath) {
+            startBatch(parentPath, '');
+        });
+        return;
+    }
+
+    csInterface.evalScript('checkActiveSequence()', function(result) {
+        var info = null;
+        try {
+            info = JSON.parse(result);
+        } catch (e) {
+            // Handled below
+        }
+        if (!info || !info.hasSequence) {
+            showStatus('Open the sequence to copy for every slideshow first.', 'error');
+            return;
+        }
+        if (info.videoTracks < 2) {
+            showStatus('The open sequence needs at least 2 video tracks.', 'error');
+            return;
+        }
+
+        chooseFolder('Select Parent Folder', '', function(parentPath) {
+            startBatch(parentPath, info.sequenceId);
+        });
+    });
+}
+
+/**
+ * List the subfolders and start the run
+ */
+function startBatch(parentPath, templateId) {
+    var escapedPath = escapeForScript(parentPath);
+    var escapedProfile = escapeForScript(layoutProfileEl.value);
+
+    csInterface.evalScript('getBatchFolders("' + escapedPath + '", "' + escapedProfile + '")', function(result) {
+        try {
+            var response = JSON.parse(result);
+            if (!response.success) {
+                showStatus('Error: ' + response.error, 'error');
+                return;
+            }
+
+            batchRows = [];
+            for (var i = 0; i < response.folders.length; i++) {
+                var folder = response.folders[i];
+                batchRows.push({
+                    name: folder.name,
+                    path: folder.path,
+                    profile: folder.profile,
+                    status: folder.valid ? 'pending' : 'skipped',
+                    error: folder.error,
+                    duration: 0,
+                    imageCount: 0
+                });
+            }
+            batchTemplateId = templateId;
+            batchStopRequested = false;
+            batchRunBtn.disabled = true;
+            jobFileBtn.disabled = true;
+            batchStopBtn.disabled = false;
+            createBtn.disabled = true;
+            renderBatchTable();
+            runBatchFolder(0);
+        } catch (e) {
+            showStatus('Error: ' + e.toString(), 'error');
+        }
+    });
+}
+
+/**
+ * Build one folder, then move on to the next - also after a failure
+ */
+function runBatchFolder(index) {
+    if (index >= batchRows.length || batchStopRequested) {
+        finishBatch();
+        return;
+    }
+
+    var row = batchRows[index];
+    if (row.status !== 'pending') {
+        runBatchFolder(index + 1);
+        return;
+    }
+
+    row.status = 'running';
+    renderBatchTable();
+    showStatus('Batch ' + (index + 1) + '/' + batchRows.length + ': ' + row.name + '...', 'info');
+
+    var next = function(error) {
+        if (error) {
+            row.status = 'failed';
+            row.error = error;
+        }
+        renderBatchTable();
+        runBatchFolder(index + 1);
+    };
+
+    buildBatchFolder(row, batchTemplateId, next);
+}
+
+/**
+ * Run the single-folder steps for one batch folder:
+ * preview with preflight, voice import, pause analysis, then the build
+ * @param {object} row - Batch row (updated with the result)
+ * @param {string} templateId - Sequence copied for each slideshow ('' = new sequences)
+ * @param {Function} done - done(error) when finished
+ */
+function buildBatchFolder(row, templateId, done) {
+    var escapedPath = escapeForScript(row.path);
+    var previewOptions = JSON.stringify({
+        profile: layoutProfileEl.value || row.profile,
+        introDuration: parseFloat(introDurationEl.value) || 0,
+        outroDuration: parseFloat(outroDurationEl.value) || 0,
+        brandingFolder: brandingFolderPath,
+        preflight: true
+    });
+
+    csInterface.evalScript('getPreviewInfo("' + escapedPath + '", ' + previewOptions + ')', function(result) {
+        var info;
+        try {
+            info = JSON.parse(result);
+        } catch (e) {
+            done(e.toString());
+            return;
+        }
+        if (!info.valid) {
+            done(info.error);
+            return;
+        }
+        if (info.preflight.errors > 0) {
+            var issue = info.preflight.issues[0];
+            done('Preflight: ' + issue.message + (issue.files.length > 0 ? ' (' + issue.files.join(', ') + ')' : ''));
+            return;
+        }
+
+        var escapedProfile = escapeForScript(info.profile);
+        csInterface.evalScript('getImportedAudioDurations("' + escapedPath + '", "' + escapedProfile + '")', function(result) {
+            var audio;
+            try {
+                audio = JSON.parse(result);
+            } catch (e) {
+                done(e.toString());
+                return;
+            }
+            if (!audio.success) {
+                done(audio.error);
+                return;
+            }
+
+            var build = function(pauses) {
+                var options = getBuildOptions();
+                options.profile = info.profile;
+                options.pauses = pauses;
+                options.voiceDuration = audio.duration;
+                options.voiceDurations = audio.durations;
+                options.videoDurations = {};
+
+                var escapedTemplate = escapeForScript(templateId);
+                csInterface.evalScript('createBatchSlideshow("' + escapedPath + '", "' + escapedTemplate + '", ' +
+                                       JSON.stringify(options) + ')', function(result) {
+                    try {
+                        var response = JSON.parse(result);
+                        if (!response.success) {
+                            done(response.error);
+                            return;
+                        }
+                        row.status = 'done';
+                        row.error = response.warnings && response.warnings.length > 0 ? response.warnings.join('; ') : null;
+                        row.duration = response.voiceDuration;
+                        row.imageCount = response.imageCount;
+                        row.sequenceName = response.sequenceName;
+                        row.sequenceId = response.sequenceId;
+                        done(null);
+                    } catch (e) {
+                        done(e.toString());
+                    }
+                });
+            };
+
+            if (!needsVoiceAnalysis(info)) {
+                build([]);
+                return;
+            }
+            analyzeVoiceParts(info.voiceFiles, function(err, parts) {
+                if (err) {
+                    done('Could not analyze ' + err);
+                    return;
+                }
+                build(getVoicePauses(parts, audio.durations, parseFloat(frameRateEl.value)));
+            });
+        });
+    });
+}
+
+/**
+ * End the run and show the totals
+ */
+function finishBatch() {
+    var counts = { done: 0, failed: 0, skipped: 0, pending: 0 };
+    for (var i = 0; i < batchRows.length; i++) {
+        counts[batchRows[i].status]++;
+    }
+
+    batchRunBtn.disabled = false;
+    jobFileBtn.disabled = false;
+    batchStopBtn.disabled = true;
+    updateCreateButton();
+    renderBatchTable();
+    refreshExportList();
+
+    var message = 'Batch finished: ' + counts.done + ' created, ' + counts.failed + ' failed, ' +
+                  counts.skipped + ' skipped' + (counts.pending > 0 ? ', ' + counts.pending + ' not run (stopped)' : '') + '.';
+    showStatus(message, counts.failed > 0 ? 'error' : 'success');
+}
+
+/**
+ * Render the per-folder result table
+ */
+function renderBatchTable() {
+    if (batchRows.length === 0) {
+        batchList.innerHTML = '<div class="export-empty">No batch run yet</div>';
+        batchCount.textContent = '';
+        return;
+    }
+
+    var labels = { pending: 'Waiting', running: 'Building...', done: 'Created', failed: 'Failed', skipped: 'Skipped' };
+    var finished = 0;
+    var html = '<table class="batch-table"><tr><th>Folder</th><th>Result</th><th>Duration</th><th>Images</th></tr>';
+    for (var i = 0; i < batchRows.length; i++) {
+        var row = batchRows[i];
+        if (row.status === 'done' || row.status === 'failed' || row.status === 'skipped') finished++;
+        html += '<tr><td>' + escapeHtml(row.name) + '</td>';
+        html += '<td class="' + row.status + '">' + labels[row.status] +
+                (row.error ? '<br>' + escapeHtml(row.error) : '') + '</td>';
+        html += '<td class="num">' + (row.duration ? formatDuration(row.duration) : '-') + '</td>';
+        html += '<td class="num">' + (row.imageCount || '-') + '</td></tr>';
+    }
+    html += '</table>';
+    batchList.innerHTML = html;
+    batchCount.textContent = '(' + finished + '/' + batchRows.length + ')';
+}
+
+/**
+ * Choose a job file and run it
+ */
+function runJobFileHandler() {
+    if (!(window.cep && window.cep.fs && window.cep.fs.showOpenDialogEx)) {
+        showStatus('Choosing a job file needs a newer version of Premiere Pro.', 'error');
+        return;
+    }
+    var result = window.cep.fs.showOpenDialogEx(false, false, 'Select Job File', '', ['json']);
+    if (result.err === 0 && result.data && result.data.length > 0) {
+        runJobFile(result.data[0]);
+    }
+}
+
+/**
+ * Run a job file on the host and show its result in the batch table
+ * The job brings its own folder and settings; the panel settings are not used.
+ * @param {string} jobPath - Job file
+ */
+function runJobFile(jobPath) {
+    batchRunBtn.disabled = true;
+    jobFileBtn.disabled = true;
+    createBtn.disabled = true;
+    showStatus('Running job ' + extractFolderName(jobPath) + '...', 'info');
+
+    csInterface.evalScript('runSlideshowJobs("' + escapeForScript(jobPath) + '")', function(result) {
+        batchRunBtn.disabled = false;
+        jobFileBtn.disabled = false;
+        updateCreateButton();
+
+        var response = null;
+        try {
+            response = JSON.parse(result);
+        } catch (e) {
+            showStatus('Error: ' + (result || e.toString()), 'error');
+            return;
+        }
+        if (response.error) {
+            showStatus('Error: ' + response.error, 'error');
+            return;
+        }
+
+        batchRows = [];
+        for (var i = 0; i < response.jobs.length; i++) {
+            var job = response.jobs[i];
+            var notes = job.error ? [job.error] : [];
+            if (job.warnings && job.warnings.length > 0) {
+                notes = notes.concat(job.warnings);
+            }
+            batchRows.push({
+                name: extractFolderName(job.folder || job.job),
+                path: job.folder,
+                status: job.success ? 'done' : 'failed',
+                error: notes.join('; '),
+                duration: job.voiceDuration,
+                imageCount: job.imageCount
+            });
+        }
+        batchHeader.classList.add('expanded');
+        batchContent.classList.add('show');
+        renderBatchTable();
+        refreshExportList();
+
+        var count = response.jobs.length > 1 ? ' (' + response.jobs.length + ' jobs, ' + response.failed + ' failed)' : '';
+        if (response.failed > 0) {
+            // The first job that failed, not just the first job of the file
+            var failedJob = null;
+            for (var f = 0; f < response.jobs.length && !failedJob; f++) {
+                if (!response.jobs[f].success) failedJob = response.jobs[f];
+            }
+            showStatus('Job failed' + count + ': ' + failedJob.error + ' Result: ' + failedJob.resultPath, 'error');
+        } else {
+            var first = response.jobs[0];
+            showStatus('Job done' + count + ': ' + first.sequenceName + (first.exported ? ' (queued in AME)' : '') +
+                       '. Result: ' + first.resultPath, 'success');
+        }
+    });
+}
+
+// ============================================================
+// WATCH FOLDER
+// ============================================================
+
+/**
+ * Start watching (checks the sequence to copy first in open-sequence mode)
+ */
+function startWatchingHandler() {
+    if (!watchFolderPath) {
+        showStatus('Choose the folder to watch first.', 'error');
+        return;
+    }
+    if (sequenceModeEl.value !== 'active') {
+        startWatching('');
+        return;
+    }
+
+    csInterface.evalScript('checkActiveSequence()', function(result) {
+        var info = null;
+        try {
+            info = JSON.parse(result);
+        } catch (e) {
+            // Handled below
+        }
+        if (!info || !info.hasSequence || info.videoTracks < 2) {
+            showStatus('Open the sequence to copy for every slideshow (2+ video tracks) first.', 'error');
+            return;
+        }
+        startWatching(info.sequenceId);
+    });
+}
+
+/**
+ * Start polling the watch folder
+ * @param {string} templateId - Sequence copied for each slideshow ('' = new sequences)
+ */
+function startWatching(templateId) {
+    watchTemplateId = templateId;
+    watchFolders = {};
+    watchScanFailures = 0;
+    watchActive = true;
+    watchToggleBtn.textContent = 'Stop Watching';
+    document.getElementById('watchFolderBtn').disabled = true;
+    document.getElementById('watchState').textContent = '(watching)';
+    addWatchLog(extractFolderName(watchFolderPath), 'Started watching', 'info');
+    pollWatchFolder(true);
+}
+
+/**
+ * Stop polling (a build in progress still finishes)
+ */
+function stopWatching() {
+    watchActive = false;
+    if (watchTimer) {
+        clearTimeout(watchTimer);
+        watchTimer = null;
+    }
+    watchToggleBtn.textContent = 'Start Watching';
+    document.getElementById('watchFolderBtn').disabled = false;
+    document.getElementById('watchState').textContent = '';
+    addWatchLog(extractFolderName(watchFolderPath), 'Stopped watching', 'info');
+}
+
+/**
+ * Poll again after WATCH_POLL_INTERVAL
+ */
+function scheduleWatchPoll() {
+    if (watchActive && !watchTimer) {
+        watchTimer = setTimeout(function() {
+            watchTimer = null;
+            pollWatchFolder(false);
+        }, WATCH_POLL_INTERVAL);
+    }
+}
+
+/**
+ * Scan the watch folder, track changes and build the next settled folder
+ * A folder is built once its files have not changed for the settle time.
+ * @param {boolean} initial - First scan (folders built before are only counted)
+ */
+function pollWatchFolder(initial) {
+    if (!watchActive) return;
+    // A build, batch or job run is using the host
+    if (watchBusy || batchRunBtn.disabled) {
+        scheduleWatchPoll();
+        return;
+    }
+
+    csInterface.evalScript('scanWatchFolder("' + escapeForScript(watchFolderPath) + '")', function(result) {
+        var response = null;
+        try {
+            response = JSON.parse(result);
+        } catch (e) {
+            // Handled below
+        }
+        if (!response || !response.success) {
+            // A share that drops out or a locked folder usually comes back - try again on the next poll
+            watchScanFailures++;
+            var scanError = response && response.error ? response.error : 'Could not scan the folder';
+            if (watchScanFailures >= WATCH_MAX_SCAN_FAILURES) {
+                addWatchLog(extractFolderName(watchFolderPath), scanError + ' - stopped after ' +
+                            watchScanFailures + ' failed scans in a row', 'rejected');
+                stopWatching();
+            } else {
+                addWatchLog(extractFolderName(watchFolderPath), scanError + ' - trying again', 'rejected');
+                scheduleWatchPoll();
+            }
+            return;
+        }
+        watchScanFailures = 0;
+
+        var now = new Date().getTime();
+        var settleMs = Math.max(5, parseFloat(document.getElementById('watchSettle').value) || 30) * 1000;
+        var seen = {};
+        var alreadyBuilt = 0;
+        var next = null;
+
+        for (var i = 0; i < response.folders.length; i++) {
+            var folder = response.folders[i];
+            var entry = watchFolders[folder.path];
+            seen[folder.path] = true;
+
+            if (!entry) {
+                entry = watchFolders[folder.path] = {
+                    name: folder.name,
+                    path: folder.path,
+                    signature: folder.signature,
+                    changedAt: now,
+                    state: folder.processed ? 'done' : 'waiting'
+                };
+                if (folder.processed) {
+                    if (initial) {
+                        alreadyBuilt++;
+                    } else {
+                        addWatchLog(folder.name, 'Already built - skipped', 'info');
+                    }
+                } else {
+                    addWatchLog(folder.name, 'Picked up, waiting for the files to settle', 'picked');
+                }
+            } else if (entry.signature !== folder.signature) {
+                entry.signature = folder.signature;
+                entry.changedAt = now;
+                if (entry.state === 'rejected') {
+                    entry.state = 'waiting';
+                    addWatchLog(folder.name, 'Changed - checking again', 'picked');
+                }
+            }
+
+            if (entry.state === 'waiting' && folder.processed) {
+                entry.state = 'done';
+                addWatchLog(folder.name, 'Built elsewhere - skipped', 'info');
+            }
+            if (!next && entry.state === 'waiting' && folder.files > 0 && now - entry.changedAt >= settleMs) {
+                next = entry;
+            }
+        }
+
+        // Folders that were removed are picked up again if they come back
+        for (var path in watchFolders) {
+            if (watchFolders.hasOwnProperty(path) && !seen[path] && watchFolders[path].state !== 'building') {
+                delete watchFolders[path];
+            }
+        }
+        if (alreadyBuilt > 0) {
+            addWatchLog(extractFolderName(watchFolderPath), alreadyBuilt + ' folder(s) already built', 'info');
+        }
+
+        if (next) {
+            buildWatchFolder(next);
+        } else {
+            scheduleWatchPoll();
+        }
+    });
+}
+
+/**
+ * Build a settled folder with the panel settings and queue it in AME
+ * @param {object} entry - Watched folder
+ */
+function buildWatchFolder(entry) {
+    watchBusy = true;
+    entry.state = 'building';
+    batchRunBtn.disabled = true;
+    jobFileBtn.disabled = true;
+    createBtn.disabled = true;
+    addWatchLog(entry.name, 'Building...', 'info');
+
+    var finish = function(state) {
+        entry.state = state;
+        watchBusy = false;
+        batchRunBtn.disabled = false;
+        jobFileBtn.disabled = false;
+        updateCreateButton();
+        refreshExportList();
+        scheduleWatchPoll();
+    };
+
+    var row = { name: entry.name, path: entry.path, profile: '' };
+    buildBatchFolder(row, watchTemplateId, function(error) {
+        if (error) {
+            addWatchLog(entry.name, 'Rejected: ' + error, 'rejected');
+            finish('rejected');
+            return;
+        }
+        addWatchLog(entry.name, 'Built ' + row.sequenceName + ' (' + formatDuration(row.duration) + ', ' +
+                    row.imageCount + ' images)' + (row.error ? ' - ' + row.error : ''), 'built');
+
+        csInterface.evalScript('exportWatchFolderSlideshow("' + escapeForScript(entry.path) + '", "' +
+                               escapeForScript(row.sequenceId || '') + '")', function(result) {
+            var response = null;
+            try {
+                response = JSON.parse(result);
+            } catch (e) {
+                // Handled below
+            }
+            if (response && response.success) {
+                addWatchLog(entry.name, 'Queued in AME: ' + extractFolderName(response.outputPath), 'exported');
+            } else {
+                addWatchLog(entry.name, 'Export failed: ' + (response ? response.error : result), 'rejected');
+            }
+            // Built either way; the manifest keeps it from being built again
+            finish('done');
+        });
+    });
+}
+
+/**
+ * Add a line to the activity log (newest first)
+ * @param {string} name - Folder the line is about
+ * @param {string} message - What happened
+ * @param {string} level - 'info' | 'picked' | 'built' | 'exported' | 'rejected'
+ */
+function addWatchLog(name, message, level) {
+    var now = new Date();
+    var pad = function(value) {
+        return (value < 10 ? '0' : '') + value;
+    };
+    watchLog.unshift({
+        time: pad(now.getHours()) + ':' + pad(now.getMinutes()) + ':' + pad(now.getSeconds()),
+        name: name,
+        message: message,
+        level: level
+    });
+    if (watchLog.length > WATCH_LOG_LIMIT) {
+        watchLog.length = WATCH_LOG_LIMIT;
+    }
+    renderWatchLog();
+}
+
+/**
+ * Render the activity log
+ */
+function renderWatchLog() {
+    if (watchLog.length === 0) {
+        watchLogEl.innerHTML = '<div class="export-empty">Not watching</div>';
+        return;
+    }
+    var html = '';
+    for (var i = 0; i < watchLog.length; i++) {
+        var line = watchLog[i];
+        html += '<div class="watch-entry ' + line.level + '"><span class="watch-time">' + line.time + '</span> ' +
+                '<strong>' + escapeHtml(line.name) + '</strong> ' + escapeHtml(line.message) + '</div>';
+    }
+    watchLogEl.innerHTML = html;
+}
+
+// ============================================================
+// EXPORT FUNCTIONS
+// ============================================================
+
+/**
+ * Refresh the list of exportable slideshows
  */
 function refreshExportList() {
     csInterface.evalScript('getSlideshowList()', function(result) {
@@ -421,14 +2415,25 @@ function refreshExportList() {
                     exportAllBtn.disabled = true;
                 } else {
                     var html = '';
+                    var languages = [];
                     for (var i = 0; i < slideshows.length; i++) {
+                        var itemLanguages = slideshows[i].languages || [];
                         html += '<div class="export-item">';
                         html += '<span class="item-icon">&#9658;</span>';
                         html += '<span class="item-name">' + escapeHtml(slideshows[i].name) + '</span>';
+                        if (itemLanguages.length > 0) {
+                            html += '<span class="item-languages">' + escapeHtml(itemLanguages.join(', ')) + '</span>';
+                        }
                         html += '</div>';
+                        for (var l = 0; l < itemLanguages.length; l++) {
+                            if (languages.indexOf(itemLanguages[l]) === -1) {
+                                languages.push(itemLanguages[l]);
+                            }
+                        }
                     }
                     exportList.innerHTML = html;
                     exportAllBtn.disabled = false;
+                    renderExportLanguages(languages);
                 }
             } else {
                 exportList.innerHTML = '<div class="export-empty">Error: ' + response.error + '</div>';
@@ -450,6 +2455,19 @@ function escapeHtml(str) {
     return div.innerHTML;
 }
 
+/**
+ * Fill the subtitle language choice with the languages of all slideshows
+ */
+function renderExportLanguages(languages) {
+    var selected = exportSubtitleLanguageEl.value;
+    var html = '<option value="">First language</option>';
+    for (var i = 0; i < languages.length; i++) {
+        html += '<option value="' + escapeHtml(languages[i]).replace(/"/g, '&quot;') + '">' + escapeHtml(languages[i]) + '</option>';
+    }
+    exportSubtitleLanguageEl.innerHTML = html;
+    exportSubtitleLanguageEl.value = languages.indexOf(selected) !== -1 ? selected : '';
+}
+
 /**
  * Handle export all slideshows button click
  */
@@ -457,7 +2475,12 @@ function exportAllHandler() {
     exportAllBtn.disabled = true;
     showStatus('Exporting to Adobe Media Encoder...', 'info');
 
-    csInterface.evalScript('exportAllSlideshows()', function(result) {
+    var options = JSON.stringify({
+        subtitleMode: exportSubtitleModeEl.value,
+        subtitleLanguage: exportSubtitleLanguageEl.value
+    });
+
+    csInterface.evalScript('exportAllSlideshows(' + options + ')', function(result) {
         try {
             var response = JSON.parse(result);
 
@@ -466,6 +2489,9 @@ function exportAllHandler() {
                 if (response.failed > 0) {
                     message += ' (' + response.failed + ' failed)';
                 }
+                if (response.warnings && response.warnings.length > 0) {
+                    message += ' ' + response.warnings.join('; ');
+                }
                 showStatus(message, 'success');
             } else if (response.error) {
                 showStatus('Error: ' + response.error, 'error');
@@ -162,6 +162,49 @@ function naturalSort(a, b) {
     return aName.length - bName.length;
 }
 
+/**
+ * Split one CSV line into fields (ES3 compatible)
+ * Supports quoted fields with "" escapes; comma or semicolon separated
+ * @param {string} line - CSV line
+ * @param {string} separator - Field separator ("," or ";")
+ * @returns {Array} Array of trimmed field strings
+ */
+function parseCsvLine(line, separator) {
+    var fields = [];
+    var field = "";
+    var inQuotes = false;
+
+    for (var i = 0; i < line.length; i++) {
+        var ch = line.charAt(i);
+        if (inQuotes) {
+            if (ch === '"' && line.charAt(i + 1) === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === separator) {
+            fields.push(trimString(field));
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(trimString(field));
+    return fields;
+}
+
+/**
+ * Trim whitespace from both ends of a string (ES3 compatible)
+ */
+function trimString(str) {
+    return str.replace(/^\s+|\s+$/g, "");
+}
+
 /**
  * Create a bin if it doesn't already exist in the parent bin
  * @param {ProjectItem} parentBin - The parent bin to search/create in
@@ -195,6 +238,7 @@ function createSlideshowBins(projectFolderName) {
     var captionsBin = createBinIfNotExists(projectBin, "Captions");
 
     return {
+        project: projectBin,
         images: imagesBin,
         voiceovers: voiceoversBin,
         captions: captionsBin
@@ -208,52 +252,119 @@ function createSlideshowBins(projectFolderName) {
  */
 function getSequenceFrameRate(sequence) {
     // sequence.timebase returns ticks per frame
-    // 254016000000 ticks per second is Premiere's internal base
-    var ticksPerSecond = 254016000000;
-    var ticksPerFrame = sequence.timebase;
-    return ticksPerSecond / ticksPerFrame;
+    return TICKS_PER_SECOND / sequence.timebase;
+}
+
+/**
+ * Clamp any number into the valid seed range (1 - 2147483646)
+ * @param {number} seed - Seed value
+ * @returns {number} Integer seed
+ */
+function normalizeSeed(seed) {
+    seed = Math.floor(Math.abs(seed)) % 2147483647;
+    return seed === 0 ? 1 : seed;
+}
+
+/**
+ * Create a new random seed for builds that don't specify one
+ * @returns {number} Integer seed
+ */
+function generateSeed() {
+    return normalizeSeed(Math.random() * 2147483646 + 1);
+}
+
+/**
+ * Create a seeded pseudo-random generator (Park-Miller minimal standard)
+ * Products stay below 2^53 so every host produces the same sequence
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning a float in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+    var state = normalizeSeed(seed);
+    return function() {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+/**
+ * Get the shortest time an image should get in frames
+ * 0.5 seconds (at least one frame), plus the transition overlap so the
+ * image is fully on screen between its transitions
+ * @param {number} frameRate - Sequence frame rate
+ * @param {number} overlapFrames - Transition overlap (0 = hard cuts)
+ * @returns {number} Minimum frames
+ */
+function getMinimumImageFrames(frameRate, overlapFrames) {
+    return Math.max(Math.round(frameRate * 0.5), 1) + (overlapFrames || 0);
 }
 
 /**
  * Calculate randomized durations using FRAME-BASED integer arithmetic
  * Returns frame counts (integers) to avoid floating-point accumulation errors
  * Guarantees: sum of all frame counts exactly equals total frames
- * @param {number} totalDuration - Total duration to fill (voice duration in seconds)
- * @param {number} imageCount - Number of images to distribute time across
+ * @param {number} totalDuration - Total duration to fill (narration length in seconds; intro/outro cards are not included)
+ * @param {number} imageCount - Number of body images to distribute time across
  * @param {number} maxVariation - Maximum variation from base duration (e.g., 2 for ±2 seconds)
  * @param {number} frameRate - Sequence frame rate (e.g., 30, 29.97, 60)
+ * @param {Function} random - Random source (e.g. from createSeededRandom), defaults to Math.random
+ * @param {Array} weights - Relative per-image weights shaping the base split (optional, e.g. pacing curve)
+ * @param {number} overlapFrames - Transition overlap (optional); every image keeps the minimum on top of it,
+ *   so it is fully on screen between its transitions. The frame counts are the cut-to-cut times, so the
+ *   total is unchanged; clips are lengthened by the overlap when they are placed.
  * @returns {Array} Array of frame counts (integers)
  */
-function calculateRandomDurations(totalDuration, imageCount, maxVariation, frameRate) {
+function calculateRandomDurations(totalDuration, imageCount, maxVariation, frameRate, random, weights, overlapFrames) {
+    if (!random) {
+        random = Math.random;
+    }
+
     // Convert total duration to frames (integer)
     var totalFrames = Math.round(totalDuration * frameRate);
     var baseFrames = Math.floor(totalFrames / imageCount);
     var extraFrames = totalFrames - (baseFrames * imageCount);
+    var minFrames = getMinimumImageFrames(frameRate, overlapFrames);
 
-    // Start with base frames for all images
     var frameCounts = [];
-    for (var i = 0; i < imageCount; i++) {
-        frameCounts.push(baseFrames);
-    }
+    if (weights) {
+        // Shape the base split by weight, keeping the minimum wherever it fits
+        var keepMin = totalFrames >= minFrames * imageCount;
+        var specs = [];
+        for (var w = 0; w < imageCount; w++) {
+            specs.push({ weight: weights[w], fixed: 0, min: keepMin ? minFrames : 0, max: 0 });
+        }
+        frameCounts = allocateWeightedFrames(totalFrames, specs).frameCounts;
+    } else {
+        // Start with base frames for all images
+        for (var i = 0; i < imageCount; i++) {
+            frameCounts.push(baseFrames);
+        }
 
-    // Distribute extra frames evenly across first N images
-    for (var e = 0; e < extraFrames; e++) {
-        frameCounts[e]++;
+        // Distribute extra frames evenly across first N images
+        for (var e = 0; e < extraFrames; e++) {
+            frameCounts[e]++;
+        }
     }
 
-    // Calculate safe variation in frames
+    // Calculate safe variation in frames (per image, so short clips stay above the minimum)
     var maxVarFrames = Math.round(maxVariation * frameRate);
-    var minFrames = Math.max(Math.round(frameRate * 0.5), 1); // Min 0.5 seconds or 1 frame
-    var safeMaxVarFrames = Math.min(maxVarFrames, baseFrames - minFrames);
-    if (safeMaxVarFrames < 0) safeMaxVarFrames = 0;
+    var safeVarFrames = [];
+    var hasVariation = false;
+    for (var v = 0; v < imageCount; v++) {
+        var room = (weights ? frameCounts[v] : baseFrames) - minFrames;
+        var safe = Math.min(maxVarFrames, room);
+        if (safe < 0) safe = 0;
+        if (safe > 0) hasVariation = true;
+        safeVarFrames.push(safe);
+    }
 
     // Apply random variation if enabled and more than 1 image
-    if (safeMaxVarFrames > 0 && imageCount > 1) {
+    if (hasVariation && imageCount > 1) {
         // Generate random offsets (integers)
         var offsets = [];
         var totalOffset = 0;
         for (var r = 0; r < imageCount; r++) {
-            var offset = Math.round((Math.random() * 2 - 1) * safeMaxVarFrames);
+            var offset = Math.round((random() * 2 - 1) * safeVarFrames[r]);
             offsets.push(offset);
             totalOffset += offset;
         }
@@ -275,7 +386,15 @@ function calculateRandomDurations(totalDuration, imageCount, maxVariation, frame
 
         // Correct last image to ensure exact total frames
         // This eliminates any remaining drift from rounding
-        frameCounts[imageCount - 1] += (totalFrames - newTotal);
+        // (taken from the longest image instead if the last would drop below the minimum)
+        var drift = totalFrames - newTotal;
+        var target = imageCount - 1;
+        if (frameCounts[target] + drift < minFrames) {
+            for (var m = 0; m < imageCount; m++) {
+                if (frameCounts[m] > frameCounts[target]) target = m;
+            }
+        }
+        frameCounts[target] += drift;
     }
 
     // Return frame counts (integers) - NOT converted to seconds
@@ -283,6 +402,167 @@ function calculateRandomDurations(totalDuration, imageCount, maxVariation, frame
     return frameCounts;
 }
 
+/**
+ * Relative image weight at a point of a pacing curve
+ * @param {string} pacing - flat, ease-in, ease-out, ease-in-out, build-up or custom
+ * @param {number} t - Position in the slideshow (0 = start, 1 = end)
+ * @param {Array} curve - Custom curve points (0-1, evenly spaced), used for "custom"
+ * @returns {number} Weight (1 = average pace, higher = image stays longer)
+ */
+function getPacingWeight(pacing, t, curve) {
+    switch (pacing) {
+        case "ease-in":
+            // Slow start, fast finish
+            return 1.6 - 1.2 * t;
+        case "ease-out":
+            // Fast start, slow finish
+            return 0.4 + 1.2 * t;
+        case "ease-in-out":
+            // Steady middle, slower intro and outro
+            return 1 + 1.2 * Math.pow(Math.abs(2 * t - 1), 4);
+        case "build-up":
+            // Accelerating montage: every cut comes sooner than the last
+            return 1.8 * Math.pow(0.15, t);
+        case "custom":
+            if (!curve || curve.length === 0) return 1;
+            if (curve.length === 1) return 0.25 + 1.75 * curve[0];
+            var pos = t * (curve.length - 1);
+            var index = Math.min(Math.floor(pos), curve.length - 2);
+            var y = curve[index] + (curve[index + 1] - curve[index]) * (pos - index);
+            return 0.25 + 1.75 * Math.max(0, Math.min(1, y));
+        default:
+            return 1;
+    }
+}
+
+/**
+ * Per-image weights for a pacing curve, sampled at each image's midpoint
+ * @param {string} pacing - Pacing curve name
+ * @param {number} imageCount - Number of images
+ * @param {Array} curve - Custom curve points (for "custom")
+ * @returns {Array|null} Array of weights, or null for flat pacing
+ */
+function calculatePacingWeights(pacing, imageCount, curve) {
+    if (!pacing || pacing === "flat") return null;
+
+    var weights = [];
+    for (var i = 0; i < imageCount; i++) {
+        weights.push(getPacingWeight(pacing, (i + 0.5) / imageCount, curve));
+    }
+    return weights;
+}
+
+/**
+ * Allocate frames by weight with fixed lengths and min/max clamps
+ * Fixed images get their frames first, the rest is shared by weight with
+ * any image that would break its clamp pinned to it (largest violation
+ * side first, then re-shared). Sum of frame counts equals totalFrames.
+ * @param {number} totalFrames - Total frames to fill
+ * @param {Array} specs - Per image {weight, fixed, min, max} (frames, 0 = unset)
+ * @returns {object} {frameCounts: Array}, or {error, frames} when the specs cannot fit:
+ *          error "min" / "fixed" / "max" with the frames the specs add up to
+ */
+function allocateWeightedFrames(totalFrames, specs) {
+    var frameCounts = [];
+    var active = [];
+    var remaining = totalFrames;
+    var minSum = 0;
+    var maxSum = 0;
+    var unbounded = false;
+
+    for (var i = 0; i < specs.length; i++) {
+        frameCounts.push(0);
+        if (specs[i].fixed > 0) {
+            frameCounts[i] = specs[i].fixed;
+            remaining -= specs[i].fixed;
+        } else {
+            active.push(i);
+            minSum += Math.max(specs[i].min, 1);
+            if (specs[i].max > 0) {
+                maxSum += specs[i].max;
+            } else {
+                unbounded = true;
+            }
+        }
+    }
+
+    if (remaining < minSum) {
+        return { error: "min", frames: totalFrames - remaining + minSum };
+    }
+    if (active.length === 0 && remaining !== 0) {
+        return { error: "fixed", frames: totalFrames - remaining };
+    }
+    if (active.length > 0 && !unbounded && maxSum < remaining) {
+        return { error: "max", frames: totalFrames - remaining + maxSum };
+    }
+
+    // Pin clamp violators until every share fits its range
+    var shares = [];
+    while (active.length > 0) {
+        var weightSum = 0;
+        for (var a = 0; a < active.length; a++) {
+            weightSum += specs[active[a]].weight;
+        }
+
+        var minViolation = 0;
+        var maxViolation = 0;
+        shares = [];
+        for (var b = 0; b < active.length; b++) {
+            var spec = specs[active[b]];
+            var share = remaining * spec.weight / weightSum;
+            var low = Math.max(spec.min, 1);
+            shares.push(share);
+            if (share < low) minViolation += low - share;
+            if (spec.max > 0 && share > spec.max) maxViolation += share - spec.max;
+        }
+
+        if (minViolation === 0 && maxViolation === 0) break;
+
+        var stillActive = [];
+        for (var c = 0; c < active.length; c++) {
+            var idx = active[c];
+            var pinLow = Math.max(specs[idx].min, 1);
+            if (minViolation >= maxViolation && shares[c] < pinLow) {
+                frameCounts[idx] = pinLow;
+                remaining -= pinLow;
+            } else if (minViolation < maxViolation && specs[idx].max > 0 && shares[c] > specs[idx].max) {
+                frameCounts[idx] = specs[idx].max;
+                remaining -= specs[idx].max;
+            } else {
+                stillActive.push(idx);
+            }
+        }
+        active = stillActive;
+    }
+
+    // Round shares down, hand leftover frames to the largest remainders
+    var assigned = 0;
+    var order = [];
+    for (var d = 0; d < active.length; d++) {
+        frameCounts[active[d]] = Math.floor(shares[d]);
+        assigned += frameCounts[active[d]];
+        order.push(d);
+    }
+    order.sort(function(x, y) {
+        return (shares[y] - Math.floor(shares[y])) - (shares[x] - Math.floor(shares[x]));
+    });
+    for (var r = 0; r < remaining - assigned && order.length > 0; r++) {
+        frameCounts[active[order[r % order.length]]]++;
+    }
+
+    // Every share pinned: absorb any leftover in the last flexible image
+    if (active.length === 0 && remaining !== 0) {
+        for (var f = specs.length - 1; f >= 0; f--) {
+            if (!(specs[f].fixed > 0) && frameCounts[f] + remaining >= 1) {
+                frameCounts[f] += remaining;
+                break;
+            }
+        }
+    }
+
+    return { frameCounts: frameCounts };
+}
+
 /**
  * Extract folder name from a full path
  * @param {string} folderPath - Full path to folder
@@ -304,242 +584,5262 @@ function getFolderName(folderPath) {
 }
 
 // ============================================================
-// FOLDER AND FILE OPERATIONS
+// LAYOUT PROFILES - Subfolder names and file rules per project layout
 // ============================================================
 
 /**
- * Open folder selection dialog
- * @returns {string|null} Selected folder path or null if cancelled
+ * Built-in layout (always available, cannot be edited or deleted)
  */
-function selectFolder() {
-    var folder = Folder.selectDialog("Select project folder containing 'images' and 'voiceovers' subfolders");
-    if (folder) {
-        return folder.fsName;
+var STANDARD_LAYOUT_PROFILE = {
+    name: "Standard",
+    imagesFolder: "images",
+    voiceoversFolder: "voiceovers",
+    subtitlesFolder: "subtitles",
+    musicFolder: "music",
+    imageExtensions: [".png", ".jpg", ".jpeg", ".webp", ".gif", ".bmp", ".tiff", ".tif"],
+    videoExtensions: [".mp4", ".mov", ".m4v", ".avi", ".mxf", ".mts"],
+    audioExtensions: [".mp3", ".wav", ".aac", ".m4a", ".aiff", ".aif", ".ogg", ".flac"],
+    subtitleExtensions: [".srt", ".vtt", ".ass", ".ssa"],
+    voiceSelection: "all",
+    voiceName: "",
+    subtitleSelection: "all",
+    subtitleName: ""
+};
+
+/**
+ * Get the path of the saved layout profiles file
+ * @returns {string} Path in the user data folder
+ */
+function getLayoutProfilesPath() {
+    var folder = new Folder(Folder.userData.fsName + "/AutoSlideshow");
+    if (!folder.exists) {
+        folder.create();
     }
-    return null;
+    return folder.fsName + "/layout-profiles.json";
 }
 
 /**
- * Validate folder structure has required subfolders
- * @param {string} folderPath - Path to project folder
- * @returns {string} JSON result with validation status
+ * Clean up a folder name typed into the profile editor
+ * @param {string} name - Folder name (may include slashes)
+ * @param {string} fallback - Name to use when empty
+ * @returns {string} Relative folder name without leading/trailing slashes
  */
-function validateFolderStructure(folderPath) {
-    var folder = new Folder(folderPath);
-    var imagesFolder = new Folder(folderPath + "/images");
-    var voiceoversFolder = new Folder(folderPath + "/voiceovers");
-
-    var result = {
-        valid: imagesFolder.exists && voiceoversFolder.exists,
-        folderExists: folder.exists,
-        imagesExists: imagesFolder.exists,
-        voiceoversExists: voiceoversFolder.exists
-    };
+function normalizeLayoutFolder(name, fallback) {
+    name = trimString(String(name || "")).replace(/\\/g, "/").replace(/^\/+|\/+$/g, "");
+    return name.length > 0 ? name : fallback;
+}
 
-    if (!result.valid) {
-        if (!imagesFolder.exists && !voiceoversFolder.exists) {
-            result.error = "Missing both 'images' and 'voiceovers' folders";
-        } else if (!imagesFolder.exists) {
-            result.error = "Missing 'images' folder";
-        } else {
-            result.error = "Missing 'voiceovers' folder";
-        }
+/**
+ * Clean up an extension list ("jpg, .PNG" or [".jpg", "png"])
+ * @param {string|Array} extensions - Extensions
+ * @param {Array} fallback - List to use when empty
+ * @returns {Array} Lowercase extensions with leading dots
+ */
+function normalizeLayoutExtensions(extensions, fallback) {
+    var list = typeof extensions === "string" ? extensions.split(/[\s,;]+/) : (extensions || []);
+    var result = [];
+    for (var i = 0; i < list.length; i++) {
+        var ext = trimString(String(list[i])).toLowerCase();
+        if (ext.length === 0) continue;
+        if (ext.charAt(0) !== ".") ext = "." + ext;
+        if (!arrayContains(result, ext)) result.push(ext);
     }
-
-    return JSON.stringify(result);
+    return result.length > 0 ? result : fallback.slice(0);
 }
 
 /**
- * Get voice/audio file from voiceovers folder
- * @param {string} folderPath - Path to project folder
- * @returns {object|null} Voice file info or null
+ * Fill in defaults for a layout profile from the panel or the profiles file
+ * @param {object} profile - Profile (may be partial)
+ * @returns {object} Complete profile
  */
-function getVoiceFileInfo(folderPath) {
-    var voiceoversFolder = new Folder(folderPath + "/voiceovers");
-    if (!voiceoversFolder.exists) return null;
+function normalizeLayoutProfile(profile) {
+    var standard = STANDARD_LAYOUT_PROFILE;
+    profile = profile || {};
+    return {
+        name: trimString(String(profile.name || "")),
+        imagesFolder: normalizeLayoutFolder(profile.imagesFolder, standard.imagesFolder),
+        voiceoversFolder: normalizeLayoutFolder(profile.voiceoversFolder, standard.voiceoversFolder),
+        subtitlesFolder: normalizeLayoutFolder(profile.subtitlesFolder, standard.subtitlesFolder),
+        musicFolder: normalizeLayoutFolder(profile.musicFolder, standard.musicFolder),
+        imageExtensions: normalizeLayoutExtensions(profile.imageExtensions, standard.imageExtensions),
+        videoExtensions: normalizeLayoutExtensions(profile.videoExtensions, standard.videoExtensions),
+        audioExtensions: normalizeLayoutExtensions(profile.audioExtensions, standard.audioExtensions),
+        subtitleExtensions: normalizeLayoutExtensions(profile.subtitleExtensions, standard.subtitleExtensions),
+        voiceSelection: arrayContains(["all", "first", "largest", "named"], profile.voiceSelection) ?
+                        profile.voiceSelection : "all",
+        voiceName: trimString(String(profile.voiceName || "")),
+        subtitleSelection: arrayContains(["all", "first", "largest", "named"], profile.subtitleSelection) ?
+                           profile.subtitleSelection : "all",
+        subtitleName: trimString(String(profile.subtitleName || ""))
+    };
+}
 
-    var audioExtensions = [".mp3", ".wav", ".aac", ".m4a", ".aiff", ".aif", ".ogg", ".flac"];
-    var files = voiceoversFolder.getFiles();
+/**
+ * Load all layout profiles (built-in first, then the saved ones)
+ * @returns {Array} Profiles
+ */
+function loadLayoutProfiles() {
+    var profiles = [normalizeLayoutProfile(STANDARD_LAYOUT_PROFILE)];
+    var file = new File(getLayoutProfilesPath());
+    if (!file.exists) {
+        return profiles;
+    }
 
-    for (var i = 0; i < files.length; i++) {
-        if (files[i] instanceof File) {
-            var ext = getFileExtension(files[i].name);
-            if (arrayContains(audioExtensions, ext)) {
-                return {
-                    path: files[i].fsName,
-                    name: files[i].name
-                };
+    try {
+        file.encoding = "UTF-8";
+        file.open("r");
+        var content = file.read();
+        file.close();
+
+        var saved = JSON.parse(content);
+        var list = saved && saved.profiles ? saved.profiles : [];
+        for (var i = 0; i < list.length; i++) {
+            var profile = normalizeLayoutProfile(list[i]);
+            if (profile.name && !findLayoutProfileIn(profiles, profile.name)) {
+                profiles.push(profile);
             }
         }
+    } catch (e) {
+        // Unreadable profiles file - keep the built-in profile
     }
-    return null;
+    return profiles;
 }
 
 /**
- * Get SRT subtitle file from subtitles folder
- * @param {string} folderPath - Path to project folder
- * @returns {object|null} SRT file info or null
+ * Save the user profiles (the built-in profile is never written)
+ * @param {Array} profiles - All profiles
+ * @returns {boolean} True if written
  */
-function getSrtFileInfo(folderPath) {
-    var subtitlesFolder = new Folder(folderPath + "/subtitles");
-    if (!subtitlesFolder.exists) return null;
+function writeLayoutProfiles(profiles) {
+    var saved = [];
+    for (var i = 0; i < profiles.length; i++) {
+        if (profiles[i].name !== STANDARD_LAYOUT_PROFILE.name) {
+            saved.push(profiles[i]);
+        }
+    }
 
-    var files = subtitlesFolder.getFiles("*.srt");
-    if (files.length > 0 && files[0] instanceof File) {
-        return {
-            path: files[0].fsName,
-            name: files[0].name
-        };
+    try {
+        var file = new File(getLayoutProfilesPath());
+        file.encoding = "UTF-8";
+        file.open("w");
+        file.write("{\n  \"profiles\": " + manifestValueToJson(saved, "  ") + "\n}\n");
+        file.close();
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Find a profile by name (case-insensitive)
+ * @param {Array} profiles - Profiles to search
+ * @param {string} name - Profile name
+ * @returns {object|null} Profile or null
+ */
+function findLayoutProfileIn(profiles, name) {
+    var key = String(name || "").toLowerCase();
+    for (var i = 0; i < profiles.length; i++) {
+        if (profiles[i].name.toLowerCase() === key) {
+            return profiles[i];
+        }
     }
     return null;
 }
 
 /**
- * Get all image files from images folder
- * @param {string} folderPath - Path to project folder
- * @returns {Array} Array of image file paths (sorted)
+ * Get all layout profiles (for the panel's profile picker and editor)
+ * @returns {string} JSON with profiles and the built-in profile name
  */
-function getImageFiles(folderPath) {
-    var imagesFolder = new Folder(folderPath + "/images");
-    if (!imagesFolder.exists) return [];
+function getLayoutProfiles() {
+    return JSON.stringify({
+        profiles: loadLayoutProfiles(),
+        builtIn: STANDARD_LAYOUT_PROFILE.name
+    });
+}
 
-    var imageExtensions = [".png", ".jpg", ".jpeg", ".webp", ".gif", ".bmp", ".tiff", ".tif"];
-    var files = imagesFolder.getFiles();
-    var images = [];
+/**
+ * Create or update a layout profile from the panel's editor
+ * @param {object} profile - Profile fields
+ * @param {string} previousName - Name before editing (for renames, optional)
+ * @returns {string} JSON result with the saved profile list
+ */
+function saveLayoutProfile(profile, previousName) {
+    var result = {
+        success: false,
+        profile: null,
+        profiles: [],
+        error: null
+    };
 
-    for (var i = 0; i < files.length; i++) {
-        if (files[i] instanceof File) {
-            var ext = getFileExtension(files[i].name);
-            if (arrayContains(imageExtensions, ext)) {
-                images.push(files[i]);
-            }
+    profile = normalizeLayoutProfile(profile);
+    var profiles = loadLayoutProfiles();
+    var standardKey = STANDARD_LAYOUT_PROFILE.name.toLowerCase();
+
+    if (!profile.name) {
+        result.error = "Profile needs a name";
+    } else if (profile.name.toLowerCase() === standardKey ||
+               String(previousName || "").toLowerCase() === standardKey) {
+        result.error = "The " + STANDARD_LAYOUT_PROFILE.name + " profile cannot be changed - save a copy under a new name";
+    } else if (profile.voiceSelection === "named" && !profile.voiceName) {
+        result.error = "Enter the voice file name to pick";
+    } else if (profile.subtitleSelection === "named" && !profile.subtitleName) {
+        result.error = "Enter the subtitle file name to pick";
+    } else {
+        var existing = findLayoutProfileIn(profiles, profile.name);
+        var previous = previousName ? findLayoutProfileIn(profiles, previousName) : null;
+        if (existing && existing !== previous) {
+            result.error = "A profile named '" + profile.name + "' already exists";
         }
     }
 
-    // Sort images naturally (1, 2, 10 not 1, 10, 2)
-    images.sort(naturalSort);
+    if (result.error) {
+        result.profiles = profiles;
+        return JSON.stringify(result);
+    }
 
-    // Return just the paths
-    var imagePaths = [];
-    for (var j = 0; j < images.length; j++) {
-        imagePaths.push(images[j].fsName);
+    var replaced = false;
+    for (var i = 0; i < profiles.length; i++) {
+        if (profiles[i] === previous || profiles[i] === existing) {
+            profiles[i] = profile;
+            replaced = true;
+            break;
+        }
+    }
+    if (!replaced) {
+        profiles.push(profile);
     }
 
-    return imagePaths;
+    if (!writeLayoutProfiles(profiles)) {
+        result.error = "Could not write " + getLayoutProfilesPath();
+        result.profiles = loadLayoutProfiles();
+        return JSON.stringify(result);
+    }
+
+    result.success = true;
+    result.profile = profile;
+    result.profiles = profiles;
+    return JSON.stringify(result);
 }
 
 /**
- * Get preview information for the selected folder
- * @param {string} folderPath - Path to project folder
- * @returns {string} JSON with preview info
+ * Delete a saved layout profile
+ * @param {string} name - Profile name
+ * @returns {string} JSON result with the remaining profile list
  */
-function getPreviewInfo(folderPath) {
+function deleteLayoutProfile(name) {
     var result = {
-        valid: false,
-        voiceName: null,
-        voicePath: null,
-        imageCount: 0,
-        imagePaths: [],
-        srtName: null,
-        srtPath: null,
+        success: false,
+        profiles: [],
         error: null
     };
 
-    // Validate folder structure
-    var validation = JSON.parse(validateFolderStructure(folderPath));
-    if (!validation.valid) {
-        result.error = validation.error;
-        return JSON.stringify(result);
+    var profiles = loadLayoutProfiles();
+    var remaining = [];
+    var found = false;
+    for (var i = 0; i < profiles.length; i++) {
+        if (profiles[i].name.toLowerCase() === String(name).toLowerCase()) {
+            found = true;
+        } else {
+            remaining.push(profiles[i]);
+        }
     }
 
-    // Get voice file
-    var voiceInfo = getVoiceFileInfo(folderPath);
-    if (!voiceInfo) {
-        result.error = "No audio file found in 'voices' folder";
-        return JSON.stringify(result);
+    if (String(name).toLowerCase() === STANDARD_LAYOUT_PROFILE.name.toLowerCase()) {
+        result.error = "The " + STANDARD_LAYOUT_PROFILE.name + " profile cannot be deleted";
+        remaining = profiles;
+    } else if (!found) {
+        result.error = "Layout profile '" + name + "' not found";
+    } else if (!writeLayoutProfiles(remaining)) {
+        result.error = "Could not write " + getLayoutProfilesPath();
+        remaining = profiles;
+    } else {
+        result.success = true;
     }
-    result.voiceName = voiceInfo.name;
-    result.voicePath = voiceInfo.path;
 
-    // Get images
-    var imagePaths = getImageFiles(folderPath);
-    if (imagePaths.length === 0) {
-        result.error = "No image files found in 'images' folder";
-        return JSON.stringify(result);
+    result.profiles = remaining;
+    return JSON.stringify(result);
+}
+
+/**
+ * Find the layout profile that fits a project folder
+ * With a profile name only that profile is checked; otherwise the first
+ * profile whose image and voiceover folders both exist is used.
+ * @param {string} folderPath - Path to project folder
+ * @param {string} profileName - Profile to use ("" = auto-detect)
+ * @returns {object} {profile, imagesExists, voiceoversExists, error}
+ */
+function resolveLayoutProfile(folderPath, profileName) {
+    var profiles = loadLayoutProfiles();
+    var candidates = profiles;
+    if (profileName) {
+        var named = findLayoutProfileIn(profiles, profileName);
+        if (!named) {
+            return { profile: null, imagesExists: false, voiceoversExists: false,
+                     error: "Layout profile '" + profileName + "' not found" };
+        }
+        candidates = [named];
     }
-    result.imageCount = imagePaths.length;
-    result.imagePaths = imagePaths;
 
-    // Get SRT file (optional)
-    var srtInfo = getSrtFileInfo(folderPath);
-    if (srtInfo) {
-        result.srtName = srtInfo.name;
-        result.srtPath = srtInfo.path;
+    for (var i = 0; i < candidates.length; i++) {
+        var imagesExists = new Folder(folderPath + "/" + candidates[i].imagesFolder).exists;
+        var voiceoversExists = new Folder(folderPath + "/" + candidates[i].voiceoversFolder).exists;
+        if (imagesExists && voiceoversExists) {
+            return { profile: candidates[i], imagesExists: true, voiceoversExists: true, error: null };
+        }
+        if (candidates.length === 1) {
+            var error;
+            if (!imagesExists && !voiceoversExists) {
+                error = "Missing both '" + candidates[i].imagesFolder + "' and '" +
+                        candidates[i].voiceoversFolder + "' folders";
+            } else if (!imagesExists) {
+                error = "Missing '" + candidates[i].imagesFolder + "' folder";
+            } else {
+                error = "Missing '" + candidates[i].voiceoversFolder + "' folder";
+            }
+            return { profile: null, imagesExists: imagesExists, voiceoversExists: voiceoversExists,
+                     error: error + " (layout profile " + candidates[i].name + ")" };
+        }
     }
 
-    result.valid = true;
-    return JSON.stringify(result);
+    var expected = [];
+    for (var e = 0; e < candidates.length; e++) {
+        expected.push(candidates[e].imagesFolder + "/ + " + candidates[e].voiceoversFolder + "/ (" +
+                      candidates[e].name + ")");
+    }
+    return { profile: null, imagesExists: false, voiceoversExists: false,
+             error: "No layout profile matches this folder - expected " + expected.join(" or ") };
 }
 
-// ============================================================
-// PROJECT ITEM OPERATIONS
-// ============================================================
+/**
+ * Check a file name against a name rule ("*" matches any characters)
+ * @param {string} fileName - File name
+ * @param {string} pattern - Name or wildcard pattern (case-insensitive)
+ * @returns {boolean} True if the name matches
+ */
+function matchesFileName(fileName, pattern) {
+    var source = String(pattern).replace(/[.+^${}()|[\]\\?]/g, "\\$&").replace(/\*/g, ".*");
+    return new RegExp("^" + source + "$", "i").test(fileName);
+}
 
 /**
- * Find a project item by its media path
- * @param {string} filePath - Full path to the media file
- * @returns {ProjectItem|null} The project item or null
+ * Apply a profile's file selection rule
+ * @param {Array} files - File objects in natural order
+ * @param {string} rule - "all", "first", "largest" or "named"
+ * @param {string} name - Name or pattern for the "named" rule
+ * @returns {Array} Selected files
  */
-function findProjectItemByPath(filePath) {
-    function searchInBin(bin) {
-        for (var i = 0; i < bin.children.numItems; i++) {
-            var item = bin.children[i];
-            if (item.type === 2) { // Bin
-                var found = searchInBin(item);
-                if (found) return found;
-            } else {
-                try {
-                    var mediaPath = item.getMediaPath();
-                    if (mediaPath === filePath) {
-                        return item;
-                    }
-                } catch (e) {
-                    // Item might not have media path
-                }
+function selectLayoutFiles(files, rule, name) {
+    if (files.length === 0 || rule === "all") {
+        return files;
+    }
+    if (rule === "named") {
+        var named = [];
+        for (var i = 0; i < files.length; i++) {
+            if (matchesFileName(files[i].name, name)) {
+                named.push(files[i]);
             }
         }
-        return null;
+        // Several voice parts may share one pattern (e.g. part*.wav)
+        return named;
     }
-
-    return searchInBin(app.project.rootItem);
+    if (rule === "largest") {
+        var largest = files[0];
+        for (var j = 1; j < files.length; j++) {
+            if (files[j].length > largest.length) {
+                largest = files[j];
+            }
+        }
+        return [largest];
+    }
+    return [files[0]];
 }
 
 /**
- * Import files into the project
- * @param {Array} filePaths - Array of file paths to import
- * @returns {boolean} Success status
+ * List the files of a profile subfolder with one of the given extensions
+ * @param {string} folderPath - Path to project folder
+ * @param {string} subfolder - Folder below the project folder
+ * @param {Array} extensions - Accepted extensions
+ * @returns {Array} File objects in natural order
  */
-function importFilesToProject(filePaths) {
-    try {
-        app.project.importFiles(filePaths, true, app.project.rootItem, false);
-        return true;
-    } catch (e) {
-        return false;
+function getLayoutFiles(folderPath, subfolder, extensions) {
+    var folder = new Folder(folderPath + "/" + subfolder);
+    if (!folder.exists) return [];
+
+    var files = folder.getFiles();
+    var matches = [];
+    for (var i = 0; i < files.length; i++) {
+        if (files[i] instanceof File && arrayContains(extensions, getFileExtension(files[i].name))) {
+            matches.push(files[i]);
+        }
     }
+
+    // Sort naturally (1, 2, 10 not 1, 10, 2)
+    matches.sort(naturalSort);
+    return matches;
 }
 
 // ============================================================
-// MAIN SLIDESHOW CREATION
+// FOLDER AND FILE OPERATIONS
 // ============================================================
 
 /**
- * Create the slideshow on the timeline
+ * Open folder selection dialog
+ * @returns {string|null} Selected folder path or null if cancelled
+ */
+function selectFolder() {
+    var folder = Folder.selectDialog("Select project folder containing the images and voiceovers subfolders");
+    if (folder) {
+        return folder.fsName;
+    }
+    return null;
+}
+
+/**
+ * Validate folder structure has required subfolders
+ * @param {string} folderPath - Path to project folder
+ * @param {string} profileName - Layout profile to check ("" = auto-detect)
+ * @returns {string} JSON result with validation status and the matched profile
+ */
+function validateFolderStructure(folderPath, profileName) {
+    var folder = new Folder(folderPath);
+    var resolved = resolveLayoutProfile(folderPath, profileName);
+
+    var result = {
+        valid: resolved.profile !== null,
+        profile: resolved.profile ? resolved.profile.name : null,
+        folderExists: folder.exists,
+        imagesExists: resolved.imagesExists,
+        voiceoversExists: resolved.voiceoversExists
+    };
+
+    if (!result.valid) {
+        result.error = resolved.error;
+    }
+
+    return JSON.stringify(result);
+}
+
+/**
+ * Get all voice/audio files from the voiceovers folder
+ * Scripts recorded in parts (part1.wav, part2.wav, ...) play back-to-back
+ * @param {string} folderPath - Path to project folder
+ * @param {object} profile - Layout profile (default: Standard)
+ * @returns {Array} Voice file infos {path, name} in natural order
+ */
+function getVoiceFiles(folderPath, profile) {
+    profile = profile || STANDARD_LAYOUT_PROFILE;
+    var voices = getLayoutFiles(folderPath, profile.voiceoversFolder, profile.audioExtensions);
+    voices = selectLayoutFiles(voices, profile.voiceSelection, profile.voiceName);
+
+    var voiceFiles = [];
+    for (var j = 0; j < voices.length; j++) {
+        voiceFiles.push({
+            path: voices[j].fsName,
+            name: voices[j].name
+        });
+    }
+    return voiceFiles;
+}
+
+/**
+ * Get the first voice/audio file from the voiceovers folder
+ * @param {string} folderPath - Path to project folder
+ * @param {object} profile - Layout profile (default: Standard)
+ * @returns {object|null} Voice file info or null
+ */
+function getVoiceFileInfo(folderPath, profile) {
+    var voiceFiles = getVoiceFiles(folderPath, profile);
+    return voiceFiles.length > 0 ? voiceFiles[0] : null;
+}
+
+/**
+ * Get the language code from a subtitle file name
+ * Accepts en.srt, video.es.srt, script_de.srt, pt-BR.srt ...
+ * @param {string} fileName - Subtitle file name
+ * @returns {string} Language code (e.g. "en", "pt-BR") or "" when none is found
+ */
+function getSubtitleLanguage(fileName) {
+    var base = fileName.replace(/\.[^\.]+$/, "");
+    var match = base.match(/(?:^|[\.\-_\s])([a-z]{2,3})(?:[\-_]([a-z]{2}|\d{3}))?$/i);
+    if (!match) return "";
+    return match[1].toLowerCase() + (match[2] ? "-" + match[2].toUpperCase() : "");
+}
+
+/**
+ * Get all subtitle files from the subtitles folder, one per language
+ * WebVTT and ASS/SSA files are captioned through an SRT written next to
+ * them (srtPath, see convertSubtitleFiles). An SRT that is already there
+ * stands in for its source while it is up to date.
+ * @param {string} folderPath - Path to project folder
+ * @param {object} profile - Layout profile (default: Standard)
+ * @returns {Array} Subtitle info {path, name, srtPath, language, label} in natural order
+ */
+function getSubtitleFiles(folderPath, profile) {
+    profile = profile || STANDARD_LAYOUT_PROFILE;
+    var found = getLayoutFiles(folderPath, profile.subtitlesFolder, profile.subtitleExtensions);
+
+    // Keep one file per name: en.vtt and its converted en.srt count once
+    var files = [];
+    for (var f = 0; f < found.length; f++) {
+        var base = found[f].name.replace(/\.[^\.]+$/, "").toLowerCase();
+        var isSrt = getFileExtension(found[f].name) === ".srt";
+        var keep = true;
+        for (var o = 0; o < found.length && keep; o++) {
+            if (o === f || found[o].name.replace(/\.[^\.]+$/, "").toLowerCase() !== base) continue;
+            var otherIsSrt = getFileExtension(found[o].name) === ".srt";
+            if (isSrt && !otherIsSrt) {
+                keep = found[f].modified >= found[o].modified;
+            } else if (!isSrt && otherIsSrt) {
+                keep = found[f].modified > found[o].modified;
+            }
+        }
+        if (keep) files.push(found[f]);
+    }
+    files = selectLayoutFiles(files, profile.subtitleSelection, profile.subtitleName);
+
+    var subtitles = [];
+    for (var i = 0; i < files.length; i++) {
+        var language = getSubtitleLanguage(files[i].name);
+        subtitles.push({
+            path: files[i].fsName,
+            name: files[i].name,
+            srtPath: getFileExtension(files[i].name) === ".srt" ? files[i].fsName :
+                     files[i].fsName.replace(/\.[^\.\/\\]+$/, "") + ".srt",
+            language: language,
+            // Files without a language code are labelled by name
+            label: language || files[i].name.replace(/\.[^\.]+$/, "")
+        });
+    }
+    return subtitles;
+}
+
+/**
+ * Get subtitle file from the subtitles folder
+ * With several languages the first file is used (e.g. for cue sync)
+ * @param {string} folderPath - Path to project folder
+ * @param {object} profile - Layout profile (default: Standard)
+ * @returns {object|null} SRT file info or null
+ */
+function getSrtFileInfo(folderPath, profile) {
+    var subtitles = getSubtitleFiles(folderPath, profile);
+    return subtitles.length > 0 ? subtitles[0] : null;
+}
+
+/**
+ * Get the music files of the optional music folder
+ * @param {string} folderPath - Path to project folder
+ * @param {object} profile - Layout profile (default: Standard)
+ * @returns {Array} Music files {path, name} in natural order
+ */
+function getMusicFiles(folderPath, profile) {
+    profile = profile || STANDARD_LAYOUT_PROFILE;
+    var files = getLayoutFiles(folderPath, profile.musicFolder, profile.audioExtensions);
+    var music = [];
+    for (var i = 0; i < files.length; i++) {
+        music.push({
+            path: files[i].fsName,
+            name: files[i].name
+        });
+    }
+    return music;
+}
+
+/**
+ * Find an intro or outro card (intro.png, outro.mp4 ...) in a folder
+ * @param {string} folderPath - Folder to look in
+ * @param {string} cardName - "intro" or "outro"
+ * @param {object} profile - Layout profile (image and video types)
+ * @returns {object|null} Card {path, name, video} or null
+ */
+function findCardMedia(folderPath, cardName, profile) {
+    var folder = new Folder(folderPath);
+    if (!folderPath || !folder.exists) return null;
+
+    var extensions = profile.imageExtensions.concat(profile.videoExtensions);
+    var files = folder.getFiles();
+    var matches = [];
+    for (var i = 0; i < files.length; i++) {
+        if (files[i] instanceof File &&
+            files[i].name.replace(/\.[^\.]+$/, "").toLowerCase() === cardName &&
+            arrayContains(extensions, getFileExtension(files[i].name))) {
+            matches.push(files[i]);
+        }
+    }
+    if (matches.length === 0) return null;
+
+    matches.sort(naturalSort);
+    return {
+        path: matches[0].fsName,
+        name: matches[0].name,
+        video: isVideoFile(matches[0].fsName, profile)
+    };
+}
+
+/**
+ * Get the intro and outro cards of a project
+ * A card in the project folder wins over the one in the shared branding folder.
+ * @param {string} folderPath - Path to project folder
+ * @param {string} brandingFolder - Shared branding folder ("" = none)
+ * @param {object} profile - Layout profile (default: Standard)
+ * @returns {object} {intro, outro}: card info (shared = from the branding folder) or null
+ */
+function getCardMedia(folderPath, brandingFolder, profile) {
+    profile = profile || STANDARD_LAYOUT_PROFILE;
+    var cards = {};
+    var names = ["intro", "outro"];
+    for (var n = 0; n < names.length; n++) {
+        var card = findCardMedia(folderPath, names[n], profile);
+        if (card) {
+            card.shared = false;
+        } else if (brandingFolder) {
+            card = findCardMedia(brandingFolder, names[n], profile);
+            if (card) card.shared = true;
+        }
+        cards[names[n]] = card;
+    }
+    return cards;
+}
+
+/**
+ * Get all image and video files from the images folder
+ * @param {string} folderPath - Path to project folder
+ * @param {object} profile - Layout profile (default: Standard)
+ * @param {string} subfolder - Folder below the images folder (optional)
+ * @returns {Array} Array of image/video file paths (sorted)
+ */
+function getImageFiles(folderPath, profile, subfolder) {
+    profile = profile || STANDARD_LAYOUT_PROFILE;
+    var folder = profile.imagesFolder + (subfolder ? "/" + subfolder : "");
+    var images = getLayoutFiles(folderPath, folder, profile.imageExtensions.concat(profile.videoExtensions));
+
+    // Return just the paths
+    var imagePaths = [];
+    for (var j = 0; j < images.length; j++) {
+        imagePaths.push(images[j].fsName);
+    }
+
+    return imagePaths;
+}
+
+/**
+ * Check whether a file in the images folder is a video clip
+ * @param {string} filePath - File path
+ * @param {object} profile - Layout profile (default: Standard)
+ * @returns {boolean} True for video extensions of the profile
+ */
+function isVideoFile(filePath, profile) {
+    profile = profile || STANDARD_LAYOUT_PROFILE;
+    return arrayContains(profile.videoExtensions, getFileExtension(getFolderName(filePath)));
+}
+
+/**
+ * Get numbered image subfolders (images/1, images/part2, images/03 ...)
+ * @param {string} folderPath - Path to project folder
+ * @param {object} profile - Layout profile (default: Standard)
+ * @returns {Array} Groups {number, name, imagePaths} sorted by number
+ */
+function getImageGroups(folderPath, profile) {
+    profile = profile || STANDARD_LAYOUT_PROFILE;
+    var imagesFolder = new Folder(folderPath + "/" + profile.imagesFolder);
+    if (!imagesFolder.exists) return [];
+
+    var entries = imagesFolder.getFiles();
+    var groups = [];
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i] instanceof Folder) {
+            var match = entries[i].name.match(/(\d+)\D*$/);
+            if (!match) continue;
+            var imagePaths = getImageFiles(folderPath, profile, entries[i].name);
+            if (imagePaths.length > 0) {
+                groups.push({
+                    number: parseInt(match[1], 10),
+                    name: entries[i].name,
+                    imagePaths: imagePaths
+                });
+            }
+        }
+    }
+
+    groups.sort(function(a, b) {
+        return a.number - b.number || naturalSort(a, b);
+    });
+    return groups;
+}
+
+/**
+ * Work out which images go with which voice file
+ * With several voice files and a numbered image subfolder for each
+ * (images/1 for the first file, images/2 for the second ...), every group
+ * is timed against its own voice segment. Otherwise all images are timed
+ * against the voice files played back-to-back.
+ * @param {string} folderPath - Path to project folder
+ * @param {Array} voiceFiles - Voice files from getVoiceFiles
+ * @param {object} profile - Layout profile (default: Standard)
+ * @returns {object} {voiceFiles, grouped, groups, imagePaths, warnings}
+ */
+function getVoiceLayout(folderPath, voiceFiles, profile) {
+    profile = profile || STANDARD_LAYOUT_PROFILE;
+    var layout = {
+        voiceFiles: voiceFiles,
+        grouped: false,
+        groups: [],
+        imagePaths: getImageFiles(folderPath, profile),
+        warnings: []
+    };
+
+    var groups = getImageGroups(folderPath, profile);
+    if (groups.length === 0) {
+        return layout;
+    }
+
+    var matched = [];
+    var missing = null;
+    if (voiceFiles.length > 1) {
+        for (var v = 0; v < voiceFiles.length && !missing; v++) {
+            var group = null;
+            for (var g = 0; g < groups.length; g++) {
+                if (groups[g].number === v + 1) {
+                    group = groups[g];
+                    break;
+                }
+            }
+            if (group) {
+                matched.push(group);
+            } else {
+                missing = voiceFiles[v];
+            }
+        }
+    }
+
+    if (matched.length > 0 && !missing) {
+        layout.grouped = true;
+        layout.groups = matched;
+        if (layout.imagePaths.length > 0) {
+            layout.warnings.push(layout.imagePaths.length + " images directly in '" + profile.imagesFolder +
+                                 "' are not in a numbered subfolder and are skipped");
+        }
+        layout.imagePaths = [];
+        for (var m = 0; m < matched.length; m++) {
+            layout.imagePaths = layout.imagePaths.concat(matched[m].imagePaths);
+        }
+        return layout;
+    }
+
+    if (missing) {
+        layout.warnings.push("No numbered image subfolder for voice part " + (matched.length + 1) + " (" +
+                             missing.name + ") - timing all images against the whole voiceover");
+    }
+    if (layout.imagePaths.length === 0) {
+        // Only subfolders: play them in order as one set
+        for (var n = 0; n < groups.length; n++) {
+            layout.imagePaths = layout.imagePaths.concat(groups[n].imagePaths);
+        }
+    }
+    return layout;
+}
+
+/**
+ * Get preview information for the selected folder
+ * When the voice durations are known (options.voiceDurations), also returns
+ * the timing plan; with options.preflight, also the preflight report
+ * @param {string} folderPath - Path to project folder
+ * @param {object} options - Build options from the panel (optional)
+ * @returns {string} JSON with preview info
+ */
+function getPreviewInfo(folderPath, options) {
+    options = normalizeBuildOptions(options);
+    var result = {
+        valid: false,
+        profile: null,
+        voiceName: null,
+        voicePath: null,
+        voiceFiles: [],
+        grouped: false,
+        groups: [],
+        imageCount: 0,
+        imagePaths: [],
+        imageOrder: "name",
+        srtName: null,
+        srtPath: null,
+        subtitles: [],
+        musicFiles: [],
+        intro: null,
+        outro: null,
+        timingFile: null,
+        timing: null,
+        scaling: null,
+        chapters: [],
+        overlays: null,
+        preflight: null,
+        warnings: [],
+        error: null
+    };
+
+    // Validate folder structure (picks the layout profile)
+    var validation = JSON.parse(validateFolderStructure(folderPath, options.profile));
+    if (!validation.valid) {
+        result.error = validation.error;
+        return JSON.stringify(result);
+    }
+    var profile = findLayoutProfileIn(loadLayoutProfiles(), validation.profile);
+    result.profile = profile.name;
+    result.imageOrder = options.imageOrder;
+    options.layoutProfile = profile;
+
+    // Get voice files (played back-to-back)
+    var voiceFiles = getVoiceFiles(folderPath, profile);
+    if (voiceFiles.length === 0) {
+        if (profile.voiceSelection === "named") {
+            result.error = "No audio file in '" + profile.voiceoversFolder + "' folder matches '" + profile.voiceName + "'";
+        } else {
+            result.error = "No audio file found in '" + profile.voiceoversFolder + "' folder";
+        }
+        return JSON.stringify(result);
+    }
+    result.voiceName = voiceFiles[0].name;
+    result.voicePath = voiceFiles[0].path;
+    result.voiceFiles = voiceFiles;
+
+    // Get images (per voice part when images/ has numbered subfolders)
+    var layout = applyImageOrder(folderPath, getVoiceLayout(folderPath, voiceFiles, profile), options);
+    var imagePaths = layout.imagePaths;
+    if (imagePaths.length === 0) {
+        result.error = "No image files found in '" + profile.imagesFolder + "' folder";
+        return JSON.stringify(result);
+    }
+    result.imageCount = imagePaths.length;
+    result.imagePaths = imagePaths;
+    result.videoCount = 0;
+    for (var vc = 0; vc < imagePaths.length; vc++) {
+        if (isVideoFile(imagePaths[vc], profile)) result.videoCount++;
+    }
+    result.grouped = layout.grouped;
+    for (var g = 0; g < layout.groups.length; g++) {
+        result.groups.push({
+            name: layout.groups[g].name,
+            imageCount: layout.groups[g].imagePaths.length
+        });
+    }
+    for (var lw = 0; lw < layout.warnings.length; lw++) {
+        result.warnings.push(layout.warnings[lw]);
+    }
+
+    // Get SRT files (optional, one per language)
+    var subtitles = getSubtitleFiles(folderPath, profile);
+    if (subtitles.length > 0) {
+        result.srtName = subtitles[0].name;
+        result.srtPath = subtitles[0].path;
+    }
+    for (var st = 0; st < subtitles.length; st++) {
+        result.subtitles.push({ name: subtitles[st].name, language: subtitles[st].language, label: subtitles[st].label });
+
+        // Malformed cues (bad timestamps, overlaps) would otherwise drop out silently
+        var subtitleWarning = getSubtitleIssueWarning(subtitles[st]);
+        if (subtitleWarning) {
+            result.warnings.push(subtitleWarning);
+        }
+    }
+
+    // Music bed (optional)
+    result.musicFiles = getMusicFiles(folderPath, profile);
+
+    // Intro / outro cards (optional; a duration of 0 turns a card off)
+    var cards = getCardMedia(folderPath, options.brandingFolder, profile);
+    result.intro = options.introDuration > 0 ? cards.intro : null;
+    result.outro = options.outroDuration > 0 ? cards.outro : null;
+
+    result.valid = true;
+
+    // Stills that will letterbox (fit) or lose a lot to cropping (fill)
+    var frame = getTargetFrameSize(options);
+    if (frame && options.scaling !== "none") {
+        var mismatches = getAspectMismatches(imagePaths, frame, profile, folderPath);
+        result.scaling = { mode: options.scaling, width: frame.width, height: frame.height, mismatched: mismatches };
+        if (mismatches.length > 0) {
+            var mismatchNames = [];
+            for (var mm = 0; mm < Math.min(mismatches.length, 5); mm++) {
+                mismatchNames.push(mismatches[mm].name + " (" + mismatches[mm].width + "x" + mismatches[mm].height + ")");
+            }
+            result.warnings.push(mismatches.length + " image(s) differ a lot from the " + frame.width + "x" + frame.height +
+                                 " frame shape - " + (options.scaling === "fill" ? "cropped" :
+                                 options.scaling === "stretch" ? "distorted" : "letterboxed") + ": " +
+                                 mismatchNames.join(", ") + (mismatches.length > 5 ? ", ..." : ""));
+        }
+    }
+
+    // Text overlays: rows for images that are not there are reported before the build
+    if (options.overlays) {
+        var overlays = loadOverlaySheet(folderPath, imagePaths);
+        if (overlays) {
+            result.overlays = { file: overlays.file, rows: overlays.rows, missing: overlays.missing };
+            for (var ow = 0; ow < overlays.warnings.length; ow++) {
+                result.warnings.push(overlays.warnings[ow]);
+            }
+        }
+    }
+
+    // Chapter markers (from chapters.txt or the first subtitle file)
+    result.chapters = getSlideshowChapters(folderPath, options.chapterSource, subtitles, result.warnings);
+
+    // Preflight: every file checked before the panel imports anything
+    if (options.preflight) {
+        result.preflight = runPreflightChecks(folderPath, {
+            imagePaths: imagePaths,
+            voiceFiles: voiceFiles,
+            subtitles: subtitles,
+            musicFiles: result.musicFiles,
+            cards: [result.intro, result.outro]
+        }, profile, options.voiceDurations);
+    }
+
+    // Timing sidecar (optional)
+    var sidecarInfo = getTimingSidecarInfo(folderPath);
+    result.timingFile = sidecarInfo ? sidecarInfo.name : null;
+
+    // Timing preview (only once the panel knows the voice duration)
+    if (options.voiceDurations.length > 0) {
+        // A new sequence gets the panel's frame rate; the open one keeps its own
+        var frameRate = options.sequenceMode === "active" ?
+                        resolveFrameRate(app.project.activeSequence, options.frameRate) : options.frameRate;
+        var plan = buildVoiceTimingPlan(folderPath, layout, options.voiceDurations, frameRate, options.maxVariation, options);
+        result.timing = summarizeTimingPlan(plan);
+        for (var w = 0; w < plan.warnings.length; w++) {
+            result.warnings.push(plan.warnings[w]);
+        }
+    } else if (sidecarInfo) {
+        var sidecar = loadTimingSidecar(folderPath, imagePaths, options.frameRate);
+        for (var sw = 0; sw < sidecar.warnings.length; sw++) {
+            result.warnings.push(sidecar.warnings[sw]);
+        }
+    }
+
+    return JSON.stringify(result);
+}
+
+// ============================================================
+// IMAGE ORDER
+// ============================================================
+
+/**
+ * Read the start of a file as a binary string (one character per byte)
+ * @param {string} filePath - File path
+ * @param {number} length - Maximum number of bytes to read
+ * @returns {string} Bytes read ("" when the file can't be opened)
+ */
+function readBinaryHead(filePath, length) {
+    try {
+        var file = new File(filePath);
+        if (!file.exists) return "";
+
+        file.encoding = "BINARY";
+        if (!file.open("r")) return "";
+        var data = file.read(length);
+        file.close();
+        return data || "";
+    } catch (e) {
+        return "";
+    }
+}
+
+/**
+ * Read an unsigned integer from a binary string
+ * @param {string} data - Binary string
+ * @param {number} offset - Byte offset
+ * @param {number} size - Number of bytes (2 or 4)
+ * @param {boolean} littleEndian - Intel ("II") byte order
+ * @returns {number} Value
+ */
+function readBinaryUint(data, offset, size, littleEndian) {
+    var value = 0;
+    for (var i = 0; i < size; i++) {
+        var index = littleEndian ? offset + size - 1 - i : offset + i;
+        value = value * 256 + (data.charCodeAt(index) & 0xFF);
+    }
+    return value;
+}
+
+/**
+ * Read selected tags from one TIFF image file directory (IFD)
+ * ASCII tags are returned as strings, all others as their numeric value
+ * @param {string} data - Binary string
+ * @param {number} tiffStart - Offset of the TIFF header in data
+ * @param {number} ifdOffset - IFD offset relative to the TIFF header
+ * @param {boolean} littleEndian - Intel byte order
+ * @param {Array} tags - Tag numbers to read
+ * @returns {object} Map of tag number to value
+ */
+function readTiffTags(data, tiffStart, ifdOffset, littleEndian, tags) {
+    var values = {};
+    var start = tiffStart + ifdOffset;
+    if (ifdOffset <= 0 || start + 2 > data.length) return values;
+
+    var count = readBinaryUint(data, start, 2, littleEndian);
+    for (var i = 0; i < count; i++) {
+        var entry = start + 2 + i * 12;
+        if (entry + 12 > data.length) break;
+
+        var tag = readBinaryUint(data, entry, 2, littleEndian);
+        if (!arrayContains(tags, tag)) continue;
+
+        var type = readBinaryUint(data, entry + 2, 2, littleEndian);
+        var valueCount = readBinaryUint(data, entry + 4, 4, littleEndian);
+        if (type === 2) {
+            // ASCII: stored inline when it fits in 4 bytes
+            var valueOffset = valueCount > 4 ? tiffStart + readBinaryUint(data, entry + 8, 4, littleEndian) : entry + 8;
+            values[tag] = data.substr(valueOffset, valueCount).replace(/\u0000[\s\S]*$/, "");
+        } else {
+            // SHORT values sit in the first two bytes of the field
+            values[tag] = readBinaryUint(data, entry + 8, type === 3 ? 2 : 4, littleEndian);
+        }
+    }
+    return values;
+}
+
+/**
+ * Read the capture time of a JPEG or TIFF from its EXIF header
+ * Uses DateTimeOriginal, falling back to the IFD0 DateTime tag.
+ * @param {string} filePath - Image path
+ * @returns {string|null} "YYYY:MM:DD HH:MM:SS" (sorts as text) or null
+ */
+function readExifCaptureTime(filePath) {
+    var extension = getFileExtension(getFolderName(filePath));
+    if (!arrayContains([".jpg", ".jpeg", ".tif", ".tiff"], extension)) return null;
+
+    // EXIF sits in the first APP1 segment; 128 KB covers it with embedded thumbnails
+    var data = readBinaryHead(filePath, 131072);
+    if (data.length < 16) return null;
+
+    var tiffStart = -1;
+    if (data.charCodeAt(0) === 0xFF && data.charCodeAt(1) === 0xD8) {
+        var pos = 2;
+        while (pos + 4 <= data.length && data.charCodeAt(pos) === 0xFF) {
+            var marker = data.charCodeAt(pos + 1);
+            if (marker === 0xE1 && data.substr(pos + 4, 6) === "Exif\u0000\u0000") {
+                tiffStart = pos + 10;
+                break;
+            }
+            if (marker === 0xDA || marker === 0xD9) break;  // image data starts: no EXIF
+            pos += 2 + readBinaryUint(data, pos + 2, 2, false);
+        }
+    } else {
+        tiffStart = 0;
+    }
+    if (tiffStart < 0 || tiffStart + 8 > data.length) return null;
+
+    var byteOrder = data.substr(tiffStart, 2);
+    if (byteOrder !== "II" && byteOrder !== "MM") return null;
+    var littleEndian = byteOrder === "II";
+    if (readBinaryUint(data, tiffStart + 2, 2, littleEndian) !== 42) return null;
+
+    var ifd0 = readTiffTags(data, tiffStart, readBinaryUint(data, tiffStart + 4, 4, littleEndian), littleEndian,
+                            [0x0132, 0x8769]);
+    var candidates = [];
+    if (typeof ifd0[0x8769] === "number") {
+        var exifIfd = readTiffTags(data, tiffStart, ifd0[0x8769], littleEndian, [0x9003]);
+        candidates.push(exifIfd[0x9003]);
+    }
+    candidates.push(ifd0[0x0132]);
+
+    for (var c = 0; c < candidates.length; c++) {
+        var value = candidates[c];
+        if (typeof value === "string" && /^\d{4}:\d\d:\d\d \d\d:\d\d:\d\d/.test(value) && value.indexOf("0000") !== 0) {
+            return value.substring(0, 19);
+        }
+    }
+    return null;
+}
+
+/**
+ * Read order.txt from the project folder
+ * One file name per line; blank lines and lines starting with # are ignored.
+ * @param {string} folderPath - Path to project folder
+ * @returns {Array|null} Lower-case file names in order, or null without a file
+ */
+function readImageOrderList(folderPath) {
+    var file = new File(folderPath + "/order.txt");
+    if (!file.exists) return null;
+
+    var content = readTextFile(file.fsName);
+    if (content === null) return null;
+
+    var names = [];
+    var lines = content.split(/\r\n|\r|\n/);
+    for (var i = 0; i < lines.length; i++) {
+        var line = trimString(lines[i]);
+        if (line === "" || line.charAt(0) === "#") continue;
+        var name = getFolderName(line).toLowerCase();
+        if (!arrayContains(names, name)) names.push(name);
+    }
+    return names;
+}
+
+/**
+ * Sort one list of image paths for the chosen order
+ * Paths come in natural name order, which also breaks ties.
+ * @param {Array} imagePaths - Image paths in name order
+ * @param {object} context - Shared state from applyImageOrder
+ * @returns {Array} Ordered paths
+ */
+function orderImagePaths(imagePaths, context) {
+    var entries = [];
+    for (var i = 0; i < imagePaths.length; i++) {
+        var entry = { path: imagePaths[i], index: i, key: null };
+        if (context.mode === "exif") {
+            entry.key = readExifCaptureTime(imagePaths[i]);
+            if (entry.key === null) context.undated++;
+        } else if (context.mode === "modified") {
+            var modified = new File(imagePaths[i]).modified;
+            entry.key = modified ? modified.getTime() : null;
+            if (entry.key === null) context.undated++;
+        } else if (context.mode === "list") {
+            var name = getFolderName(imagePaths[i]).toLowerCase();
+            for (var n = 0; n < context.list.length; n++) {
+                if (context.list[n] === name) {
+                    entry.key = n;
+                    break;
+                }
+            }
+            if (entry.key === null) {
+                context.unlisted++;
+            } else if (!arrayContains(context.listed, name)) {
+                context.listed.push(name);
+            }
+        }
+        entries.push(entry);
+    }
+
+    if (context.mode === "shuffle") {
+        // Fisher-Yates with the build seed: the same seed gives the same order
+        for (var s = entries.length - 1; s > 0; s--) {
+            var j = Math.floor(context.random() * (s + 1));
+            var swap = entries[s];
+            entries[s] = entries[j];
+            entries[j] = swap;
+        }
+    } else {
+        // Entries without a key go last, in name order
+        entries.sort(function(a, b) {
+            if (a.key === null || b.key === null) {
+                if (a.key !== b.key) return a.key === null ? 1 : -1;
+            } else if (a.key !== b.key) {
+                return a.key < b.key ? -1 : 1;
+            }
+            return a.index - b.index;
+        });
+    }
+
+    var ordered = [];
+    for (var e = 0; e < entries.length; e++) {
+        ordered.push(entries[e].path);
+    }
+    return ordered;
+}
+
+/**
+ * Put the images of a voice layout in the chosen order
+ * Numbered subfolders are ordered one at a time, so every group stays with
+ * its voice part. Adds a warning for images the order can't place.
+ * @param {string} folderPath - Path to project folder
+ * @param {object} layout - Layout from getVoiceLayout (changed in place)
+ * @param {object} options - Normalized build options (imageOrder, seed)
+ * @returns {object} The layout
+ */
+function applyImageOrder(folderPath, layout, options) {
+    var mode = options.imageOrder;
+    if (mode === "name") {
+        // getImageFiles already returns natural name order
+        return layout;
+    }
+
+    var context = { mode: mode, list: null, listed: [], random: null, undated: 0, unlisted: 0 };
+    if (mode === "list") {
+        context.list = readImageOrderList(folderPath);
+        if (!context.list) {
+            layout.warnings.push("Image order 'list' needs an order.txt file in the project folder - using name order");
+            return layout;
+        }
+    } else if (mode === "shuffle") {
+        context.random = createSeededRandom(options.seed);
+    }
+
+    if (layout.grouped) {
+        layout.imagePaths = [];
+        for (var g = 0; g < layout.groups.length; g++) {
+            layout.groups[g].imagePaths = orderImagePaths(layout.groups[g].imagePaths, context);
+            layout.imagePaths = layout.imagePaths.concat(layout.groups[g].imagePaths);
+        }
+    } else {
+        layout.imagePaths = orderImagePaths(layout.imagePaths, context);
+    }
+
+    if (context.undated > 0) {
+        layout.warnings.push(context.undated + " images have no " + (mode === "exif" ? "EXIF capture time" : "file date") +
+                             " - they are placed last in name order");
+    }
+    if (context.unlisted > 0) {
+        layout.warnings.push(context.unlisted + " images are not listed in order.txt - they are placed last in name order");
+    }
+    if (mode === "list") {
+        var unknown = [];
+        for (var l = 0; l < context.list.length; l++) {
+            if (!arrayContains(context.listed, context.list[l])) unknown.push(context.list[l]);
+        }
+        if (unknown.length > 0) {
+            layout.warnings.push("order.txt lists " + unknown.length + " files that are not in the images: " +
+                                 unknown.slice(0, 3).join(", ") + (unknown.length > 3 ? ", ..." : ""));
+        }
+    }
+    return layout;
+}
+
+// ============================================================
+// SUBTITLE PARSING
+// ============================================================
+
+/**
+ * Read a text file as UTF-8
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} File contents (without BOM) or null if unreadable
+ */
+function readTextFile(filePath) {
+    try {
+        var file = new File(filePath);
+        if (!file.exists) return null;
+
+        file.encoding = "UTF-8";
+        file.open("r");
+        var content = file.read();
+        file.close();
+
+        // Strip UTF-8 byte order mark
+        if (content.charCodeAt(0) === 0xFEFF) {
+            content = content.substring(1);
+        }
+        return content;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parse an SRT timestamp (HH:MM:SS,mmm) into seconds
+ * @param {string} stamp - Timestamp text
+ * @returns {number} Seconds, or -1 if the timestamp is malformed
+ */
+function parseSrtTimestamp(stamp) {
+    var match = /^\s*(\d+):(\d{1,2}):(\d{1,2})[,\.](\d{1,3})\s*$/.exec(stamp);
+    if (!match) return -1;
+
+    var millis = parseInt((match[4] + "00").substring(0, 3), 10);
+    return parseInt(match[1], 10) * 3600 +
+           parseInt(match[2], 10) * 60 +
+           parseInt(match[3], 10) +
+           millis / 1000;
+}
+
+/**
+ * Parse SRT content into cues
+ * Blocks without a valid "start --> end" line are skipped
+ * @param {string} content - SRT file contents
+ * @param {Array} issues - Receives malformed cue messages (optional)
+ * @returns {Array} Array of {start, end, text} objects sorted by start time
+ */
+function parseSrtContent(content, issues) {
+    issues = issues || [];
+    var cues = [];
+    var blocks = content.replace(/\r\n?/g, "\n").split(/\n[ \t]*\n/);
+
+    for (var i = 0; i < blocks.length; i++) {
+        var lines = blocks[i].split("\n");
+        for (var l = 0; l < lines.length; l++) {
+            if (lines[l].indexOf("-->") === -1) continue;
+
+            var stamps = lines[l].split("-->");
+            var start = parseSrtTimestamp(stamps[0]);
+            var end = parseSrtTimestamp(stamps[1]);
+            if (start >= 0 && end >= 0) {
+                cues.push({
+                    start: start,
+                    end: end,
+                    text: lines.slice(l + 1).join("\n")
+                });
+            } else {
+                issues.push("bad timestamp '" + trimString(lines[l]) + "'");
+            }
+            break;
+        }
+    }
+
+    return checkSubtitleCues(cues, issues);
+}
+
+/**
+ * Read and parse a subtitle file (SRT, WebVTT or ASS/SSA)
+ * @param {string} filePath - Path to the subtitle file
+ * @param {Array} issues - Receives malformed cue messages (optional)
+ * @returns {Array} Array of cues (empty if unreadable)
+ */
+function parseSubtitleFile(filePath, issues) {
+    var content = readTextFile(filePath);
+    if (content === null) return [];
+
+    var extension = getFileExtension(getFolderName(filePath));
+    if (extension === ".vtt") return parseVttContent(content, issues);
+    if (extension === ".ass" || extension === ".ssa") return parseAssContent(content, issues);
+    return parseSrtContent(content, issues);
+}
+
+// ============================================================
+// SUBTITLE CONVERSION (WebVTT, ASS/SSA -> SRT)
+// ============================================================
+
+/**
+ * Format seconds as a short cue time for messages (m:ss.s)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatCueTime(seconds) {
+    var minutes = Math.floor(seconds / 60);
+    var rest = (seconds - minutes * 60).toFixed(1);
+    return minutes + ":" + (rest < 10 ? "0" : "") + rest;
+}
+
+/**
+ * Format seconds as an SRT timestamp (HH:MM:SS,mmm)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Timestamp
+ */
+function formatSrtTimestamp(seconds) {
+    var millis = Math.round(Math.max(0, seconds) * 1000);
+    var hours = Math.floor(millis / 3600000);
+    var minutes = Math.floor(millis / 60000) % 60;
+    var secs = Math.floor(millis / 1000) % 60;
+    var ms = millis % 1000;
+    return (hours < 10 ? "0" : "") + hours + ":" +
+           (minutes < 10 ? "0" : "") + minutes + ":" +
+           (secs < 10 ? "0" : "") + secs + "," +
+           (ms < 100 ? "0" : "") + (ms < 10 ? "0" : "") + ms;
+}
+
+/**
+ * Parse a WebVTT timestamp ([HH:]MM:SS.mmm) into seconds
+ * @param {string} stamp - Timestamp text
+ * @returns {number} Seconds, or -1 if the timestamp is malformed
+ */
+function parseVttTimestamp(stamp) {
+    var match = /^\s*(?:(\d+):)?(\d{1,2}):(\d{1,2})[\.,](\d{1,3})\s*$/.exec(stamp);
+    if (!match) return -1;
+
+    var millis = parseInt((match[4] + "00").substring(0, 3), 10);
+    return (match[1] ? parseInt(match[1], 10) * 3600 : 0) +
+           parseInt(match[2], 10) * 60 +
+           parseInt(match[3], 10) +
+           millis / 1000;
+}
+
+/**
+ * Remove WebVTT markup (<c.yellow>, <v Speaker>, <i>, inline timestamps ...)
+ * @param {string} text - Cue text
+ * @returns {string} Plain text
+ */
+function stripVttTags(text) {
+    return text.replace(/<[^>]*>/g, "")
+               .replace(/&lt;/g, "<")
+               .replace(/&gt;/g, ">")
+               .replace(/&nbsp;/g, " ")
+               .replace(/&lrm;|&rlm;/g, "")
+               .replace(/&quot;/g, "\"")
+               .replace(/&#39;/g, "'")
+               .replace(/&amp;/g, "&");
+}
+
+/**
+ * Parse WebVTT content into cues
+ * The header, NOTE, STYLE and REGION blocks and cue settings are ignored.
+ * @param {string} content - VTT file contents
+ * @param {Array} issues - Receives malformed cue messages (optional)
+ * @returns {Array} Array of {start, end, text} objects sorted by start time
+ */
+function parseVttContent(content, issues) {
+    issues = issues || [];
+    var cues = [];
+    var blocks = content.replace(/\r\n?/g, "\n").split(/\n[ \t]*\n/);
+
+    for (var i = 0; i < blocks.length; i++) {
+        var block = trimString(blocks[i]);
+        if (block === "" || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block)) continue;
+
+        var lines = block.split("\n");
+        var timed = false;
+        for (var l = 0; l < lines.length && l < 2; l++) {
+            if (lines[l].indexOf("-->") === -1) continue;
+
+            timed = true;
+            var stamps = lines[l].split("-->");
+            var start = parseVttTimestamp(stamps[0]);
+            // Cue settings (align:start position:10% ...) follow the end time
+            var end = parseVttTimestamp(trimString(stamps[1]).split(/\s+/)[0]);
+            if (start < 0 || end < 0) {
+                issues.push("bad timestamp '" + trimString(lines[l]) + "'");
+            } else {
+                cues.push({
+                    start: start,
+                    end: end,
+                    text: stripVttTags(lines.slice(l + 1).join("\n"))
+                });
+            }
+            break;
+        }
+        if (!timed) {
+            issues.push("text without a timing line: '" + lines[0].substring(0, 30) + "'");
+        }
+    }
+
+    return checkSubtitleCues(cues, issues);
+}
+
+/**
+ * Parse an ASS/SSA timestamp (H:MM:SS.cc) into seconds
+ * @param {string} stamp - Timestamp text
+ * @returns {number} Seconds, or -1 if the timestamp is malformed
+ */
+function parseAssTimestamp(stamp) {
+    var match = /^\s*(\d+):(\d{1,2}):(\d{1,2})[\.:](\d{1,3})\s*$/.exec(stamp);
+    if (!match) return -1;
+
+    var millis = parseInt((match[4] + "00").substring(0, 3), 10);
+    return parseInt(match[1], 10) * 3600 +
+           parseInt(match[2], 10) * 60 +
+           parseInt(match[3], 10) +
+           millis / 1000;
+}
+
+/**
+ * Remove ASS override blocks ({\i1}, {\pos(10,20)} ...) and line codes
+ * @param {string} text - Dialogue text
+ * @returns {string} Plain text with real line breaks
+ */
+function stripAssTags(text) {
+    var lines = text.replace(/\{[^}]*\}/g, "")
+                    .replace(/\\h/g, " ")
+                    .split(/\\[Nn]/);
+    for (var i = 0; i < lines.length; i++) {
+        lines[i] = trimString(lines[i]);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Parse ASS/SSA content into cues
+ * Reads the Dialogue lines of the [Events] section using its Format line;
+ * Comment lines and vector drawings ({\p1}) are skipped.
+ * @param {string} content - ASS/SSA file contents
+ * @param {Array} issues - Receives malformed cue messages (optional)
+ * @returns {Array} Array of {start, end, text} objects sorted by start time
+ */
+function parseAssContent(content, issues) {
+    issues = issues || [];
+    var cues = [];
+    var lines = content.replace(/\r\n?/g, "\n").split("\n");
+    var inEvents = false;
+    var format = ["layer", "start", "end", "style", "name", "marginl", "marginr", "marginv", "effect", "text"];
+
+    for (var i = 0; i < lines.length; i++) {
+        var line = trimString(lines[i]);
+        if (/^\[.*\]$/.test(line)) {
+            inEvents = line.toLowerCase() === "[events]";
+            continue;
+        }
+        if (!inEvents) continue;
+
+        var colon = line.indexOf(":");
+        if (colon === -1) continue;
+        var kind = line.substring(0, colon).toLowerCase();
+        var body = line.substring(colon + 1);
+
+        if (kind === "format") {
+            format = body.split(",");
+            for (var f = 0; f < format.length; f++) {
+                format[f] = trimString(format[f]).toLowerCase();
+            }
+            continue;
+        }
+        if (kind !== "dialogue") continue;
+
+        // The text is the last field and may contain commas
+        var fields = {};
+        for (var k = 0; k < format.length; k++) {
+            var comma = k < format.length - 1 ? body.indexOf(",") : -1;
+            fields[format[k]] = comma === -1 ? body : body.substring(0, comma);
+            body = comma === -1 ? "" : body.substring(comma + 1);
+        }
+
+        var text = fields.text || "";
+        if (/\{[^}]*\\p[1-9]/.test(text)) continue;
+
+        var start = parseAssTimestamp(fields.start || "");
+        var end = parseAssTimestamp(fields.end || "");
+        if (start < 0 || end < 0) {
+            issues.push("bad timestamp on line " + (i + 1));
+            continue;
+        }
+        cues.push({
+            start: start,
+            end: end,
+            text: stripAssTags(text)
+        });
+    }
+
+    return checkSubtitleCues(cues, issues);
+}
+
+/**
+ * Sort cues and report the ones a caption track can't show as written
+ * @param {Array} cues - Parsed cues
+ * @param {Array} issues - Receives messages for backwards and overlapping cues
+ * @returns {Array} The cues sorted by start time
+ */
+function checkSubtitleCues(cues, issues) {
+    cues.sort(function(a, b) {
+        return a.start - b.start;
+    });
+
+    for (var i = 0; i < cues.length; i++) {
+        if (cues[i].end <= cues[i].start) {
+            issues.push("cue at " + formatCueTime(cues[i].start) + " ends before it starts");
+        } else if (i > 0 && cues[i].start < cues[i - 1].end - 0.0005) {
+            issues.push("cues at " + formatCueTime(cues[i - 1].start) + " and " +
+                        formatCueTime(cues[i].start) + " overlap");
+        }
+    }
+    return cues;
+}
+
+/**
+ * Build SRT text from cues
+ * Cues that end before they start or have no text are left out.
+ * @param {Array} cues - Cues sorted by start time
+ * @returns {string} SRT file contents
+ */
+function cuesToSrt(cues) {
+    var blocks = [];
+    for (var i = 0; i < cues.length; i++) {
+        var text = trimString(cues[i].text);
+        if (cues[i].end <= cues[i].start || text === "") continue;
+
+        blocks.push((blocks.length + 1) + "\n" +
+                    formatSrtTimestamp(cues[i].start) + " --> " + formatSrtTimestamp(cues[i].end) + "\n" +
+                    text + "\n");
+    }
+    return blocks.join("\n");
+}
+
+/**
+ * Summarize the malformed cues of one subtitle file for the preview
+ * @param {object} subtitle - Subtitle info from getSubtitleFiles
+ * @returns {string|null} Warning text, or null when the file is clean
+ */
+function getSubtitleIssueWarning(subtitle) {
+    var issues = [];
+    var cues = parseSubtitleFile(subtitle.path, issues);
+    if (cues.length === 0) {
+        return subtitle.name + ": no readable cues";
+    }
+    if (issues.length === 0) {
+        return null;
+    }
+    return subtitle.name + ": " + issues.length + " malformed cue" + (issues.length === 1 ? "" : "s") + " - " +
+           issues.slice(0, 2).join("; ") + (issues.length > 2 ? "; ..." : "");
+}
+
+/**
+ * Write a clean SRT next to each WebVTT / ASS subtitle
+ * en.vtt becomes en.srt; an existing SRT is only rewritten when the source
+ * is newer, so hand-made SRT files are kept.
+ * @param {Array} subtitles - Subtitle info from getSubtitleFiles
+ * @returns {Array} Warnings for files that could not be converted
+ */
+function convertSubtitleFiles(subtitles) {
+    var warnings = [];
+    for (var i = 0; i < subtitles.length; i++) {
+        var subtitle = subtitles[i];
+        if (subtitle.srtPath === subtitle.path) continue;
+
+        var source = new File(subtitle.path);
+        var target = new File(subtitle.srtPath);
+        if (target.exists && target.modified >= source.modified) continue;
+
+        var cues = parseSubtitleFile(subtitle.path);
+        if (cues.length === 0) {
+            warnings.push(subtitle.name + " has no readable cues - not converted");
+            continue;
+        }
+
+        try {
+            target.encoding = "UTF-8";
+            target.open("w");
+            target.write(cuesToSrt(cues));
+            target.close();
+        } catch (e) {
+            warnings.push("Could not write " + target.name + ": " + e.toString());
+        }
+    }
+    return warnings;
+}
+
+// ============================================================
+// TIMING SIDECAR (timing.json / timing.csv)
+// ============================================================
+
+/**
+ * Find the optional timing sidecar in the project folder
+ * timing.json wins when both files exist
+ * @param {string} folderPath - Path to project folder
+ * @returns {object|null} {path, name, format} or null
+ */
+function getTimingSidecarInfo(folderPath) {
+    var candidates = [
+        { name: "timing.json", format: "json" },
+        { name: "timing.csv", format: "csv" }
+    ];
+
+    for (var i = 0; i < candidates.length; i++) {
+        var file = new File(folderPath + "/" + candidates[i].name);
+        if (file.exists) {
+            return {
+                path: file.fsName,
+                name: candidates[i].name,
+                format: candidates[i].format
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Read one timing value (seconds or weight)
+ * @param {*} value - Number or numeric string from the sidecar
+ * @returns {number} Positive value, 0 if empty, -1 if invalid
+ */
+function parseTimingValue(value) {
+    if (value === undefined || value === null || value === "") return 0;
+    var num = (typeof value === "number") ? value : parseFloat(value);
+    if (isNaN(num) || num <= 0) return -1;
+    return num;
+}
+
+/**
+ * Parse a timing sidecar into rules keyed by lower-case filename
+ * JSON: {"title.png": 2, "chart.png": {"duration": 6}, "map.jpg": {"min": 2, "max": 5}}
+ *       optionally wrapped in {"images": {...}}; a bare number is a weight
+ * CSV:  header row naming file, weight, duration, min, max columns (any subset)
+ * @param {object} info - Sidecar info from getTimingSidecarInfo
+ * @returns {object} {rules, warnings}
+ */
+function parseTimingSidecar(info) {
+    var result = {
+        rules: {},
+        warnings: []
+    };
+
+    var content = readTextFile(info.path);
+    if (content === null) {
+        result.warnings.push(info.name + ": could not be read");
+        return result;
+    }
+
+    var entries = [];
+    if (info.format === "json") {
+        var data = null;
+        try {
+            data = JSON.parse(content);
+        } catch (e) {
+            result.warnings.push(info.name + ": invalid JSON (" + e.toString() + ")");
+            return result;
+        }
+        if (data && data.images && typeof data.images === "object") {
+            data = data.images;
+        }
+        for (var key in data) {
+            if (!data.hasOwnProperty(key)) continue;
+            var value = data[key];
+            if (typeof value === "number" || typeof value === "string") {
+                entries.push({ file: key, weight: value });
+            } else if (value && typeof value === "object") {
+                entries.push({ file: key, weight: value.weight, duration: value.duration, min: value.min, max: value.max });
+            }
+        }
+    } else {
+        var lines = content.replace(/\r\n?/g, "\n").split("\n");
+        var columns = null;
+        var separator = ",";
+        for (var l = 0; l < lines.length; l++) {
+            if (trimString(lines[l]) === "") continue;
+            if (!columns) {
+                separator = (lines[l].indexOf(";") !== -1 && lines[l].indexOf(",") === -1) ? ";" : ",";
+                columns = parseCsvLine(lines[l].toLowerCase(), separator);
+                continue;
+            }
+            var fields = parseCsvLine(lines[l], separator);
+            var row = {};
+            for (var c = 0; c < columns.length; c++) {
+                var column = columns[c];
+                if (column === "filename" || column === "image" || column === "name") column = "file";
+                row[column] = fields[c];
+            }
+            if (row.file) entries.push(row);
+        }
+    }
+
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        var rule = {
+            file: entry.file,
+            weight: parseTimingValue(entry.weight),
+            duration: parseTimingValue(entry.duration),
+            min: parseTimingValue(entry.min),
+            max: parseTimingValue(entry.max)
+        };
+
+        if (rule.weight < 0 || rule.duration < 0 || rule.min < 0 || rule.max < 0) {
+            result.warnings.push(info.name + ": '" + entry.file + "' has an invalid value - ignored");
+            continue;
+        }
+        if (rule.duration > 0 && (rule.weight > 0 || rule.min > 0 || rule.max > 0)) {
+            result.warnings.push(info.name + ": '" + entry.file + "' has a fixed duration - weight/min/max ignored");
+        }
+        if (rule.min > 0 && rule.max > 0 && rule.min > rule.max) {
+            result.warnings.push(info.name + ": '" + entry.file + "' has min above max - clamp ignored");
+            rule.min = 0;
+            rule.max = 0;
+        }
+        result.rules[entry.file.toLowerCase()] = rule;
+    }
+
+    return result;
+}
+
+/**
+ * Load the timing sidecar and turn it into per-image allocation specs
+ * Images not listed get weight 1 and keep the randomized even split
+ * @param {string} folderPath - Path to project folder
+ * @param {Array} imagePaths - Image paths in placement order
+ * @param {number} frameRate - Frame rate to convert seconds to frames
+ * @param {Array} knownPaths - Every image of the slideshow when imagePaths is one part of it (optional)
+ * @returns {object|null} {name, specs, listed, labels, warnings} or null if no sidecar
+ */
+function loadTimingSidecar(folderPath, imagePaths, frameRate, knownPaths) {
+    var info = getTimingSidecarInfo(folderPath);
+    if (!info) return null;
+
+    var parsed = parseTimingSidecar(info);
+    var sidecar = {
+        name: info.name,
+        specs: [],
+        listed: [],
+        labels: [],
+        warnings: parsed.warnings
+    };
+
+    var matched = {};
+    for (var i = 0; i < imagePaths.length; i++) {
+        var key = getFolderName(imagePaths[i]).toLowerCase();
+        var rule = parsed.rules.hasOwnProperty(key) ? parsed.rules[key] : null;
+        var spec = { weight: 1, fixed: 0, min: 0, max: 0 };
+        var label = "";
+
+        if (rule) {
+            matched[key] = true;
+            if (rule.duration > 0) {
+                spec.fixed = Math.max(Math.round(rule.duration * frameRate), 1);
+                label = "fixed";
+            } else {
+                if (rule.weight > 0) {
+                    spec.weight = rule.weight;
+                    label = "x" + rule.weight;
+                }
+                if (rule.min > 0) spec.min = Math.round(rule.min * frameRate);
+                if (rule.max > 0) spec.max = Math.max(Math.round(rule.max * frameRate), 1);
+                if (rule.min > 0 || rule.max > 0) {
+                    label += (label ? " " : "") + "clamped";
+                }
+            }
+        }
+
+        sidecar.specs.push(spec);
+        sidecar.listed.push(rule !== null);
+        sidecar.labels.push(label);
+    }
+
+    if (knownPaths) {
+        // Rules for images in other voice parts are not missing
+        for (var k = 0; k < knownPaths.length; k++) {
+            matched[getFolderName(knownPaths[k]).toLowerCase()] = true;
+        }
+    }
+
+    for (var ruleKey in parsed.rules) {
+        if (parsed.rules.hasOwnProperty(ruleKey) && !matched[ruleKey]) {
+            sidecar.warnings.push(info.name + ": '" + parsed.rules[ruleKey].file + "' is not in the images folder");
+        }
+    }
+
+    return sidecar;
+}
+
+/**
+ * Allocate frames honoring the timing sidecar
+ * Listed images follow their rules; unlisted images share what is left
+ * using the randomized even split, so the total stays exact
+ * @param {object} sidecar - Sidecar from loadTimingSidecar
+ * @param {number} totalFrames - Total frames to fill
+ * @param {number} maxVariation - Maximum variation for unlisted images (seconds)
+ * @param {number} frameRate - Frame rate
+ * @param {Function} random - Seeded random source
+ * @param {Array} pacingWeights - Pacing curve weights per image (optional)
+ * @param {number} overlapFrames - Transition overlap (optional); stills keep the same minimum as in
+ *   calculateRandomDurations unless the timing rules can't fit it
+ * @returns {object} {frameCounts} or {error}
+ */
+function calculateSidecarDurations(sidecar, totalFrames, maxVariation, frameRate, random, pacingWeights, overlapFrames) {
+    var minFrames = overlapFrames > 0 ? getMinimumImageFrames(frameRate, overlapFrames) : 0;
+    var specs = sidecar.specs;
+    if (pacingWeights || minFrames > 0) {
+        // Pacing scales every listed weight; fixed holds and video clips are left alone
+        specs = [];
+        for (var p = 0; p < sidecar.specs.length; p++) {
+            var spec = sidecar.specs[p];
+            var min = spec.min;
+            if (minFrames > 0 && !isFixedLabel(sidecar.labels[p]) && (spec.max === 0 || spec.max >= minFrames)) {
+                min = Math.max(min, minFrames);
+            }
+            specs.push({ weight: spec.weight * (pacingWeights ? pacingWeights[p] : 1), fixed: spec.fixed, min: min, max: spec.max });
+        }
+    }
+
+    var allocation = allocateWeightedFrames(totalFrames, specs);
+    if (allocation.error && minFrames > 0) {
+        return calculateSidecarDurations(sidecar, totalFrames, maxVariation, frameRate, random, pacingWeights, 0);
+    }
+    if (allocation.error) {
+        return allocation;
+    }
+
+    var frameCounts = allocation.frameCounts;
+    var unlisted = [];
+    var unlistedWeights = pacingWeights ? [] : null;
+    var unlistedFrames = 0;
+    for (var i = 0; i < frameCounts.length; i++) {
+        if (!sidecar.listed[i]) {
+            unlisted.push(i);
+            unlistedFrames += frameCounts[i];
+            if (pacingWeights) unlistedWeights.push(pacingWeights[i]);
+        }
+    }
+
+    if (unlisted.length > 0) {
+        var randomized = calculateRandomDurations(unlistedFrames / frameRate, unlisted.length, maxVariation, frameRate,
+                                                  random, unlistedWeights, minFrames > 0 ? overlapFrames : 0);
+        for (var u = 0; u < unlisted.length; u++) {
+            frameCounts[unlisted[u]] = randomized[u];
+        }
+    }
+
+    return { frameCounts: frameCounts };
+}
+
+// ============================================================
+// IMAGE COUNT POLICY
+// ============================================================
+
+/**
+ * Decide what to do when there are too many or too few images for the voice
+ * Too many (average below minImageDuration): allow, drop (sample evenly) or fail
+ * Too few (average above maxImageDuration): stretch, loop the set, freeze the last image or fail
+ * Video clips keep their own length, so only stills are counted, dropped
+ * or looped against the time the clips leave over
+ * @param {Array} imagePaths - Image paths in placement order
+ * @param {number} voiceDuration - Time for the stills in seconds
+ * @param {number} frameRate - Frame rate
+ * @param {object} options - Normalized build options
+ * @param {object} clipLengths - Frame lengths of video clips keyed by path (optional)
+ * @returns {object} {imagePaths, freezeFrames, minFrames, maxFrames, warnings, error}
+ */
+function applyImageCountPolicy(imagePaths, voiceDuration, frameRate, options, clipLengths) {
+    var result = {
+        imagePaths: imagePaths,
+        freezeFrames: 0,
+        minFrames: 0,
+        maxFrames: 0,
+        warnings: [],
+        error: null
+    };
+
+    clipLengths = clipLengths || {};
+    var stills = [];
+    for (var s = 0; s < imagePaths.length; s++) {
+        if (!clipLengths.hasOwnProperty(imagePaths[s])) stills.push(imagePaths[s]);
+    }
+
+    var count = stills.length;
+    if (count === 0) {
+        return result;
+    }
+    var average = voiceDuration / count;
+    var minDuration = options.minImageDuration;
+    var maxDuration = options.maxImageDuration;
+    var summary = count + " images over " + voiceDuration.toFixed(1) + "s is " + average.toFixed(2) + "s per image";
+
+    if (minDuration > 0 && average < minDuration) {
+        var keep = Math.max(Math.floor(voiceDuration / minDuration), 1);
+        if (options.tooManyImages === "fail") {
+            result.error = summary + ", below the " + minDuration + "s minimum";
+        } else if (options.tooManyImages === "drop") {
+            // Sample evenly so the kept images still span the whole set
+            var keepStill = {};
+            for (var k = 0; k < keep; k++) {
+                keepStill[Math.floor(k * count / keep)] = true;
+            }
+            var kept = [];
+            var stillIndex = 0;
+            for (var d = 0; d < imagePaths.length; d++) {
+                if (clipLengths.hasOwnProperty(imagePaths[d])) {
+                    kept.push(imagePaths[d]);
+                } else if (keepStill[stillIndex++]) {
+                    kept.push(imagePaths[d]);
+                }
+            }
+            result.imagePaths = kept;
+            result.minFrames = Math.round(minDuration * frameRate);
+            result.warnings.push(summary + " - using " + keep + " of " + count + " images to keep " + minDuration + "s each");
+        } else {
+            result.warnings.push(summary + ", below the " + minDuration + "s minimum - clips will be very short");
+        }
+    } else if (maxDuration > 0 && average > maxDuration) {
+        var slots = Math.ceil(voiceDuration / maxDuration);
+        if (options.tooFewImages === "fail") {
+            result.error = summary + ", above the " + maxDuration + "s maximum";
+        } else if (options.tooFewImages === "loop") {
+            var looped = imagePaths.slice(0);
+            for (var l = count; l < slots; l++) {
+                looped.push(stills[l % count]);
+            }
+            result.imagePaths = looped;
+            result.maxFrames = Math.round(maxDuration * frameRate);
+            result.warnings.push(summary + " - looping the images to " + slots + " clips of at most " + maxDuration + "s");
+        } else if (options.tooFewImages === "freeze") {
+            result.freezeFrames = Math.round(maxDuration * frameRate);
+            var holdSeconds = voiceDuration - maxDuration * (count - 1);
+            result.warnings.push(summary + " - images run " + maxDuration + "s each, the last one holds for " +
+                                 holdSeconds.toFixed(1) + "s");
+        } else {
+            result.warnings.push(summary + ", above the " + maxDuration + "s maximum");
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Pull frame counts back inside the bounds a drop/loop policy promised
+ * Keeps the shape of the durations (variation, pacing) and the exact total;
+ * fixed-duration images from the timing file and video clips are left alone
+ * @param {Array} frameCounts - Per-image frame counts
+ * @param {Array} labels - Per-image timing file labels
+ * @param {object} policy - Result of applyImageCountPolicy
+ * @returns {Array} Frame counts within bounds (unchanged if they can't fit)
+ */
+function clampToImageCountPolicy(frameCounts, labels, policy) {
+    if (!policy.minFrames && !policy.maxFrames) {
+        return frameCounts;
+    }
+
+    var totalFrames = 0;
+    var specs = [];
+    for (var i = 0; i < frameCounts.length; i++) {
+        var fixed = isFixedLabel(labels[i]);
+        specs.push({
+            weight: frameCounts[i],
+            fixed: fixed ? frameCounts[i] : 0,
+            min: policy.minFrames,
+            max: policy.maxFrames
+        });
+        totalFrames += frameCounts[i];
+    }
+
+    var allocation = allocateWeightedFrames(totalFrames, specs);
+    return allocation.error ? frameCounts : allocation.frameCounts;
+}
+
+/**
+ * Check whether a plan label marks an image whose length must not change
+ * @param {string} label - Label from the timing file or video clip rules
+ * @returns {boolean} True for fixed holds and video clips
+ */
+function isFixedLabel(label) {
+    return label === "fixed" || (typeof label === "string" && label.indexOf("video") === 0);
+}
+
+// ============================================================
+// VIDEO CLIPS - B-roll in the images folder plays at its own length
+// ============================================================
+
+/**
+ * Work out how long each video clip in the images folder plays
+ * Clips run their native length, or the configured maximum if shorter.
+ * Lengths are rounded down so a clip never runs past its last frame.
+ * @param {Array} imagePaths - Image/video paths in placement order
+ * @param {object} options - Normalized build options (videoDurations from the host import)
+ * @param {number} frameRate - Frame rate
+ * @returns {object} {lengths, trimmed (both keyed by path), count, frames, overrun, warnings}
+ */
+function getVideoClipFrames(imagePaths, options, frameRate) {
+    var profile = options.layoutProfile || STANDARD_LAYOUT_PROFILE;
+    var clips = {
+        lengths: {},
+        trimmed: {},
+        count: 0,
+        frames: 0,
+        overrun: false,
+        warnings: []
+    };
+
+    for (var i = 0; i < imagePaths.length; i++) {
+        var path = imagePaths[i];
+        if (!isVideoFile(path, profile) || clips.lengths.hasOwnProperty(path)) continue;
+
+        var native = options.videoDurations.hasOwnProperty(path) ? options.videoDurations[path] : 0;
+        if (!(native > 0)) {
+            clips.warnings.push("Length of video " + getFolderName(path) + " is unknown - timed like a still");
+            continue;
+        }
+
+        var seconds = native;
+        if (options.maxVideoDuration > 0 && native > options.maxVideoDuration) {
+            seconds = options.maxVideoDuration;
+            clips.trimmed[path] = true;
+        }
+        clips.lengths[path] = Math.max(Math.floor(seconds * frameRate + 0.0001), 1);
+        clips.count++;
+        clips.frames += clips.lengths[path];
+    }
+
+    return clips;
+}
+
+/**
+ * Sidecar-shaped specs with no rules (every image shares the time evenly)
+ * Lets video clips use the sidecar allocation when there is no timing file
+ * @param {Array} imagePaths - Image paths in placement order
+ * @returns {object} Sidecar as from loadTimingSidecar
+ */
+function createEmptySidecar(imagePaths) {
+    var sidecar = {
+        name: null,
+        specs: [],
+        listed: [],
+        labels: [],
+        warnings: []
+    };
+    for (var i = 0; i < imagePaths.length; i++) {
+        sidecar.specs.push({ weight: 1, fixed: 0, min: 0, max: 0 });
+        sidecar.listed.push(false);
+        sidecar.labels.push("");
+    }
+    return sidecar;
+}
+
+/**
+ * Add video clip lengths to sidecar specs
+ * Clips become fixed holds (a shorter fixed duration from the timing file
+ * wins). When the clips alone are longer than the voice they are shared
+ * out by length instead, each capped at its own length.
+ * @param {object} sidecar - Sidecar from loadTimingSidecar or createEmptySidecar
+ * @param {Array} imagePaths - Image paths in placement order
+ * @param {object} clips - Result of getVideoClipFrames
+ * @param {number} frameRate - Frame rate
+ * @returns {object} New sidecar with the clip specs and labels
+ */
+function withVideoClips(sidecar, imagePaths, clips, frameRate) {
+    var result = {
+        name: sidecar.name,
+        specs: [],
+        listed: [],
+        labels: [],
+        warnings: sidecar.warnings
+    };
+
+    for (var i = 0; i < imagePaths.length; i++) {
+        var spec = sidecar.specs[i];
+        var path = imagePaths[i];
+        if (!clips.lengths.hasOwnProperty(path)) {
+            result.specs.push(spec);
+            result.listed.push(sidecar.listed[i]);
+            result.labels.push(sidecar.labels[i]);
+            continue;
+        }
+
+        var frames = clips.lengths[path];
+        if (clips.overrun) {
+            // Weight in seconds, so a still (weight 1) counts like a 1s clip
+            result.specs.push({ weight: frames / frameRate, fixed: 0, min: 0, max: frames });
+            result.labels.push("video fit");
+        } else {
+            var trimmed = clips.trimmed[path] || (spec.fixed > 0 && spec.fixed < frames);
+            result.specs.push({ weight: 1, fixed: spec.fixed > 0 ? Math.min(spec.fixed, frames) : frames, min: 0, max: 0 });
+            result.labels.push(trimmed ? "video trimmed" : "video");
+        }
+        result.listed.push(true);
+    }
+
+    return result;
+}
+
+/**
+ * Frame counts for the "freeze" policy: stills run the maximum, video
+ * clips their own length, and the last still holds to the end
+ * @param {Array} imagePaths - Image paths in placement order
+ * @param {number} totalFrames - Total frames to fill
+ * @param {number} freezeFrames - Frames per still
+ * @param {object} clips - Result of getVideoClipFrames
+ * @returns {Array|null} Frame counts, or null if they cannot fit
+ */
+function calculateFreezeFrames(imagePaths, totalFrames, freezeFrames, clips) {
+    var lastStill = -1;
+    for (var i = 0; i < imagePaths.length; i++) {
+        if (!clips.lengths.hasOwnProperty(imagePaths[i])) lastStill = i;
+    }
+
+    var specs = [];
+    for (var j = 0; j < imagePaths.length; j++) {
+        var clipFrames = clips.lengths.hasOwnProperty(imagePaths[j]) ? clips.lengths[imagePaths[j]] : 0;
+        if (clipFrames > 0) {
+            specs.push({ weight: 1, fixed: clipFrames, min: 0, max: 0 });
+        } else if (j === lastStill) {
+            specs.push({ weight: 1, fixed: 0, min: 0, max: 0 });
+        } else {
+            specs.push({ weight: 1, fixed: freezeFrames, min: 0, max: 0 });
+        }
+    }
+
+    var allocation = allocateWeightedFrames(totalFrames, specs);
+    return allocation.error ? null : allocation.frameCounts;
+}
+
+/**
+ * Plan labels for video clips (used where no sidecar labels exist)
+ * @param {Array} imagePaths - Image paths in placement order
+ * @param {object} clips - Result of getVideoClipFrames
+ * @returns {Array} Labels ("" for stills)
+ */
+function getVideoClipLabels(imagePaths, clips) {
+    var labels = [];
+    for (var i = 0; i < imagePaths.length; i++) {
+        var path = imagePaths[i];
+        if (!clips.lengths.hasOwnProperty(path)) {
+            labels.push("");
+        } else {
+            labels.push(clips.trimmed[path] ? "video trimmed" : "video");
+        }
+    }
+    return labels;
+}
+
+// ============================================================
+// PAUSE-AWARE CUTS
+// ============================================================
+
+/**
+ * Move image boundaries into nearby pauses of the voiceover
+ * Each cut goes to the middle of the closest pause within the tolerance
+ * (or as far into it as the tolerance allows). Cuts keep their order and
+ * at least one frame per image (minFrames with transitions; a cut that
+ * would leave less stays put), and the total frame count never changes.
+ * @param {Array} frameCounts - Per-image frame counts
+ * @param {Array} pauses - Silent regions {start, end} in seconds, sorted
+ * @param {number} frameRate - Frame rate
+ * @param {number} tolerance - Maximum distance a cut may move (seconds)
+ * @param {Array} locked - Per-boundary flags (index i = cut before image i) that must not move
+ * @param {number} minFrames - Shortest image a moved cut may leave (optional, default 1)
+ * @returns {object} {frameCounts, cuts: [{index, from, to, moved}]} with times in seconds
+ */
+function snapCutsToPauses(frameCounts, pauses, frameRate, tolerance, locked, minFrames) {
+    var imageCount = frameCounts.length;
+    var totalFrames = 0;
+    var boundaries = [0];
+    for (var i = 0; i < imageCount; i++) {
+        totalFrames += frameCounts[i];
+        boundaries.push(totalFrames);
+    }
+
+    var cuts = [];
+    var snapped = [0];
+    for (var b = 1; b < imageCount; b++) {
+        var original = boundaries[b];
+        var time = original / frameRate;
+        var target = original;
+
+        if (!(locked && locked[b])) {
+            // Closest pause (distance from the cut to the pause's span)
+            var best = null;
+            var bestDistance = tolerance;
+            for (var p = 0; p < pauses.length; p++) {
+                var distance = 0;
+                if (time < pauses[p].start) distance = pauses[p].start - time;
+                else if (time > pauses[p].end) distance = time - pauses[p].end;
+                if (distance <= bestDistance) {
+                    best = pauses[p];
+                    bestDistance = distance;
+                }
+            }
+
+            if (best) {
+                var middle = (best.start + best.end) / 2;
+                if (middle > time + tolerance) middle = time + tolerance;
+                if (middle < time - tolerance) middle = time - tolerance;
+                target = Math.round(middle * frameRate);
+            }
+        }
+
+        // Keep order and at least one frame for every image
+        var minFrame = snapped[b - 1] + 1;
+        var maxFrame = totalFrames - (imageCount - b);
+        if (target < minFrame || target > maxFrame) {
+            target = Math.max(minFrame, Math.min(maxFrame, original));
+        }
+        // A move that leaves an image too short for its transitions is undone
+        if (minFrames > 1 && target !== original &&
+            (target - snapped[b - 1] < minFrames || boundaries[b + 1] - target < minFrames)) {
+            target = Math.max(minFrame, Math.min(maxFrame, original));
+        }
+
+        snapped.push(target);
+        cuts.push({
+            index: b,
+            from: time,
+            to: target / frameRate,
+            moved: target !== original
+        });
+    }
+    snapped.push(totalFrames);
+
+    var snappedCounts = [];
+    for (var c = 0; c < imageCount; c++) {
+        snappedCounts.push(snapped[c + 1] - snapped[c]);
+    }
+
+    return {
+        frameCounts: snappedCounts,
+        cuts: cuts
+    };
+}
+
+// ============================================================
+// TIMING PLAN
+// ============================================================
+
+/**
+ * Fill in defaults for the build options object passed from the panel
+ * @param {object} options - Options object (may be undefined)
+ * @returns {object} Options with defaults applied
+ */
+function normalizeBuildOptions(options) {
+    if (!options || typeof options !== "object") {
+        options = {};
+    }
+    if (options.timingMode !== "srt") {
+        options.timingMode = "even";
+    }
+    if (typeof options.maxVariation !== "number") {
+        options.maxVariation = 2;
+    }
+    if (typeof options.frameRate !== "number" || options.frameRate <= 0) {
+        options.frameRate = 30;
+    }
+    if (typeof options.profile !== "string") {
+        options.profile = "";
+    }
+    if (!arrayContains(["name", "exif", "modified", "list", "shuffle"], options.imageOrder)) {
+        options.imageOrder = "name";
+    }
+    if (typeof options.voiceDuration !== "number") {
+        options.voiceDuration = 0;
+    }
+    var voiceDurations = [];
+    if (options.voiceDurations && options.voiceDurations.length) {
+        for (var vd = 0; vd < options.voiceDurations.length; vd++) {
+            var duration = parseFloat(options.voiceDurations[vd]);
+            voiceDurations.push(isNaN(duration) || duration < 0 ? 0 : duration);
+        }
+    } else if (options.voiceDuration > 0) {
+        voiceDurations.push(options.voiceDuration);
+    }
+    options.voiceDurations = voiceDurations;
+    if (!arrayContains(["flat", "ease-in", "ease-out", "ease-in-out", "build-up", "custom"], options.pacing)) {
+        options.pacing = "flat";
+    }
+    var curve = [];
+    if (options.pacingCurve && options.pacingCurve.length) {
+        for (var c = 0; c < options.pacingCurve.length; c++) {
+            var point = parseFloat(options.pacingCurve[c]);
+            curve.push(isNaN(point) ? 0.5 : Math.max(0, Math.min(1, point)));
+        }
+    }
+    options.pacingCurve = curve;
+    if (typeof options.minImageDuration !== "number" || options.minImageDuration < 0) {
+        options.minImageDuration = 0.5;
+    }
+    if (typeof options.maxImageDuration !== "number" || options.maxImageDuration < 0) {
+        options.maxImageDuration = 0;
+    }
+    if (typeof options.maxVideoDuration !== "number" || options.maxVideoDuration < 0) {
+        options.maxVideoDuration = 0;
+    }
+    var videoDurations = {};
+    if (options.videoDurations && typeof options.videoDurations === "object") {
+        for (var videoPath in options.videoDurations) {
+            if (options.videoDurations.hasOwnProperty(videoPath)) {
+                var videoSeconds = parseFloat(options.videoDurations[videoPath]);
+                if (videoSeconds > 0) videoDurations[videoPath] = videoSeconds;
+            }
+        }
+    }
+    options.videoDurations = videoDurations;
+    if (!arrayContains(["allow", "drop", "fail"], options.tooManyImages)) {
+        options.tooManyImages = "allow";
+    }
+    if (!arrayContains(["stretch", "loop", "freeze", "fail"], options.tooFewImages)) {
+        options.tooFewImages = "stretch";
+    }
+    if (typeof options.introDuration !== "number" || isNaN(options.introDuration) || options.introDuration < 0) {
+        options.introDuration = 3;
+    }
+    if (typeof options.outroDuration !== "number" || isNaN(options.outroDuration) || options.outroDuration < 0) {
+        options.outroDuration = 3;
+    }
+    if (typeof options.brandingFolder !== "string") {
+        options.brandingFolder = "";
+    }
+    if (!arrayContains(["new", "preset", "active"], options.sequenceMode)) {
+        options.sequenceMode = "new";
+    }
+    if (typeof options.sequencePreset !== "string") {
+        options.sequencePreset = "";
+    }
+    if (typeof options.sequenceName !== "string" || !trimString(options.sequenceName)) {
+        options.sequenceName = "{folder}";
+    }
+    options.sequenceWidth = Math.round(options.sequenceWidth) > 0 ? Math.round(options.sequenceWidth) : 1920;
+    options.sequenceHeight = Math.round(options.sequenceHeight) > 0 ? Math.round(options.sequenceHeight) : 1080;
+    options.sequenceVideoTracks = Math.round(options.sequenceVideoTracks) > 0 ? Math.round(options.sequenceVideoTracks) : 2;
+    options.sequenceAudioTracks = Math.round(options.sequenceAudioTracks) > 0 ? Math.round(options.sequenceAudioTracks) : 2;
+    if (!arrayContains(["off", "zoom-in", "zoom-out", "pan-left", "pan-right", "random"], options.kenBurns)) {
+        options.kenBurns = "off";
+    }
+    if (typeof options.kenBurnsIntensity !== "number" || isNaN(options.kenBurnsIntensity) || options.kenBurnsIntensity <= 0) {
+        options.kenBurnsIntensity = 10;
+    }
+    options.kenBurnsIntensity = Math.min(50, options.kenBurnsIntensity);
+    if (!arrayContains(["fit", "fill", "stretch", "none"], options.scaling)) {
+        options.scaling = "fit";
+    }
+    options.blurBackground = options.blurBackground === true;
+    if (typeof options.blurAmount !== "number" || isNaN(options.blurAmount) || options.blurAmount <= 0) {
+        options.blurAmount = 60;
+    }
+    options.blurAmount = Math.min(500, options.blurAmount);
+    options.imageMarkers = options.imageMarkers !== false;
+    if (!arrayContains(["none", "file", "subtitles"], options.chapterSource)) {
+        options.chapterSource = "none";
+    }
+    options.youtubeChapters = options.youtubeChapters === true;
+    options.overlays = options.overlays !== false;
+    if (!arrayContains(["off", "fade", "dissolve"], options.transition)) {
+        options.transition = "off";
+    }
+    options.transitionFrames = Math.round(options.transitionFrames) > 0 ? Math.min(120, Math.round(options.transitionFrames)) : 12;
+    if (typeof options.musicLevel !== "number" || isNaN(options.musicLevel)) {
+        options.musicLevel = -18;
+    }
+    options.musicLevel = Math.max(-60, Math.min(6, options.musicLevel));
+    if (typeof options.musicDucking !== "number" || isNaN(options.musicDucking) || options.musicDucking < 0) {
+        options.musicDucking = 12;
+    }
+    options.musicDucking = Math.min(40, options.musicDucking);
+    if (typeof options.musicFadeOut !== "number" || isNaN(options.musicFadeOut) || options.musicFadeOut < 0) {
+        options.musicFadeOut = 3;
+    }
+    options.snapToPauses = options.snapToPauses === true;
+    options.preflight = options.preflight === true;
+    if (typeof options.pauseTolerance !== "number" || options.pauseTolerance <= 0) {
+        options.pauseTolerance = 1;
+    }
+    var pauses = [];
+    if (options.pauses && options.pauses.length) {
+        for (var pz = 0; pz < options.pauses.length; pz++) {
+            var pause = options.pauses[pz];
+            if (pause && typeof pause.start === "number" && typeof pause.end === "number" && pause.end > pause.start) {
+                pauses.push({ start: pause.start, end: pause.end });
+            }
+        }
+        pauses.sort(function(a, b) {
+            return a.start - b.start;
+        });
+    }
+    options.pauses = pauses;
+    if (typeof options.seed !== "number" || isNaN(options.seed)) {
+        options.seed = generateSeed();
+    }
+    options.seed = normalizeSeed(options.seed);
+    return options;
+}
+
+/**
+ * Resolve the frame rate a build is timed against
+ * Prefers the sequence's own rate, falls back to the panel setting
+ * @param {Sequence} sequence - Target sequence (may be null)
+ * @param {number} preferredFrameRate - Fallback frame rate
+ * @returns {number} Frame rate
+ */
+function resolveFrameRate(sequence, preferredFrameRate) {
+    if (sequence) {
+        try {
+            return getSequenceFrameRate(sequence);
+        } catch (e) {
+            // Fall back to preferred frame rate
+        }
+    }
+    return preferredFrameRate;
+}
+
+/**
+ * Calculate frame counts that change image on SRT cue starts
+ * Cues are grouped in order across the images: with as many cues as images
+ * each image gets one cue, extra cues are shared out evenly. The first image
+ * also covers any lead-in before the first cue, the last runs to the end.
+ * @param {Array} cues - Parsed SRT cues sorted by start time
+ * @param {number} totalDuration - Total duration to fill (voice duration in seconds)
+ * @param {number} imageCount - Number of images
+ * @param {number} frameRate - Sequence frame rate
+ * @param {number} overlapFrames - Transition overlap (optional); boundaries move off a cue where an
+ *   image would get less than the minimum of getMinimumImageFrames (if every image can have it)
+ * @returns {Array|null} Array of frame counts, or null if there are fewer cues than images
+ */
+function calculateSrtSyncedDurations(cues, totalDuration, imageCount, frameRate, overlapFrames) {
+    var totalFrames = Math.round(totalDuration * frameRate);
+    if (cues.length < imageCount || totalFrames < imageCount) {
+        return null;
+    }
+    var minFrames = 1;
+    if (overlapFrames > 0 && totalFrames >= getMinimumImageFrames(frameRate, overlapFrames) * imageCount) {
+        minFrames = getMinimumImageFrames(frameRate, overlapFrames);
+    }
+
+    // Image boundaries in frames, snapped to the first cue of each group
+    var boundaries = [0];
+    for (var i = 1; i < imageCount; i++) {
+        var cueIndex = Math.floor(i * cues.length / imageCount);
+        var frame = Math.round(cues[cueIndex].start * frameRate);
+
+        // Keep the minimum for every image on either side
+        var minFrame = boundaries[i - 1] + minFrames;
+        var maxFrame = totalFrames - (imageCount - i) * minFrames;
+        if (frame < minFrame) frame = minFrame;
+        if (frame > maxFrame) frame = maxFrame;
+
+        boundaries.push(frame);
+    }
+    boundaries.push(totalFrames);
+
+    var frameCounts = [];
+    for (var b = 0; b < imageCount; b++) {
+        frameCounts.push(boundaries[b + 1] - boundaries[b]);
+    }
+    return frameCounts;
+}
+
+/**
+ * Build the timing plan for a slideshow
+ * Shared by the panel preview and createSlideshow so both agree exactly
+ * @param {string} folderPath - Path to project folder
+ * @param {Array} imagePaths - Image paths in placement order
+ * @param {number} voiceDuration - Voice duration in seconds
+ * @param {number} frameRate - Frame rate to time against
+ * @param {number} maxVariation - Maximum duration variation in seconds
+ * @param {object} options - Normalized build options
+ * @returns {object} Plan with per-image frame counts and warnings
+ */
+function buildTimingPlan(folderPath, imagePaths, voiceDuration, frameRate, maxVariation, options) {
+    var plan = {
+        mode: "even",
+        frameRate: frameRate,
+        totalFrames: Math.round(voiceDuration * frameRate),
+        imagePaths: imagePaths,
+        frameCounts: [],
+        labels: [],
+        cueCount: 0,
+        timingFile: null,
+        seed: options.seed,
+        maxVariation: maxVariation,
+        pacing: options.pacing,
+        pauseCount: 0,
+        snapped: false,
+        cuts: [],
+        warnings: [],
+        error: null
+    };
+
+    // Video clips keep their own length; the stills share what is left
+    var clips = getVideoClipFrames(imagePaths, options, frameRate);
+    plan.warnings = clips.warnings;
+    var stillCount = imagePaths.length - clips.count;
+    if (clips.count > 0 && clips.frames + stillCount > plan.totalFrames) {
+        clips.overrun = true;
+        plan.warnings.push("Video clips run " + (clips.frames / frameRate).toFixed(1) + "s, longer than the " +
+                           voiceDuration.toFixed(1) + "s voiceover - clips are shortened to fit");
+    }
+
+    // Too many / too few images for the time the stills get
+    // (skipped when the clips alone overrun the voice - nothing is left to share)
+    var policy = { imagePaths: imagePaths, freezeFrames: 0, minFrames: 0, maxFrames: 0, warnings: [], error: null };
+    if (!clips.overrun) {
+        var stillSeconds = (plan.totalFrames - clips.frames) / frameRate;
+        policy = applyImageCountPolicy(imagePaths, stillSeconds, frameRate, options, clips.lengths);
+        for (var pw = 0; pw < policy.warnings.length; pw++) {
+            plan.warnings.push(policy.warnings[pw]);
+        }
+        if (policy.error) {
+            plan.error = policy.error;
+            return plan;
+        }
+        imagePaths = policy.imagePaths;
+        plan.imagePaths = imagePaths;
+
+        if (policy.freezeFrames > 0) {
+            // Every still runs the maximum, the last one holds to the end
+            var frozen = calculateFreezeFrames(imagePaths, plan.totalFrames, policy.freezeFrames, clips);
+            if (frozen) {
+                plan.frameCounts = frozen;
+                plan.labels = getVideoClipLabels(imagePaths, clips);
+                plan.mode = "freeze";
+                return plan;
+            }
+        }
+    }
+
+    var random = createSeededRandom(options.seed);
+    var pacingWeights = calculatePacingWeights(options.pacing, imagePaths.length, options.pacingCurve);
+
+    var sidecar = loadTimingSidecar(folderPath, imagePaths, frameRate,
+                                    options.segment ? options.segment.allImagePaths : null);
+    if (sidecar) {
+        plan.timingFile = sidecar.name;
+        for (var sw = 0; sw < sidecar.warnings.length; sw++) {
+            plan.warnings.push(sidecar.warnings[sw]);
+        }
+    }
+
+    if (options.timingMode === "srt" && clips.count > 0) {
+        plan.warnings.push("Subtitle sync is not used when the images folder has video clips - using even split");
+    } else if (options.timingMode === "srt") {
+        var srtInfo = getSrtFileInfo(folderPath, options.layoutProfile);
+        if (!srtInfo) {
+            plan.warnings.push("Subtitle sync needs an SRT file - using even split");
+        } else {
+            var cues = parseSubtitleFile(srtInfo.path);
+            if (options.segment) {
+                cues = shiftTimeRanges(cues, options.segment.start, options.segment.duration);
+            }
+            plan.cueCount = cues.length;
+
+            var srtCounts = calculateSrtSyncedDurations(cues, voiceDuration, imagePaths.length, frameRate,
+                                                        getTransitionFrames(options));
+            if (srtCounts) {
+                plan.mode = "srt";
+                plan.frameCounts = srtCounts;
+                if (sidecar) {
+                    plan.warnings.push(sidecar.name + " is not used when syncing to subtitle cues");
+                }
+                if (pacingWeights) {
+                    plan.warnings.push("Pacing curve is not used when syncing to subtitle cues");
+                }
+                return checkTransitionRoom(applyPauseSnapping(plan, options), options);
+            }
+            plan.warnings.push("Only " + cues.length + " subtitle cues for " + imagePaths.length +
+                               " images - using even split");
+        }
+    }
+
+    if (sidecar) {
+        sidecar = withVideoClips(sidecar, imagePaths, clips, frameRate);
+        var allocation = calculateSidecarDurations(sidecar, plan.totalFrames, maxVariation, frameRate, random, pacingWeights,
+                                                   getTransitionFrames(options));
+        if (allocation.error) {
+            var conflicts = {
+                min: "fixed and minimum durations need ",
+                fixed: "fixed durations add up to ",
+                max: "durations are capped at "
+            };
+            plan.warnings.push(sidecar.name + ": " + conflicts[allocation.error] +
+                               (allocation.frames / frameRate).toFixed(2) + "s but the voice is " +
+                               (plan.totalFrames / frameRate).toFixed(2) + "s - timing file ignored");
+        } else {
+            plan.labels = sidecar.labels;
+            plan.frameCounts = clampToImageCountPolicy(allocation.frameCounts, plan.labels, policy);
+            return checkTransitionRoom(applyPauseSnapping(plan, options), options);
+        }
+    }
+
+    if (clips.count > 0) {
+        var clipSidecar = withVideoClips(createEmptySidecar(imagePaths), imagePaths, clips, frameRate);
+        var clipAllocation = calculateSidecarDurations(clipSidecar, plan.totalFrames, maxVariation, frameRate,
+                                                       random, pacingWeights, getTransitionFrames(options));
+        if (!clipAllocation.error) {
+            plan.labels = clipSidecar.labels;
+            plan.frameCounts = clampToImageCountPolicy(clipAllocation.frameCounts, plan.labels, policy);
+            return checkTransitionRoom(applyPauseSnapping(plan, options), options);
+        }
+    }
+
+    plan.frameCounts = calculateRandomDurations(voiceDuration, imagePaths.length, maxVariation, frameRate,
+                                                random, pacingWeights, getTransitionFrames(options));
+    plan.frameCounts = clampToImageCountPolicy(plan.frameCounts, plan.labels, policy);
+    return checkTransitionRoom(applyPauseSnapping(plan, options), options);
+}
+
+/**
+ * Warn about stills too short for their transitions
+ * The timing keeps the minimum wherever it can; fixed durations and rules
+ * that leave no room can still go below it.
+ * @param {object} plan - Plan from buildTimingPlan
+ * @param {object} options - Normalized build options
+ * @returns {object} The plan
+ */
+function checkTransitionRoom(plan, options) {
+    var overlapFrames = getTransitionFrames(options);
+    if (overlapFrames === 0) return plan;
+
+    var minFrames = getMinimumImageFrames(plan.frameRate, overlapFrames);
+    var short = [];
+    for (var i = 0; i < plan.frameCounts.length; i++) {
+        var video = isFixedLabel(plan.labels[i]) && plan.labels[i] !== "fixed";
+        if (!video && plan.frameCounts[i] < minFrames) {
+            short.push(getFolderName(plan.imagePaths[i]) + " (" + (plan.frameCounts[i] / plan.frameRate).toFixed(2) + "s)");
+        }
+    }
+    if (short.length > 0) {
+        plan.warnings.push(short.length + " image(s) are shorter than " + (minFrames / plan.frameRate).toFixed(2) +
+                           "s and have no time fully on screen between their " + overlapFrames + "-frame transitions: " +
+                           short.slice(0, 5).join(", ") + (short.length > 5 ? ", ..." : ""));
+    }
+    return plan;
+}
+
+/**
+ * Apply pause-aware cut placement to a plan when enabled
+ * Cuts next to a fixed-duration image or a video clip stay where they are
+ * @param {object} plan - Plan from buildTimingPlan
+ * @param {object} options - Normalized build options (pauses come from the panel's analysis)
+ * @returns {object} The plan, with frameCounts and cuts updated
+ */
+function applyPauseSnapping(plan, options) {
+    plan.pauseCount = options.pauses.length;
+    if (!options.snapToPauses) {
+        return plan;
+    }
+    if (options.pauses.length === 0) {
+        // A voice part without pauses is fine; only warn for the whole voiceover
+        if (!options.segment) {
+            plan.warnings.push("No pauses detected in the voiceover - cuts were not moved");
+        }
+        return plan;
+    }
+
+    var locked = [];
+    for (var i = 0; i < plan.frameCounts.length; i++) {
+        var fixedHere = isFixedLabel(plan.labels[i]);
+        var fixedBefore = i > 0 && isFixedLabel(plan.labels[i - 1]);
+        locked.push(fixedHere || fixedBefore);
+    }
+
+    var minFrames = getTransitionFrames(options) > 0 ? getMinimumImageFrames(plan.frameRate, getTransitionFrames(options)) : 1;
+    var snapped = snapCutsToPauses(plan.frameCounts, options.pauses, plan.frameRate, options.pauseTolerance, locked, minFrames);
+    plan.frameCounts = snapped.frameCounts;
+    plan.cuts = snapped.cuts;
+    plan.snapped = true;
+    return plan;
+}
+
+/**
+ * Reduce a timing plan to what the panel preview displays
+ * @param {object} plan - Plan from buildTimingPlan
+ * @returns {object} Mode, frame rate and per-image names/durations
+ */
+function summarizeTimingPlan(plan) {
+    var images = [];
+    for (var i = 0; i < plan.frameCounts.length; i++) {
+        var cut = i > 0 && plan.cuts.length ? plan.cuts[i - 1] : null;
+        images.push({
+            name: getFolderName(plan.imagePaths[i]),
+            frames: plan.frameCounts[i],
+            seconds: plan.frameCounts[i] / plan.frameRate,
+            rule: plan.labels[i] || "",
+            video: isFixedLabel(plan.labels[i]) && plan.labels[i] !== "fixed",
+            snapped: cut ? cut.moved : false
+        });
+    }
+
+    // Video time is fixed by the clips, still time is what the timing rules share
+    var videoCount = 0;
+    var videoFrames = 0;
+    for (var v = 0; v < images.length; v++) {
+        if (images[v].video) {
+            videoCount++;
+            videoFrames += images[v].frames;
+        }
+    }
+
+    var movedCuts = 0;
+    for (var c = 0; c < plan.cuts.length; c++) {
+        if (plan.cuts[c].moved) movedCuts++;
+    }
+
+    return {
+        mode: plan.mode,
+        frameRate: plan.frameRate,
+        totalFrames: plan.totalFrames,
+        cueCount: plan.cueCount,
+        timingFile: plan.timingFile,
+        seed: plan.seed,
+        pacing: plan.pacing,
+        pauseCount: plan.pauseCount,
+        snapped: plan.snapped,
+        movedCuts: movedCuts,
+        videoCount: videoCount,
+        videoSeconds: videoFrames / plan.frameRate,
+        stillSeconds: (plan.totalFrames - videoFrames) / plan.frameRate,
+        error: plan.error,
+        segments: plan.segments || [],
+        images: images
+    };
+}
+
+// ============================================================
+// VOICE SEGMENTS - Several voice files played back-to-back
+// ============================================================
+
+/**
+ * Frame-aligned start and length of each voice file on the timeline
+ * A part starts on the first frame after the previous one ends, so it
+ * never cuts off the tail of the part before it
+ * @param {Array} voiceDurations - Duration of each voice file in seconds
+ * @param {number} frameRate - Frame rate
+ * @returns {Array} Segments {start, frames} in frames
+ */
+function getVoiceSegmentFrames(voiceDurations, frameRate) {
+    var segments = [];
+    var elapsed = 0;
+    var start = 0;
+    for (var i = 0; i < voiceDurations.length; i++) {
+        elapsed += voiceDurations[i];
+        var end = (i === voiceDurations.length - 1) ?
+                  Math.round(elapsed * frameRate) : Math.ceil(elapsed * frameRate - 0.0001);
+        var frames = Math.max(end - start, 1);
+        segments.push({ start: start, frames: frames });
+        start += frames;
+    }
+    return segments;
+}
+
+/**
+ * Cut timed ranges (pauses, cues) down to one voice part
+ * Ranges overlapping the part are kept and moved to the part's own time
+ * @param {Array} ranges - Objects with start/end in seconds
+ * @param {number} offset - Part start in seconds
+ * @param {number} duration - Part length in seconds
+ * @returns {Array} Shifted copies
+ */
+function shiftTimeRanges(ranges, offset, duration) {
+    var shifted = [];
+    for (var i = 0; i < ranges.length; i++) {
+        var range = ranges[i];
+        if (range.end <= offset || range.start >= offset + duration) continue;
+
+        var copy = {};
+        for (var key in range) {
+            if (range.hasOwnProperty(key)) copy[key] = range[key];
+        }
+        copy.start = range.start - offset;
+        copy.end = range.end - offset;
+        shifted.push(copy);
+    }
+    return shifted;
+}
+
+/**
+ * Build options for one voice part
+ * Each part gets its own seed stream (part 1 keeps the build seed) and
+ * only the pauses inside it
+ * @param {object} options - Normalized build options
+ * @param {number} index - Part index
+ * @param {number} start - Part start in seconds
+ * @param {number} duration - Part length in seconds
+ * @param {Array} allImagePaths - Every image of the slideshow
+ * @returns {object} Options copy for buildTimingPlan
+ */
+function createSegmentOptions(options, index, start, duration, allImagePaths) {
+    var partOptions = {};
+    for (var key in options) {
+        if (options.hasOwnProperty(key)) partOptions[key] = options[key];
+    }
+    partOptions.seed = normalizeSeed(options.seed + index);
+    partOptions.pauses = shiftTimeRanges(options.pauses, start, duration);
+    partOptions.segment = {
+        index: index,
+        start: start,
+        duration: duration,
+        allImagePaths: allImagePaths
+    };
+    return partOptions;
+}
+
+/**
+ * Build the timing plan for one or more voice files played back-to-back
+ * Grouped layouts get a plan per voice part, so every image group fills
+ * its own part exactly; otherwise all images share the whole voiceover
+ * @param {string} folderPath - Path to project folder
+ * @param {object} layout - Layout from getVoiceLayout
+ * @param {Array} voiceDurations - Duration of each voice file in seconds
+ * @param {number} frameRate - Frame rate to time against
+ * @param {number} maxVariation - Maximum duration variation in seconds
+ * @param {object} options - Normalized build options
+ * @returns {object} Plan as from buildTimingPlan, plus per-part segments
+ */
+function buildVoiceTimingPlan(folderPath, layout, voiceDurations, frameRate, maxVariation, options) {
+    var voiceFrames = getVoiceSegmentFrames(voiceDurations, frameRate);
+    var last = voiceFrames[voiceFrames.length - 1];
+    var totalFrames = last.start + last.frames;
+
+    var plan;
+    var perPart = layout.grouped && layout.groups.length === voiceFrames.length;
+    if (!perPart) {
+        plan = buildTimingPlan(folderPath, layout.imagePaths, totalFrames / frameRate, frameRate, maxVariation, options);
+    } else {
+        var parts = [];
+        for (var k = 0; k < voiceFrames.length; k++) {
+            var start = voiceFrames[k].start / frameRate;
+            var duration = voiceFrames[k].frames / frameRate;
+            var partOptions = createSegmentOptions(options, k, start, duration, layout.imagePaths);
+            parts.push(buildTimingPlan(folderPath, layout.groups[k].imagePaths, duration, frameRate, maxVariation,
+                                       partOptions));
+        }
+        plan = mergeSegmentPlans(parts, voiceFrames, frameRate, options);
+    }
+
+    plan.segments = describeVoiceSegments(plan, layout, voiceFrames, perPart);
+    return plan;
+}
+
+/**
+ * Join per-part plans into one plan for the whole timeline
+ * The cut between two parts always sits where the next voice file starts
+ * @param {Array} parts - Plans from buildTimingPlan, one per voice part
+ * @param {Array} voiceFrames - Segments from getVoiceSegmentFrames
+ * @param {number} frameRate - Frame rate
+ * @param {object} options - Normalized build options
+ * @returns {object} Combined plan
+ */
+function mergeSegmentPlans(parts, voiceFrames, frameRate, options) {
+    var last = voiceFrames[voiceFrames.length - 1];
+    var plan = {
+        mode: parts[0].mode,
+        frameRate: frameRate,
+        totalFrames: last.start + last.frames,
+        imagePaths: [],
+        frameCounts: [],
+        labels: [],
+        cueCount: 0,
+        timingFile: null,
+        seed: options.seed,
+        maxVariation: parts[0].maxVariation,
+        pacing: options.pacing,
+        pauseCount: options.pauses.length,
+        snapped: false,
+        cuts: [],
+        warnings: [],
+        error: null
+    };
+
+    var seenWarnings = {};
+    for (var k = 0; k < parts.length; k++) {
+        var part = parts[k];
+        var prefix = "Part " + (k + 1) + ": ";
+        for (var w = 0; w < part.warnings.length; w++) {
+            // Folder-wide warnings (e.g. no SRT file) are only listed once
+            if (seenWarnings[part.warnings[w]]) continue;
+            seenWarnings[part.warnings[w]] = true;
+            plan.warnings.push(prefix + part.warnings[w]);
+        }
+        if (part.error) {
+            if (!plan.error) plan.error = prefix + part.error;
+            continue;
+        }
+
+        if (part.mode !== plan.mode) plan.mode = "mixed";
+        plan.cueCount += part.cueCount;
+        if (!plan.timingFile) plan.timingFile = part.timingFile;
+        if (part.snapped) plan.snapped = true;
+
+        var base = plan.frameCounts.length;
+        var offsetFrames = voiceFrames[k].start;
+        if (k > 0) {
+            plan.cuts.push({ index: base, from: offsetFrames / frameRate, to: offsetFrames / frameRate, moved: false });
+        }
+        var position = offsetFrames;
+        for (var i = 0; i < part.frameCounts.length; i++) {
+            if (i > 0) {
+                var cut = part.cuts[i - 1];
+                if (cut) {
+                    plan.cuts.push({
+                        index: base + cut.index,
+                        from: cut.from + offsetFrames / frameRate,
+                        to: cut.to + offsetFrames / frameRate,
+                        moved: cut.moved
+                    });
+                } else {
+                    plan.cuts.push({ index: base + i, from: position / frameRate, to: position / frameRate, moved: false });
+                }
+            }
+            position += part.frameCounts[i];
+            plan.imagePaths.push(part.imagePaths[i]);
+            plan.frameCounts.push(part.frameCounts[i]);
+            plan.labels.push(part.labels[i] || "");
+        }
+    }
+
+    if (!plan.snapped) {
+        plan.cuts = [];
+    }
+    return plan;
+}
+
+/**
+ * Describe each voice part for the preview and manifest
+ * @param {object} plan - Plan from buildVoiceTimingPlan
+ * @param {object} layout - Layout from getVoiceLayout
+ * @param {Array} voiceFrames - Segments from getVoiceSegmentFrames
+ * @param {boolean} perPart - Whether every part was timed with its own image group
+ * @returns {Array} Parts {name, group, start, seconds, imageCount}
+ */
+function describeVoiceSegments(plan, layout, voiceFrames, perPart) {
+    var segments = [];
+    for (var k = 0; k < voiceFrames.length; k++) {
+        var start = voiceFrames[k].start;
+        var end = start + voiceFrames[k].frames;
+
+        // Images that start inside this part
+        var imageCount = 0;
+        var position = 0;
+        for (var i = 0; i < plan.frameCounts.length; i++) {
+            if (position >= start && position < end) imageCount++;
+            position += plan.frameCounts[i];
+        }
+
+        segments.push({
+            name: layout.voiceFiles[k] ? layout.voiceFiles[k].name : "Part " + (k + 1),
+            group: perPart ? layout.groups[k].name : null,
+            start: start / plan.frameRate,
+            seconds: voiceFrames[k].frames / plan.frameRate,
+            imageCount: imageCount
+        });
+    }
+    return segments;
+}
+
+// ============================================================
+// PREFLIGHT CHECKS - Problems found before anything is imported
+// ============================================================
+
+/**
+ * Preflight limits
+ * Stills above maxPixels can't be imported by Premiere Pro; above
+ * largeSide or largeBytes they import, but slowly and they make the
+ * timeline sluggish.
+ */
+var PREFLIGHT_LIMITS = {
+    maxPixels: 256000000,
+    largeSide: 8192,
+    largeBytes: 50 * 1024 * 1024,
+    aspectTolerance: 0.01,   // relative difference still counted as the same aspect ratio
+    cueTolerance: 0.5        // seconds a cue may run past the end of the voiceover
+};
+
+/**
+ * Check the first bytes of a file against the format its extension claims
+ * @param {string} data - Start of the file as a binary string
+ * @param {string} extension - Lower-case extension with dot
+ * @returns {boolean|null} Whether the bytes match, null for formats not checked
+ */
+function matchesMediaSignature(data, extension) {
+    var id3 = data.substr(0, 3) === "ID3";
+    var sync = data.charCodeAt(0) === 0xFF && (data.charCodeAt(1) & 0xE0) === 0xE0;
+    switch (extension) {
+        case ".png":
+            return data.substr(0, 8) === "\u0089PNG\r\n\u001A\n";
+        case ".jpg":
+        case ".jpeg":
+            return data.substr(0, 3) === "\u00FF\u00D8\u00FF";
+        case ".gif":
+            return data.substr(0, 4) === "GIF8";
+        case ".bmp":
+            return data.substr(0, 2) === "BM";
+        case ".tif":
+        case ".tiff":
+            return data.substr(0, 4) === "II*\u0000" || data.substr(0, 4) === "MM\u0000*";
+        case ".webp":
+            return data.substr(0, 4) === "RIFF" && data.substr(8, 4) === "WEBP";
+        case ".wav":
+            return (data.substr(0, 4) === "RIFF" || data.substr(0, 4) === "RF64") && data.substr(8, 4) === "WAVE";
+        case ".aif":
+        case ".aiff":
+            return data.substr(0, 4) === "FORM";
+        case ".flac":
+            return data.substr(0, 4) === "fLaC" || id3;
+        case ".ogg":
+            return data.substr(0, 4) === "OggS";
+        case ".mp3":
+        case ".aac":
+            return id3 || sync || data.substr(0, 4) === "ADIF";
+        case ".m4a":
+            return data.substr(4, 4) === "ftyp";
+    }
+    return null;
+}
+
+/**
+ * Read the pixel size of a still from its header
+ * @param {string} data - Start of the file as a binary string
+ * @param {string} extension - Lower-case extension with dot
+ * @returns {object|null} {width, height} or null when it isn't in the header
+ */
+function readImageSize(data, extension) {
+    var width = 0;
+    var height = 0;
+
+    if (extension === ".png" && data.substr(12, 4) === "IHDR") {
+        width = readBinaryUint(data, 16, 4, false);
+        height = readBinaryUint(data, 20, 4, false);
+    } else if (extension === ".gif") {
+        width = readBinaryUint(data, 6, 2, true);
+        height = readBinaryUint(data, 8, 2, true);
+    } else if (extension === ".bmp") {
+        width = readBinaryUint(data, 18, 4, true);
+        height = readBinaryUint(data, 22, 4, true);
+        if (height > 0x7FFFFFFF) height = 0x100000000 - height;  // top-down bitmap
+    } else if (extension === ".jpg" || extension === ".jpeg") {
+        // The size is in the first start-of-frame segment (SOF0..SOF15 except DHT, JPG, DAC)
+        var pos = 2;
+        while (pos + 9 <= data.length && data.charCodeAt(pos) === 0xFF) {
+            var marker = data.charCodeAt(pos + 1);
+            if (marker === 0xFF) {
+                pos++;
+                continue;
+            }
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                height = readBinaryUint(data, pos + 5, 2, false);
+                width = readBinaryUint(data, pos + 7, 2, false);
+                break;
+            }
+            if (marker === 0xDA || marker === 0xD9) break;
+            pos += 2 + readBinaryUint(data, pos + 2, 2, false);
+        }
+    } else if (extension === ".tif" || extension === ".tiff") {
+        var littleEndian = data.substr(0, 2) === "II";
+        var tags = readTiffTags(data, 0, readBinaryUint(data, 4, 4, littleEndian), littleEndian, [256, 257]);
+        width = tags[256] || 0;
+        height = tags[257] || 0;
+    } else if (extension === ".webp") {
+        var chunk = data.substr(12, 4);
+        if (chunk === "VP8 ") {
+            width = readBinaryUint(data, 26, 2, true) & 0x3FFF;
+            height = readBinaryUint(data, 28, 2, true) & 0x3FFF;
+        } else if (chunk === "VP8L") {
+            var b1 = data.charCodeAt(22);
+            var b2 = data.charCodeAt(23);
+            var b3 = data.charCodeAt(24);
+            width = 1 + (((b1 & 0x3F) << 8) | data.charCodeAt(21));
+            height = 1 + (((b3 & 0x0F) << 10) | (b2 << 2) | ((b1 & 0xC0) >> 6));
+        } else if (chunk === "VP8X") {
+            width = 1 + readBinaryUint(data, 24, 3, true);
+            height = 1 + readBinaryUint(data, 27, 3, true);
+        }
+    }
+
+    if (!(width > 0 && height > 0)) return null;
+    return { width: width, height: height };
+}
+
+/**
+ * Get how much of a still to read to find its pixel size
+ * JPEG sizes follow the EXIF/ICC segments; TIFF directories can sit further in
+ * @param {string} extension - Lower-case extension with dot
+ * @returns {number} Bytes to read
+ */
+function getImageHeaderLength(extension) {
+    return arrayContains([".jpg", ".jpeg", ".tif", ".tiff"], extension) ? 131072 : 64;
+}
+
+/**
+ * Get a file name relative to the project folder for preflight messages
+ * @param {string} filePath - File path
+ * @param {string} folderPath - Path to project folder
+ * @returns {string} e.g. "images/2/photo.jpg", or the path for files elsewhere
+ */
+function getPreflightName(filePath, folderPath) {
+    var root = new Folder(folderPath).fsName;
+    if (filePath.indexOf(root) === 0 && filePath.length > root.length) {
+        return filePath.substring(root.length + 1).replace(/\\/g, "/");
+    }
+    return filePath;
+}
+
+/**
+ * Add an issue to a preflight report
+ * @param {object} report - Report from runPreflightChecks
+ * @param {string} level - "error" (blocks the build) or "warning"
+ * @param {string} message - What is wrong
+ * @param {Array} files - File names it applies to
+ */
+function addPreflightIssue(report, level, message, files) {
+    report.issues.push({ level: level, message: message, files: files || [] });
+    if (level === "error") {
+        report.errors++;
+    } else {
+        report.warnings++;
+    }
+}
+
+/**
+ * Find the most common value of a list of keys
+ * @param {Array} keys - String keys
+ * @returns {string} Most common key (the first one on ties)
+ */
+function getMostCommonKey(keys) {
+    var counts = {};
+    var best = keys[0];
+    for (var i = 0; i < keys.length; i++) {
+        counts[keys[i]] = (counts[keys[i]] || 0) + 1;
+        if (counts[keys[i]] > counts[best]) best = keys[i];
+    }
+    return best;
+}
+
+/**
+ * Check every file of a project before anything is imported
+ * Errors are problems that would break the import (empty, damaged or
+ * oversized files, unreadable audio); warnings are things to look at
+ * (skipped files, duplicates, mixed image sizes, captions past the audio).
+ * @param {string} folderPath - Path to project folder
+ * @param {object} media - {imagePaths, voiceFiles, subtitles, musicFiles, cards} as found by getPreviewInfo
+ * @param {object} profile - Layout profile
+ * @param {Array} voiceDurations - Voice part lengths in seconds (empty when not known yet)
+ * @returns {object} {errors, warnings, issues: [{level, message, files}]}, errors first
+ */
+function runPreflightChecks(folderPath, media, profile, voiceDurations) {
+    var report = { errors: 0, warnings: 0, issues: [] };
+    var i;
+
+    // Empty files (a failed download or copy) - Premiere rejects them mid-import
+    var allFiles = media.imagePaths.slice(0);
+    var lists = [media.voiceFiles, media.subtitles, media.musicFiles, media.cards];
+    for (var l = 0; l < lists.length; l++) {
+        for (i = 0; i < lists[l].length; i++) {
+            if (lists[l][i]) allFiles.push(lists[l][i].path);
+        }
+    }
+    var emptyFiles = [];
+    for (i = 0; i < allFiles.length; i++) {
+        var file = new File(allFiles[i]);
+        if (file.exists && file.length === 0) {
+            emptyFiles.push(getPreflightName(allFiles[i], folderPath));
+        }
+    }
+    if (emptyFiles.length > 0) {
+        addPreflightIssue(report, "error", emptyFiles.length + " empty file(s) (0 bytes)", emptyFiles);
+    }
+
+    // Stills: damaged or mislabelled files, sizes
+    var damaged = [];
+    var tooLarge = [];
+    var large = [];
+    var sized = [];
+    for (i = 0; i < media.imagePaths.length; i++) {
+        var imagePath = media.imagePaths[i];
+        var imageFile = new File(imagePath);
+        if (isVideoFile(imagePath, profile) || !imageFile.exists || imageFile.length === 0) continue;
+
+        var extension = getFileExtension(imageFile.name);
+        var name = getPreflightName(imagePath, folderPath);
+        var data = readBinaryHead(imagePath, getImageHeaderLength(extension));
+        if (matchesMediaSignature(data, extension) === false) {
+            damaged.push(name);
+            continue;
+        }
+
+        var size = readImageSize(data, extension);
+        if (size) {
+            sized.push({ name: name, width: size.width, height: size.height });
+            if (size.width * size.height > PREFLIGHT_LIMITS.maxPixels) {
+                tooLarge.push(name + " (" + size.width + "x" + size.height + ")");
+                continue;
+            }
+            if (Math.max(size.width, size.height) > PREFLIGHT_LIMITS.largeSide) {
+                large.push(name + " (" + size.width + "x" + size.height + ")");
+                continue;
+            }
+        }
+        if (imageFile.length > PREFLIGHT_LIMITS.largeBytes) {
+            large.push(name + " (" + Math.round(imageFile.length / 1048576) + " MB)");
+        }
+    }
+    if (damaged.length > 0) {
+        addPreflightIssue(report, "error", damaged.length + " image(s) are damaged or not the type their extension says", damaged);
+    }
+    if (tooLarge.length > 0) {
+        addPreflightIssue(report, "error", tooLarge.length + " image(s) are larger than Premiere Pro can import (" +
+                          Math.round(PREFLIGHT_LIMITS.maxPixels / 1000000) + " megapixels)", tooLarge);
+    }
+    if (large.length > 0) {
+        addPreflightIssue(report, "warning", large.length + " very large image(s) - they import slowly and make the timeline sluggish", large);
+    }
+
+    // Mixed resolutions / aspect ratios, measured against the most common size
+    if (sized.length > 1) {
+        var sizeKeys = [];
+        for (i = 0; i < sized.length; i++) {
+            sizeKeys.push(sized[i].width + "x" + sized[i].height);
+        }
+        var commonSize = getMostCommonKey(sizeKeys);
+        var commonParts = commonSize.split("x");
+        var commonAspect = parseInt(commonParts[0], 10) / parseInt(commonParts[1], 10);
+        var otherAspect = [];
+        var otherSize = [];
+        for (i = 0; i < sized.length; i++) {
+            if (sizeKeys[i] === commonSize) continue;
+            var aspect = sized[i].width / sized[i].height;
+            if (Math.abs(aspect - commonAspect) / commonAspect > PREFLIGHT_LIMITS.aspectTolerance) {
+                otherAspect.push(sized[i].name + " (" + sizeKeys[i] + ")");
+            } else {
+                otherSize.push(sized[i].name + " (" + sizeKeys[i] + ")");
+            }
+        }
+        if (otherAspect.length > 0) {
+            addPreflightIssue(report, "warning", otherAspect.length + " image(s) have a different aspect ratio than most (" +
+                              commonSize + ") and will show borders", otherAspect);
+        }
+        if (otherSize.length > 0) {
+            addPreflightIssue(report, "warning", otherSize.length + " image(s) have a different resolution than most (" +
+                              commonSize + ")", otherSize);
+        }
+    }
+
+    // Same picture twice? (photo.jpg and photo.png)
+    var byBase = {};
+    var duplicates = [];
+    for (i = 0; i < media.imagePaths.length; i++) {
+        var base = getFolderName(media.imagePaths[i]).replace(/\.[^\.]+$/, "").toLowerCase();
+        if (byBase.hasOwnProperty(base)) {
+            if (byBase[base] !== null) {
+                duplicates.push(getPreflightName(byBase[base], folderPath));
+                byBase[base] = null;
+            }
+            duplicates.push(getPreflightName(media.imagePaths[i], folderPath));
+        } else {
+            byBase[base] = media.imagePaths[i];
+        }
+    }
+    if (duplicates.length > 0) {
+        addPreflightIssue(report, "warning", "Images with the same name - the same picture may be used twice", duplicates);
+    }
+
+    // Files in the images folder that are skipped
+    var skipped = [];
+    var imageFolders = [new Folder(folderPath + "/" + profile.imagesFolder)];
+    var accepted = profile.imageExtensions.concat(profile.videoExtensions);
+    for (var f = 0; f < imageFolders.length; f++) {
+        if (!imageFolders[f].exists) continue;
+        var entries = imageFolders[f].getFiles();
+        for (i = 0; i < entries.length; i++) {
+            if (entries[i] instanceof Folder) {
+                if (f === 0) imageFolders.push(entries[i]);
+            } else if (entries[i].name.charAt(0) !== "." &&
+                       !arrayContains(["thumbs.db", "desktop.ini"], entries[i].name.toLowerCase()) &&
+                       !arrayContains(accepted, getFileExtension(entries[i].name))) {
+                skipped.push(getPreflightName(entries[i].fsName, folderPath));
+            }
+        }
+    }
+    if (skipped.length > 0) {
+        addPreflightIssue(report, "warning", skipped.length + " file(s) in '" + profile.imagesFolder +
+                          "' are not a supported image or video type and are skipped", skipped);
+    }
+
+    // Audio the importer can't read
+    var badAudio = [];
+    var audioFiles = media.voiceFiles.concat(media.musicFiles);
+    for (i = 0; i < audioFiles.length; i++) {
+        var audioFile = new File(audioFiles[i].path);
+        if (!audioFile.exists || audioFile.length === 0) continue;
+        if (matchesMediaSignature(readBinaryHead(audioFiles[i].path, 16), getFileExtension(audioFile.name)) === false) {
+            badAudio.push(getPreflightName(audioFiles[i].path, folderPath));
+        }
+    }
+    for (i = 0; i < voiceDurations.length && i < media.voiceFiles.length; i++) {
+        var voiceName = getPreflightName(media.voiceFiles[i].path, folderPath);
+        if (!(voiceDurations[i] > 0) && !arrayContains(badAudio, voiceName)) {
+            badAudio.push(voiceName + " (no duration)");
+        }
+    }
+    if (badAudio.length > 0) {
+        addPreflightIssue(report, "error", badAudio.length + " audio file(s) can't be read", badAudio);
+    }
+
+    // Captions running past the end of the voiceover (needs the voice length)
+    var voiceTotal = 0;
+    for (i = 0; i < voiceDurations.length; i++) {
+        voiceTotal += voiceDurations[i];
+    }
+    if (voiceTotal > 0) {
+        for (i = 0; i < media.subtitles.length; i++) {
+            var cues = parseSubtitleFile(media.subtitles[i].path);
+            var late = 0;
+            var lastEnd = 0;
+            for (var c = 0; c < cues.length; c++) {
+                if (cues[c].end > voiceTotal + PREFLIGHT_LIMITS.cueTolerance) late++;
+                lastEnd = Math.max(lastEnd, cues[c].end);
+            }
+            if (late > 0) {
+                addPreflightIssue(report, "warning", late + " cue(s) end after the voiceover (last cue ends at " +
+                                  lastEnd.toFixed(1) + "s, voiceover is " + voiceTotal.toFixed(1) + "s)",
+                                  [getPreflightName(media.subtitles[i].path, folderPath)]);
+            }
+        }
+    }
+
+    // Errors first
+    var errors = [];
+    var warnings = [];
+    for (i = 0; i < report.issues.length; i++) {
+        (report.issues[i].level === "error" ? errors : warnings).push(report.issues[i]);
+    }
+    report.issues = errors.concat(warnings);
+    return report;
+}
+
+// ============================================================
+// PROJECT ITEM OPERATIONS
+// ============================================================
+
+/**
+ * Find a project item by its media path
+ * @param {string} filePath - Full path to the media file
+ * @returns {ProjectItem|null} The project item or null
+ */
+function findProjectItemByPath(filePath) {
+    function searchInBin(bin) {
+        for (var i = 0; i < bin.children.numItems; i++) {
+            var item = bin.children[i];
+            if (item.type === 2) { // Bin
+                var found = searchInBin(item);
+                if (found) return found;
+            } else {
+                try {
+                    var mediaPath = item.getMediaPath();
+                    if (mediaPath === filePath) {
+                        return item;
+                    }
+                } catch (e) {
+                    // Item might not have media path
+                }
+            }
+        }
+        return null;
+    }
+
+    return searchInBin(app.project.rootItem);
+}
+
+/**
+ * Get the full media length of a project item in seconds
+ * In/out points are cleared first, since earlier builds trim the item
+ * @param {ProjectItem} item - Imported project item
+ * @returns {number} Duration in seconds
+ */
+function getProjectItemDuration(item) {
+    try {
+        item.clearInPoint();
+        item.clearOutPoint();
+    } catch (e) {
+        // Older versions without clear*Point - use the current out point
+    }
+    return item.getOutPoint().seconds;
+}
+
+/**
+ * Remove the audio of placed video clips (B-roll plays under the voiceover)
+ * @param {Sequence} sequence - Target sequence
+ * @param {Array} videoPaths - Media paths of the video clips
+ * @returns {number} Number of audio clips removed
+ */
+function removeVideoClipAudio(sequence, videoPaths) {
+    var removed = 0;
+    for (var t = 0; t < sequence.audioTracks.numTracks; t++) {
+        var track = sequence.audioTracks[t];
+        for (var c = track.clips.numItems - 1; c >= 0; c--) {
+            var clip = track.clips[c];
+            try {
+                if (clip.projectItem && arrayContains(videoPaths, clip.projectItem.getMediaPath())) {
+                    clip.remove(false, false);
+                    removed++;
+                }
+            } catch (e) {
+                // Skip clips without media
+            }
+        }
+    }
+    return removed;
+}
+
+/**
+ * Find the clip that starts at a given position on a track
+ * Clips are placed in seconds, so the start may be off by a few ticks;
+ * anything within half a frame counts.
+ * @param {Track} track - Video or audio track
+ * @param {number} ticks - Start position in ticks
+ * @param {number} ticksPerFrame - Sequence frame length in ticks
+ * @returns {TrackItem|null} Clip or null
+ */
+function findClipAtTicks(track, ticks, ticksPerFrame) {
+    for (var c = 0; c < track.clips.numItems; c++) {
+        if (Math.abs(Number(track.clips[c].start.ticks) - ticks) < Number(ticksPerFrame) / 2) {
+            return track.clips[c];
+        }
+    }
+    return null;
+}
+
+/**
+ * Import files into the project
+ * @param {Array} filePaths - Array of file paths to import
+ * @returns {boolean} Success status
+ */
+function importFilesToProject(filePaths) {
+    try {
+        app.project.importFiles(filePaths, true, app.project.rootItem, false);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// ============================================================
+// INTRO AND OUTRO CARDS
+// ============================================================
+
+/**
+ * Get the length of an intro or outro card in frames
+ * Stills get the configured duration; a video card is cut to it, or plays
+ * its own length when that is shorter.
+ * @param {ProjectItem} item - Imported card
+ * @param {object} card - Card info from getCardMedia
+ * @param {number} seconds - Configured card duration
+ * @param {number} frameRate - Sequence frame rate
+ * @returns {number} Card length in frames
+ */
+function getCardFrames(item, card, seconds, frameRate) {
+    var frames = Math.round(seconds * frameRate);
+    if (card.video) {
+        var clipFrames = Math.floor(getProjectItemDuration(item) * frameRate);
+        if (clipFrames > 0) {
+            frames = Math.min(frames, clipFrames);
+        }
+    }
+    return frames;
+}
+
+/**
+ * Place an intro or outro card on a video track
+ * @param {Track} track - Target video track
+ * @param {ProjectItem} item - Imported card
+ * @param {number} startFrames - Position in frames
+ * @param {number} frames - Card length in frames
+ * @param {number} frameRate - Sequence frame rate
+ */
+function placeCard(track, item, startFrames, frames, frameRate) {
+    item.setInPoint(0, 4);
+    item.setOutPoint(frames / frameRate, 4);
+    track.overwriteClip(item, startFrames / frameRate);
+}
+
+// ============================================================
+// IMAGE SCALING - Fit, fill or stretch stills to the frame
+// ============================================================
+
+/** Relative aspect ratio difference flagged in the preview */
+var SCALING_ASPECT_WARNING = 0.15;
+
+/** Pixel sizes read this session, by path (checked against the file date) */
+var imageSizeCache = {};
+
+/**
+ * Read the pixel size of a still (cached while the file is unchanged)
+ * @param {string} imagePath - Image file
+ * @returns {object|null} {width, height} or null when it can't be read
+ */
+function readImageFileSize(imagePath) {
+    var file = new File(imagePath);
+    if (!file.exists) return null;
+    var modified = file.modified ? file.modified.getTime() : 0;
+    var cached = imageSizeCache[file.fsName];
+    if (cached && cached.modified === modified) {
+        return cached.size;
+    }
+
+    var extension = getFileExtension(file.name);
+    var size = readImageSize(readBinaryHead(imagePath, getImageHeaderLength(extension)), extension);
+    imageSizeCache[file.fsName] = { modified: modified, size: size };
+    return size;
+}
+
+/**
+ * Get the frame size a build will be placed in, when it is known before the build
+ * @param {object} options - Normalized build options
+ * @returns {object|null} {width, height}, or null for a sequence preset / no open sequence
+ */
+function getTargetFrameSize(options) {
+    if (options.sequenceMode === "new") {
+        return { width: options.sequenceWidth, height: options.sequenceHeight };
+    }
+    if (options.sequenceMode === "active" && app.project.activeSequence) {
+        return {
+            width: Number(app.project.activeSequence.frameSizeHorizontal),
+            height: Number(app.project.activeSequence.frameSizeVertical)
+        };
+    }
+    return null;
+}
+
+/**
+ * Work out the Motion scale that fits, fills or stretches a still to the frame
+ * @param {object} size - Image {width, height} in pixels
+ * @param {object} frame - Sequence {width, height}
+ * @param {string} mode - "fit" (letterbox) | "fill" (crop to cover) | "stretch" | "none"
+ * @returns {object|null} {scale, scaleWidth} in percent (scaleWidth only for stretch), or null to keep the native size
+ */
+function getImageScale(size, frame, mode) {
+    if (mode === "none" || !size || !frame || !(frame.width > 0 && frame.height > 0)) {
+        return null;
+    }
+    var scaleX = frame.width / size.width * 100;
+    var scaleY = frame.height / size.height * 100;
+    if (mode === "stretch") {
+        return { scale: scaleY, scaleWidth: scaleX };
+    }
+    return { scale: mode === "fill" ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY), scaleWidth: null };
+}
+
+/**
+ * Find the stills whose shape differs a lot from the frame
+ * @param {Array} imagePaths - Image paths (video clips are skipped)
+ * @param {object} frame - Sequence {width, height}
+ * @param {object} profile - Layout profile
+ * @param {string} folderPath - Project folder (for the names)
+ * @returns {Array} Mismatches {name, width, height}
+ */
+function getAspectMismatches(imagePaths, frame, profile, folderPath) {
+    var mismatches = [];
+    var frameAspect = frame.width / frame.height;
+    for (var i = 0; i < imagePaths.length; i++) {
+        if (isVideoFile(imagePaths[i], profile)) continue;
+        var size = readImageFileSize(imagePaths[i]);
+        if (!size) continue;
+        var aspect = size.width / size.height;
+        if (Math.abs(aspect - frameAspect) / Math.min(aspect, frameAspect) > SCALING_ASPECT_WARNING) {
+            mismatches.push({ name: getPreflightName(imagePaths[i], folderPath), width: size.width, height: size.height });
+        }
+    }
+    return mismatches;
+}
+
+/**
+ * Set the Motion scale of a placed still
+ * @param {TrackItem} clip - Still on the timeline
+ * @param {object} scale - Scale from getImageScale
+ * @returns {boolean} True if the scale was set
+ */
+function applyClipScale(clip, scale) {
+    var motion = getClipMotion(clip);
+    if (!motion) return false;
+
+    if (scale.scaleWidth !== null) {
+        if (!motion.uniformScale || !motion.scaleWidth) return false;
+        motion.uniformScale.setValue(false, true);
+        motion.scaleWidth.setValue(scale.scaleWidth, true);
+    }
+    motion.scale.setValue(scale.scale, true);
+    return true;
+}
+
+// ============================================================
+// BLURRED BACKGROUND - Fill the bars around off-aspect stills
+// ============================================================
+
+/**
+ * Check whether a build gets blurred backgrounds
+ * Only scaling modes that can leave bars need one.
+ * @param {object} options - Normalized build options
+ * @returns {boolean} True to place backgrounds
+ */
+function usesBlurredBackground(options) {
+    return options.blurBackground && (options.scaling === "fit" || options.scaling === "none");
+}
+
+/**
+ * Check whether a still leaves bars in the frame and needs a background
+ * @param {object} size - Image {width, height} (null = unknown, no background)
+ * @param {object} frame - Sequence {width, height}
+ * @returns {boolean} True if the shapes differ
+ */
+function needsBlurredBackground(size, frame) {
+    if (!size || !(frame.width > 0 && frame.height > 0)) return false;
+    var aspect = size.width / size.height;
+    var frameAspect = frame.width / frame.height;
+    return Math.abs(aspect - frameAspect) / frameAspect > PREFLIGHT_LIMITS.aspectTolerance;
+}
+
+/**
+ * Add a Gaussian Blur to a background clip and set its strength
+ * The effect is added through the QE DOM, then set through the clip's components.
+ * @param {TrackItem} clip - Background clip
+ * @param {number} trackIndex - Its video track (the sequence must be open)
+ * @param {number} ticks - Its start in ticks
+ * @param {number} ticksPerFrame - Sequence frame length in ticks
+ * @param {number} amount - Blurriness
+ * @returns {boolean} True if the blur was added
+ */
+function applyBackgroundBlur(clip, trackIndex, ticks, ticksPerFrame, amount) {
+    try {
+        app.enableQE();
+        var blur = qe.project.getVideoEffectByName("Gaussian Blur");
+        var qeItem = findQeClipAtTicks(trackIndex, ticks, ticksPerFrame);
+        if (!blur || !qeItem) return false;
+        qeItem.addVideoEffect(blur);
+    } catch (e) {
+        return false;
+    }
+
+    for (var c = clip.components.numItems - 1; c >= 0; c--) {
+        var component = clip.components[c];
+        if (component.displayName !== "Gaussian Blur" && String(component.matchName).indexOf("Gaussian") === -1) continue;
+
+        for (var p = 0; p < component.properties.numItems; p++) {
+            var property = component.properties[p];
+            if (property.displayName === "Blurriness") property.setValue(amount, true);
+            // Keeps the frame edges from fading to black
+            if (property.displayName === "Repeat Edge Pixels") property.setValue(true, true);
+        }
+        // Localized names: Blurriness comes first
+        if (component.properties.numItems > 0 && component.properties[0].displayName !== "Blurriness") {
+            component.properties[0].setValue(amount, true);
+        }
+        return true;
+    }
+    return false;
+}
+
+// ============================================================
+// KEN BURNS MOTION
+// ============================================================
+
+/** Moves the "random" preset picks from */
+var KEN_BURNS_MOVES = ["zoom-in", "zoom-out", "pan-left", "pan-right"];
+
+/**
+ * Plan the pan-and-zoom move of every still
+ * Scale is a factor of the clip's base scale, position is the frame-relative
+ * center (0.5, 0.5 = centered). Pans zoom in by the intensity and travel just
+ * far enough to keep the frame covered.
+ * @param {number} count - Number of stills
+ * @param {string} preset - "zoom-in" | "zoom-out" | "pan-left" | "pan-right" | "random"
+ * @param {number} intensity - Zoom in percent (1 - 50)
+ * @param {number} seed - Build seed ("random" picks the same moves for the same seed)
+ * @returns {Array} Moves {type, startScale, endScale, startX, endX, startY, endY}
+ */
+function getKenBurnsMoves(count, preset, intensity, seed) {
+    // Own stream, so the moves don't change with the timing settings
+    var random = createSeededRandom(seed + 7919);
+    var zoom = 1 + intensity / 100;
+    var travel = (zoom - 1) / 2;
+    var moves = [];
+    var previous = null;
+
+    for (var i = 0; i < count; i++) {
+        var type = preset;
+        if (preset === "random") {
+            do {
+                type = KEN_BURNS_MOVES[Math.floor(random() * KEN_BURNS_MOVES.length)];
+            } while (type === previous);
+        }
+        previous = type;
+
+        var move = { type: type, startScale: 1, endScale: 1, startX: 0.5, endX: 0.5, startY: 0.5, endY: 0.5 };
+        if (type === "zoom-in") {
+            move.endScale = zoom;
+        } else if (type === "zoom-out") {
+            move.startScale = zoom;
+        } else {
+            // The camera pans left, so the picture moves right (and the other way round)
+            var direction = type === "pan-left" ? 1 : -1;
+            move.startScale = zoom;
+            move.endScale = zoom;
+            move.startX = 0.5 - direction * travel;
+            move.endX = 0.5 + direction * travel;
+        }
+        moves.push(move);
+    }
+    return moves;
+}
+
+/**
+ * Find the Motion > Position and Scale properties of a video clip
+ * @param {TrackItem} clip - Video clip on the timeline
+ * @returns {object|null} {position, scale, scaleWidth, uniformScale} or null without a Motion effect
+ */
+function getClipMotion(clip) {
+    for (var c = 0; c < clip.components.numItems; c++) {
+        var component = clip.components[c];
+        if (component.displayName !== "Motion" && String(component.matchName).indexOf("Motion") === -1) continue;
+
+        var motion = { position: null, scale: null, scaleWidth: null, uniformScale: null };
+        for (var p = 0; p < component.properties.numItems; p++) {
+            var name = component.properties[p].displayName;
+            if (name === "Position") motion.position = component.properties[p];
+            if (name === "Scale" || name === "Scale Height") motion.scale = component.properties[p];
+            if (name === "Scale Width") motion.scaleWidth = component.properties[p];
+            if (name === "Uniform Scale") motion.uniformScale = component.properties[p];
+        }
+        // Localized names: Position, Scale, Scale Width, Uniform Scale come first
+        if (!motion.position && component.properties.numItems > 3) {
+            motion.position = component.properties[0];
+            motion.scale = component.properties[1];
+            motion.scaleWidth = component.properties[2];
+            motion.uniformScale = component.properties[3];
+        }
+        return motion.position && motion.scale ? motion : null;
+    }
+    return null;
+}
+
+/**
+ * Key one move on a placed still, from its first frame to its last
+ * @param {TrackItem} clip - Still on the timeline
+ * @param {object} move - Move from getKenBurnsMoves
+ * @param {object} baseScale - Scale the still is shown at without motion ({scale, scaleWidth} as from getImageScale)
+ * @param {number} frameRate - Sequence frame rate
+ * @returns {boolean} True if the keyframes were set
+ */
+function applyKenBurnsMove(clip, move, baseScale, frameRate) {
+    var motion = getClipMotion(clip);
+    if (!motion) return false;
+
+    // Keyframe times are in the clip's source time
+    var first = clip.inPoint.seconds;
+    var last = first + Math.max(0, clip.end.seconds - clip.start.seconds - 1 / frameRate);
+    var keys = [
+        { time: first, factor: move.startScale, position: [move.startX, move.startY] },
+        { time: last, factor: move.endScale, position: [move.endX, move.endY] }
+    ];
+    // Stretched stills scale their width separately
+    var scaleWidth = baseScale.scaleWidth !== null && motion.scaleWidth ? motion.scaleWidth : null;
+
+    motion.scale.setTimeVarying(true);
+    motion.position.setTimeVarying(true);
+    if (scaleWidth) scaleWidth.setTimeVarying(true);
+    for (var k = 0; k < keys.length; k++) {
+        motion.scale.addKey(keys[k].time);
+        motion.scale.setValueAtKey(keys[k].time, baseScale.scale * keys[k].factor, true);
+        motion.position.addKey(keys[k].time);
+        motion.position.setValueAtKey(keys[k].time, keys[k].position, true);
+        if (scaleWidth) {
+            scaleWidth.addKey(keys[k].time);
+            scaleWidth.setValueAtKey(keys[k].time, baseScale.scaleWidth * keys[k].factor, true);
+        }
+    }
+    return true;
+}
+
+// ============================================================
+// TRANSITIONS
+// ============================================================
+
+/**
+ * Get the transition overlap of a build in frames
+ * @param {object} options - Normalized build options
+ * @returns {number} Overlap in frames (0 = hard cuts)
+ */
+function getTransitionFrames(options) {
+    return options.transition && options.transition !== "off" ? options.transitionFrames : 0;
+}
+
+/**
+ * Work out how far each image runs into the next one
+ * Images alternate between V1 and V2, so image i is lengthened by its
+ * overlap and the next image, on the other track, starts on the cut.
+ * An overlap never reaches past the next image's cut; video clips and the
+ * last image are not lengthened.
+ * @param {Array} frameCounts - Cut-to-cut frames per image
+ * @param {number} overlapFrames - Transition overlap
+ * @param {Array} isVideo - Per image, true for a video clip
+ * @returns {Array} Overlap per image (frames added to its clip)
+ */
+function getTransitionOverlaps(frameCounts, overlapFrames, isVideo) {
+    var overlaps = [];
+    for (var i = 0; i < frameCounts.length; i++) {
+        var last = i === frameCounts.length - 1;
+        overlaps.push(last || isVideo[i] ? 0 : Math.min(overlapFrames, frameCounts[i + 1]));
+    }
+    return overlaps;
+}
+
+/**
+ * Find the Opacity > Opacity property of a video clip
+ * @param {TrackItem} clip - Video clip on the timeline
+ * @returns {ComponentParam|null} Opacity property or null
+ */
+function getClipOpacity(clip) {
+    for (var c = 0; c < clip.components.numItems; c++) {
+        var component = clip.components[c];
+        if (component.displayName !== "Opacity" && String(component.matchName).indexOf("Opacity") === -1) continue;
+
+        for (var p = 0; p < component.properties.numItems; p++) {
+            if (component.properties[p].displayName === "Opacity") {
+                return component.properties[p];
+            }
+        }
+        // Localized names: Opacity comes first
+        return component.properties.numItems > 0 ? component.properties[0] : null;
+    }
+    return null;
+}
+
+/**
+ * Fade the upper clip of a transition in and out with opacity keyframes
+ * @param {TrackItem} clip - Clip on V2
+ * @param {number} fadeInFrames - Overlap with the clip before (0 = none)
+ * @param {number} fadeOutFrames - Overlap with the clip after (0 = none)
+ * @param {number} frameRate - Sequence frame rate
+ * @returns {boolean} True if the keyframes were set
+ */
+function applyOpacityFades(clip, fadeInFrames, fadeOutFrames, frameRate) {
+    var opacity = getClipOpacity(clip);
+    if (!opacity) return false;
+
+    // Keyframe times are in the clip's source time
+    var first = clip.inPoint.seconds;
+    var lastFrame = Math.round((clip.end.seconds - clip.start.seconds) * frameRate) - 1;
+    var keys = [];
+    if (fadeInFrames > 0) {
+        keys.push({ time: first, value: 0 });
+        keys.push({ time: first + fadeInFrames / frameRate, value: 100 });
+    }
+    if (fadeOutFrames > 0) {
+        keys.push({ time: first + (lastFrame - fadeOutFrames) / frameRate, value: 100 });
+        keys.push({ time: first + lastFrame / frameRate, value: 0 });
+    }
+    if (keys.length === 0) return true;
+
+    opacity.setTimeVarying(true);
+    for (var k = 0; k < keys.length; k++) {
+        opacity.addKey(keys[k].time);
+        opacity.setValueAtKey(keys[k].time, keys[k].value, true);
+    }
+    return true;
+}
+
+/**
+ * Format frames as a QE duration timecode (HH;MM;SS;FF)
+ * @param {number} frames - Duration in frames
+ * @param {number} frameRate - Sequence frame rate
+ * @returns {string} Timecode
+ */
+function formatQeTimecode(frames, frameRate) {
+    var fps = Math.round(frameRate);
+    var pad = function(value) {
+        return (value < 10 ? "0" : "") + value;
+    };
+    var seconds = Math.floor(frames / fps);
+    return pad(Math.floor(seconds / 3600)) + ";" + pad(Math.floor(seconds / 60) % 60) + ";" +
+           pad(seconds % 60) + ";" + pad(frames % fps);
+}
+
+/**
+ * Add Premiere's Cross Dissolve to the edges of the upper clip (QE DOM)
+ * A dissolve on a clip edge with nothing next to it on the track dissolves
+ * to the clip underneath, which is the image before or after on V1.
+ * @param {number} trackIndex - Video track of the clip (the sequence must be open)
+ * @param {number} ticks - Start of the clip in ticks
+ * @param {number} fadeInFrames - Dissolve length at the start (0 = none)
+ * @param {number} fadeOutFrames - Dissolve length at the end (0 = none)
+ * @param {number} frameRate - Sequence frame rate
+ * @returns {boolean} True if the transitions were added
+ */
+function addQeDissolves(trackIndex, ticks, fadeInFrames, fadeOutFrames, frameRate) {
+    try {
+        app.enableQE();
+        var dissolve = qe.project.getVideoTransitionByName("Cross Dissolve");
+        var qeItem = findQeClipAtTicks(trackIndex, ticks, getFrameDurationTicks(frameRate));
+        if (!dissolve || !qeItem) return false;
+
+        // addTransition(transition, at start, duration, offset, alignment (0 = starts at the edge), single sided, ...)
+        if (fadeInFrames > 0) {
+            qeItem.addTransition(dissolve, true, formatQeTimecode(fadeInFrames, frameRate), "0:00", 0, true, true);
+        }
+        if (fadeOutFrames > 0) {
+            qeItem.addTransition(dissolve, false, formatQeTimecode(fadeOutFrames, frameRate), "0:00", 1, true, true);
+        }
+        return true;
+    } catch (e) {
+        // QE is undocumented and differs between versions - fall back to opacity fades
+    }
+    return false;
+}
+
+/**
+ * Find the QE DOM item of the clip that starts at a given position
+ * Matches within half a frame, as findClipAtTicks does.
+ * @param {number} trackIndex - Video track of the clip (the sequence must be open, QE enabled)
+ * @param {number} ticks - Start of the clip in ticks
+ * @param {number} ticksPerFrame - Sequence frame length in ticks
+ * @returns {object|null} QE track item or null
+ */
+function findQeClipAtTicks(trackIndex, ticks, ticksPerFrame) {
+    var qeTrack = qe.project.getActiveSequence().getVideoTrackAt(trackIndex);
+    if (!qeTrack) return null;
+    for (var i = 0; i < qeTrack.numItems; i++) {
+        var qeItem = qeTrack.getItemAt(i);
+        if (qeItem && qeItem.type !== "Empty" && Math.abs(Number(qeItem.start.ticks) - ticks) < Number(ticksPerFrame) / 2) {
+            return qeItem;
+        }
+    }
+    return null;
+}
+
+// ============================================================
+// MUSIC BED
+// ============================================================
+
+/**
+ * Ducking ramps in seconds
+ */
+var MUSIC_DUCKING = {
+    attack: 0.3,    // Music dips this long before speech starts
+    release: 0.8,   // and comes back over this long after it ends
+    minGap: 1.5     // Shorter silences stay ducked so the music doesn't pump
+};
+
+/**
+ * Convert a level in dB to the value of the clip Volume > Level property
+ * @param {number|null} db - Level in dB (null = silent)
+ * @returns {number} Property value
+ */
+function musicLevelToValue(db) {
+    return db === null ? 0 : Math.pow(10, (db - 15) / 20);
+}
+
+/**
+ * Get the speech regions of the voiceover (everything between its pauses)
+ * @param {Array} pauses - Silent regions {start, end} sorted by start
+ * @param {number} duration - Voiceover length in seconds
+ * @returns {Array} Speech regions {start, end}
+ */
+function getSpeechRegions(pauses, duration) {
+    var regions = [];
+    var position = 0;
+    for (var i = 0; i < pauses.length; i++) {
+        var start = Math.max(0, pauses[i].start);
+        var end = Math.min(duration, pauses[i].end);
+        if (end - start < MUSIC_DUCKING.minGap) continue;
+
+        if (start > position) {
+            regions.push({ start: position, end: start });
+        }
+        position = Math.max(position, end);
+    }
+    if (position < duration) {
+        regions.push({ start: position, end: duration });
+    }
+    return regions;
+}
+
+/**
+ * Build the music volume envelope over the voiceover
+ * The music sits at the music level in pauses, dips by the ducking depth
+ * under speech and fades out over the last seconds of the voiceover.
+ * @param {number} duration - Voiceover length in seconds
+ * @param {Array} speech - Speech regions from getSpeechRegions
+ * @param {object} options - Normalized build options (musicLevel, musicDucking, musicFadeOut)
+ * @returns {Array} Points {time, db, value} sorted by time (db null = silent)
+ */
+function buildMusicEnvelope(duration, speech, options) {
+    var level = options.musicLevel;
+    var ducked = options.musicLevel - options.musicDucking;
+    var points = [{ time: 0, db: level }];
+
+    if (options.musicDucking > 0) {
+        for (var i = 0; i < speech.length; i++) {
+            var region = speech[i];
+            if (region.start < MUSIC_DUCKING.attack) {
+                points[0].db = ducked;
+            } else {
+                points.push({ time: region.start - MUSIC_DUCKING.attack, db: level });
+                points.push({ time: region.start, db: ducked });
+            }
+            if (region.end < duration) {
+                points.push({ time: region.end, db: ducked });
+                points.push({ time: Math.min(duration, region.end + MUSIC_DUCKING.release), db: level });
+            }
+        }
+    }
+
+    for (var p = 0; p < points.length; p++) {
+        points[p].value = musicLevelToValue(points[p].db);
+    }
+
+    if (options.musicFadeOut > 0) {
+        var fadeStart = Math.max(0, duration - options.musicFadeOut);
+        var fadeValue = sampleMusicEnvelope(points, fadeStart);
+        var kept = [];
+        for (var k = 0; k < points.length; k++) {
+            if (points[k].time < fadeStart) kept.push(points[k]);
+        }
+        kept.push({ time: fadeStart, db: 20 * Math.log(fadeValue) / Math.LN10 + 15, value: fadeValue });
+        kept.push({ time: duration, db: null, value: 0 });
+        points = kept;
+    }
+    return points;
+}
+
+/**
+ * Read the envelope value at a time (linear between points)
+ * @param {Array} points - Envelope from buildMusicEnvelope
+ * @param {number} time - Time in seconds
+ * @returns {number} Volume > Level property value
+ */
+function sampleMusicEnvelope(points, time) {
+    if (time <= points[0].time) return points[0].value;
+    for (var i = 1; i < points.length; i++) {
+        if (time <= points[i].time) {
+            var span = points[i].time - points[i - 1].time;
+            var t = span > 0 ? (time - points[i - 1].time) / span : 1;
+            return points[i - 1].value + (points[i].value - points[i - 1].value) * t;
+        }
+    }
+    return points[points.length - 1].value;
+}
+
+/**
+ * Find the Volume > Level property of an audio clip
+ * @param {TrackItem} clip - Audio clip on the timeline
+ * @returns {ComponentParam|null} Level property or null
+ */
+function getClipVolumeLevel(clip) {
+    for (var c = 0; c < clip.components.numItems; c++) {
+        var component = clip.components[c];
+        if (component.displayName !== "Volume" && String(component.matchName).indexOf("Volume") === -1) continue;
+
+        for (var p = 0; p < component.properties.numItems; p++) {
+            if (component.properties[p].displayName === "Level") {
+                return component.properties[p];
+            }
+        }
+        // Localized names: Level follows Bypass
+        return component.properties.numItems > 1 ? component.properties[1] : null;
+    }
+    return null;
+}
+
+/**
+ * Key the volume of one music clip from the envelope
+ * @param {TrackItem} clip - Music clip on the timeline
+ * @param {Array} points - Envelope from buildMusicEnvelope (sequence time)
+ * @returns {number} Number of keyframes set (0 = constant level or no Volume)
+ */
+function applyMusicEnvelope(clip, points) {
+    var level = getClipVolumeLevel(clip);
+    if (!level) return 0;
+
+    var clipStart = clip.start.seconds;
+    var clipEnd = clip.end.seconds;
+    var keys = [{ time: clipStart, value: sampleMusicEnvelope(points, clipStart) }];
+    for (var p = 0; p < points.length; p++) {
+        if (points[p].time > clipStart && points[p].time < clipEnd) {
+            keys.push(points[p]);
+        }
+    }
+    keys.push({ time: clipEnd, value: sampleMusicEnvelope(points, clipEnd) });
+
+    var constant = true;
+    for (var c = 1; c < keys.length; c++) {
+        if (Math.abs(keys[c].value - keys[0].value) > 0.00001) constant = false;
+    }
+    if (constant) {
+        level.setValue(keys[0].value, true);
+        return 0;
+    }
+
+    // Keyframe times are in the clip's source time
+    var inPoint = clip.inPoint.seconds;
+    level.setTimeVarying(true);
+    for (var k = 0; k < keys.length; k++) {
+        var keyTime = keys[k].time - clipStart + inPoint;
+        level.addKey(keyTime);
+        level.setValueAtKey(keyTime, keys[k].value, true);
+    }
+    return keys.length;
+}
+
+/**
+ * Place the music bed on audio track A2 under the voiceover
+ * Music files play in order and repeat until the slideshow is covered;
+ * the last clip is cut where the slideshow ends. The volume ducks under
+ * the speech found between the voiceover pauses (options.pauses).
+ * @param {Sequence} sequence - Target sequence
+ * @param {Array} musicItems - Imported music project items
+ * @param {object} timeline - {start, narration, duration} in seconds: where the
+ *   voiceover starts, its length, and the length of the whole slideshow
+ * @param {number} frameRate - Sequence frame rate (cuts land on frames)
+ * @param {object} options - Normalized build options
+ * @returns {object} {clips, keyframes, warnings}
+ */
+function placeMusicBed(sequence, musicItems, timeline, frameRate, options) {
+    var duration = timeline.duration;
+    var result = { clips: 0, keyframes: 0, warnings: [] };
+    if (sequence.audioTracks.numTracks < 2) {
+        result.warnings.push("The sequence has no second audio track - music was not placed");
+        return result;
+    }
+    var track = sequence.audioTracks[1];
+
+    var items = [];
+    var lengths = [];
+    for (var i = 0; i < musicItems.length; i++) {
+        var frames = Math.floor(getProjectItemDuration(musicItems[i]) * frameRate);
+        if (frames > 0) {
+            items.push(musicItems[i]);
+            lengths.push(frames);
+        } else {
+            result.warnings.push("Music file " + musicItems[i].name + " has no length - skipped");
+        }
+    }
+    if (items.length === 0) return result;
+
+    // Chain the files, looping the list until the voiceover is covered
+    var totalFrames = Math.round(duration * frameRate);
+    var position = 0;
+    for (var n = 0; position < totalFrames; n++) {
+        var index = n % items.length;
+        var clipFrames = Math.min(lengths[index], totalFrames - position);
+        items[index].setInPoint(0, 4);
+        items[index].setOutPoint(clipFrames / frameRate, 4);
+        track.overwriteClip(items[index], position / frameRate);
+        position += clipFrames;
+        result.clips++;
+    }
+    for (var c = 0; c < items.length; c++) {
+        try {
+            items[c].clearInPoint();
+            items[c].clearOutPoint();
+        } catch (e) {
+            // Older versions keep the last in/out points
+        }
+    }
+
+    if (options.musicDucking > 0 && options.pauses.length === 0) {
+        result.warnings.push("No voiceover pauses known - the music stays ducked under the whole voiceover");
+    }
+    var speech = shiftTimeRanges(getSpeechRegions(options.pauses, timeline.narration), -timeline.start, duration);
+    var envelope = buildMusicEnvelope(duration, speech, options);
+    for (var m = 0; m < track.clips.numItems; m++) {
+        var clip = track.clips[m];
+        if (clip.start.seconds < duration) {
+            result.keyframes += applyMusicEnvelope(clip, envelope);
+        }
+    }
+    return result;
+}
+
+// ============================================================
+// TEXT OVERLAYS - Captions and lower thirds from overlays.csv
+// ============================================================
+
+/**
+ * Where an overlay sits in the frame (Motion > Position, 0-1 of the frame)
+ * The bundled templates center their text, so this moves it into place.
+ */
+var OVERLAY_POSITIONS = {
+    "top-left": [0.2, 0.15],
+    "top": [0.5, 0.15],
+    "top-right": [0.8, 0.15],
+    "center": [0.5, 0.5],
+    "bottom-left": [0.2, 0.85],
+    "bottom": [0.5, 0.85],
+    "bottom-right": [0.8, 0.85]
+};
+
+/** Style used by rows without one */
+var DEFAULT_OVERLAY_STYLE = "lower-third";
+
+/**
+ * Get the folder of the bundled .mogrt templates (mogrt/ in the extension)
+ * @returns {string} Folder path
+ */
+function getOverlayTemplateFolder() {
+    return new File($.fileName).parent.parent.fsName + "/mogrt";
+}
+
+/**
+ * Find the template of an overlay style
+ * A style is a bundled template name (lower-third, caption, title) or the
+ * path of a .mogrt relative to the project folder.
+ * @param {string} folderPath - Project folder
+ * @param {string} style - Style from overlays.csv
+ * @returns {string|null} Template path or null if there is no such file
+ */
+function resolveOverlayTemplate(folderPath, style) {
+    var file = /\.mogrt$/i.test(style) ?
+        new File(/^(\/|[A-Za-z]:)/.test(style) ? style : folderPath + "/" + style) :
+        new File(getOverlayTemplateFolder() + "/" + style + ".mogrt");
+    return file.exists ? file.fsName : null;
+}
+
+/**
+ * Parse overlays.csv (header row naming file, text, position and style columns)
+ * @param {string} content - File contents
+ * @param {Array} warnings - Receives problems with single rows
+ * @returns {Array} Rows {file, text, position, style}
+ */
+function parseOverlaySheet(content, warnings) {
+    var rows = [];
+    var lines = content.replace(/\r\n?/g, "\n").split("\n");
+    var columns = null;
+    var separator = ",";
+    for (var l = 0; l < lines.length; l++) {
+        if (trimString(lines[l]) === "") continue;
+        if (!columns) {
+            separator = (lines[l].indexOf(";") !== -1 && lines[l].indexOf(",") === -1) ? ";" : ",";
+            columns = parseCsvLine(lines[l].toLowerCase(), separator);
+            continue;
+        }
+        var fields = parseCsvLine(lines[l], separator);
+        var row = {};
+        for (var c = 0; c < columns.length; c++) {
+            var column = columns[c];
+            if (column === "filename" || column === "image" || column === "name") column = "file";
+            row[column] = fields[c] || "";
+        }
+        if (!row.file || !row.text) {
+            warnings.push("overlays.csv line " + (l + 1) + ": needs a file and a text - skipped");
+            continue;
+        }
+
+        var position = (row.position || "bottom").toLowerCase();
+        if (!OVERLAY_POSITIONS.hasOwnProperty(position)) {
+            warnings.push("overlays.csv line " + (l + 1) + ": unknown position '" + row.position + "' - using bottom");
+            position = "bottom";
+        }
+        rows.push({
+            file: row.file,
+            // "\n" in a cell starts a new line (name over title in a lower third)
+            text: row.text.replace(/\\n/g, "\r"),
+            position: position,
+            style: row.style || DEFAULT_OVERLAY_STYLE
+        });
+    }
+    return rows;
+}
+
+/**
+ * Match the rows of overlays.csv to the images of a build
+ * @param {string} folderPath - Project folder
+ * @param {Array} imagePaths - Images (and video clips) of the build
+ * @returns {object|null} {file, rows, missing, warnings} or null without overlays.csv;
+ *          rows get the image path and template, missing lists files not in the images
+ */
+function loadOverlaySheet(folderPath, imagePaths) {
+    var content = readTextFile(folderPath + "/overlays.csv");
+    if (content === null) return null;
+
+    var sheet = { file: "overlays.csv", rows: [], missing: [], warnings: [] };
+    var rows = parseOverlaySheet(content, sheet.warnings);
+    var byName = {};
+    for (var i = 0; i < imagePaths.length; i++) {
+        byName[getFolderName(imagePaths[i]).toLowerCase()] = imagePaths[i];
+    }
+
+    var byFile = {};
+    var order = [];
+    for (var r = 0; r < rows.length; r++) {
+        var key = rows[r].file.toLowerCase();
+        if (!byName.hasOwnProperty(key)) {
+            sheet.missing.push(rows[r].file);
+            continue;
+        }
+        if (byFile.hasOwnProperty(key)) {
+            sheet.warnings.push("overlays.csv lists '" + rows[r].file + "' more than once - the last row is used");
+        } else {
+            order.push(key);
+        }
+        rows[r].path = byName[key];
+        byFile[key] = rows[r];
+    }
+
+    var noTemplate = {};
+    for (var o = 0; o < order.length; o++) {
+        var row = byFile[order[o]];
+        row.template = resolveOverlayTemplate(folderPath, row.style);
+        if (row.template) {
+            sheet.rows.push(row);
+        } else if (!noTemplate.hasOwnProperty(row.style)) {
+            noTemplate[row.style] = true;
+            sheet.warnings.push("No .mogrt template for overlay style '" + row.style + "' - those overlays are left out");
+        }
+    }
+
+    if (sheet.missing.length > 0) {
+        sheet.warnings.push("overlays.csv lists " + sheet.missing.length + " file(s) that are not in the images: " +
+                            sheet.missing.slice(0, 5).join(", ") + (sheet.missing.length > 5 ? ", ..." : ""));
+    }
+    return sheet;
+}
+
+/**
+ * Set the text of a placed graphic
+ * Source Text parameters hold JSON in newer Premiere versions, plain text before.
+ * @param {TrackItem} graphic - Graphic clip from importMGT
+ * @param {string} text - Overlay text
+ * @returns {boolean} True if a text parameter was set
+ */
+function setGraphicText(graphic, text) {
+    var component = graphic.getMGTComponent();
+    if (!component) return false;
+
+    for (var p = 0; p < component.properties.numItems; p++) {
+        var property = component.properties[p];
+        var value = property.getValue();
+        if (typeof value !== "string") continue;
+
+        try {
+            var parsed = JSON.parse(value);
+            if (parsed && parsed.hasOwnProperty("textEditValue")) {
+                parsed.textEditValue = text;
+                property.setValue(JSON.stringify(parsed), true);
+                return true;
+            }
+        } catch (e) {
+            // Not JSON - a plain text parameter
+        }
+        property.setValue(text, true);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Place one overlay graphic on the overlay track
+ * @param {Sequence} sequence - Target sequence
+ * @param {object} row - Overlay row from loadOverlaySheet
+ * @param {number} trackIndex - Overlay video track (0-based)
+ * @param {number} startTicks - Start of the image's clip
+ * @param {number} endTicks - End of the image's clip
+ * @returns {boolean} True if placed with its text
+ */
+function placeOverlayGraphic(sequence, row, trackIndex, startTicks, endTicks) {
+    try {
+        var graphic = sequence.importMGT(row.template, String(startTicks), trackIndex, 0);
+        if (!graphic) return false;
+
+        var end = new Time();
+        end.ticks = String(endTicks);
+        graphic.end = end;
+
+        var motion = getClipMotion(graphic);
+        if (motion) {
+            motion.position.setValue(OVERLAY_POSITIONS[row.position], true);
+        }
+        return setGraphicText(graphic, row.text);
+    } catch (e) {
+        return false;
+    }
+}
+
+// ============================================================
+// MARKERS AND CHAPTERS
+// ============================================================
+
+/**
+ * Parse a chapter timestamp (H:MM:SS, MM:SS or SS, optional decimals)
+ * @param {string} stamp - Timestamp
+ * @returns {number} Seconds, or -1 if invalid
+ */
+function parseChapterTime(stamp) {
+    var match = /^(?:(\d+):)?(?:(\d+):)?(\d+(?:[.,]\d+)?)$/.exec(trimString(stamp));
+    if (!match) return -1;
+    var parts = [match[1], match[2], match[3]];
+    // "12:34" fills the first group; shift so the last two are minutes and seconds
+    if (parts[1] === undefined && parts[0] !== undefined) {
+        parts = [undefined, parts[0], parts[2]];
+    }
+    var seconds = parseFloat(parts[2].replace(",", "."));
+    if (parts[1] !== undefined) seconds += parseInt(parts[1], 10) * 60;
+    if (parts[0] !== undefined) seconds += parseInt(parts[0], 10) * 3600;
+    return seconds;
+}
+
+/**
+ * Parse a chapter list ("00:00 Intro" per line, # starts a comment)
+ * Times are measured from the start of the voiceover.
+ * @param {string} content - chapters.txt contents
+ * @param {Array} warnings - Receives lines that could not be read
+ * @returns {Array} Chapters {time, title} sorted by time
+ */
+function parseChapterList(content, warnings) {
+    var chapters = [];
+    var lines = content.replace(/\r\n?/g, "\n").split("\n");
+    for (var i = 0; i < lines.length; i++) {
+        var line = trimString(lines[i]);
+        if (!line || line.charAt(0) === "#") continue;
+
+        var match = /^([\d:.,]+)(?:\s*[-\u2013]\s*|\s+)(.*)$/.exec(line);
+        var time = match ? parseChapterTime(match[1]) : -1;
+        if (time < 0 || !trimString(match[2])) {
+            warnings.push("chapters.txt line " + (i + 1) + ": expected a time and a title, e.g. '01:30 Chapter'");
+            continue;
+        }
+        chapters.push({ time: time, title: trimString(match[2]) });
+    }
+    chapters.sort(function(a, b) {
+        return a.time - b.time;
+    });
+    return chapters;
+}
+
+/**
+ * Get the chapters of a build from chapters.txt or the first subtitle file
+ * @param {string} folderPath - Project folder
+ * @param {string} source - "file" (chapters.txt) | "subtitles" (one chapter per cue) | "none"
+ * @param {Array} subtitles - Subtitle files from getSubtitleFiles
+ * @param {Array} warnings - Receives problems
+ * @returns {Array} Chapters {time, title}, times from the start of the voiceover
+ */
+function getSlideshowChapters(folderPath, source, subtitles, warnings) {
+    if (source === "file") {
+        var content = readTextFile(folderPath + "/chapters.txt");
+        if (content === null) {
+            warnings.push("No chapters.txt in the project folder - no chapter markers added");
+            return [];
+        }
+        return parseChapterList(content, warnings);
+    }
+    if (source === "subtitles") {
+        if (subtitles.length === 0) {
+            warnings.push("No subtitle file for chapters - no chapter markers added");
+            return [];
+        }
+        var cues = parseSubtitleFile(subtitles[0].path, []);
+        var chapters = [];
+        for (var i = 0; i < cues.length; i++) {
+            // First line of the cue, without tags
+            var title = trimString(cues[i].text.split("\n")[0].replace(/<[^>]*>/g, ""));
+            if (title) chapters.push({ time: cues[i].start, title: title });
+        }
+        return chapters;
+    }
+    return [];
+}
+
+/**
+ * Add a marker to a sequence
+ * @param {Sequence} sequence - Target sequence
+ * @param {number} seconds - Marker position
+ * @param {string} name - Marker name
+ * @param {string} comment - Marker comment
+ * @param {boolean} chapter - Chapter marker (comment marker otherwise)
+ * @returns {boolean} True if added
+ */
+function addSequenceMarker(sequence, seconds, name, comment, chapter) {
+    try {
+        var marker = sequence.markers.createMarker(seconds);
+        marker.name = name;
+        marker.comments = comment;
+        if (chapter) marker.setTypeAsChapter();
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Format a position as a YouTube chapter timestamp (M:SS, or H:MM:SS from an hour on)
+ * @param {number} seconds - Position
+ * @param {boolean} hours - Always include hours
+ * @returns {string} Timestamp, e.g. "00:00", "4:05" or "1:02:03"
+ */
+function formatChapterTimestamp(seconds, hours) {
+    var total = Math.floor(seconds);
+    var pad = function(value) {
+        return (value < 10 ? "0" : "") + value;
+    };
+    var h = Math.floor(total / 3600);
+    var m = Math.floor(total / 60) % 60;
+    if (hours) {
+        return h + ":" + pad(m) + ":" + pad(total % 60);
+    }
+    return pad(m) + ":" + pad(total % 60);
+}
+
+/**
+ * What YouTube accepts as a chapter list
+ */
+var YOUTUBE_CHAPTER_RULES = {
+    minLength: 10,   // seconds every chapter must last
+    minCount: 3      // chapters a list needs
+};
+
+/**
+ * Turn markers into a chapter list YouTube accepts
+ * Sorted by time in whole seconds, starting at 00:00 (an "Intro" is added
+ * when the first marker is later than a chapter's length); markers closer
+ * than the minimum length to the chapter before are merged into it, and a
+ * last chapter that would end too soon is merged as well.
+ * @param {Array} markers - Markers {time, title} in sequence time
+ * @param {number} duration - Sequence length in seconds
+ * @returns {Array} Chapters {time, title}
+ */
+function getYouTubeChapters(markers, duration) {
+    var sorted = markers.slice(0).sort(function(a, b) {
+        return a.time - b.time;
+    });
+    var minLength = YOUTUBE_CHAPTER_RULES.minLength;
+
+    var chapters = [];
+    for (var i = 0; i < sorted.length; i++) {
+        var time = Math.floor(sorted[i].time);
+        if (chapters.length === 0) {
+            if (time < minLength) {
+                chapters.push({ time: 0, title: sorted[i].title });
+                continue;
+            }
+            chapters.push({ time: 0, title: "Intro" });
+        }
+        if (time - chapters[chapters.length - 1].time >= minLength) {
+            chapters.push({ time: time, title: sorted[i].title });
+        }
+    }
+    while (chapters.length > 1 && duration - chapters[chapters.length - 1].time < minLength) {
+        chapters.pop();
+    }
+    return chapters;
+}
+
+/**
+ * Write chapters as YouTube timestamps ("00:00 Intro" per line)
+ * @param {string} filePath - Output file
+ * @param {Array} chapters - Chapters from getYouTubeChapters
+ * @returns {boolean} True if written
+ */
+function writeYouTubeChapters(filePath, chapters) {
+    var hours = chapters[chapters.length - 1].time >= 3600;
+    var lines = [];
+    for (var i = 0; i < chapters.length; i++) {
+        lines.push(formatChapterTimestamp(chapters[i].time, hours) + " " + chapters[i].title);
+    }
+
+    try {
+        var file = new File(filePath);
+        file.encoding = "UTF-8";
+        if (!file.open("w")) return false;
+        file.write(lines.join("\n") + "\n");
+        file.close();
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// ============================================================
+// SEQUENCE SETUP - A new sequence for every slideshow
+// ============================================================
+
+/**
+ * Premiere's internal time base (ticks per second)
+ */
+var TICKS_PER_SECOND = 254016000000;
+
+/**
+ * Get the length of one frame in ticks
+ * NTSC rates (23.976, 29.97, 59.94) use their exact x/1001 values.
+ * @param {number} frameRate - Frames per second
+ * @returns {number} Ticks per frame
+ */
+function getFrameDurationTicks(frameRate) {
+    var ntsc = [24, 30, 60];
+    for (var i = 0; i < ntsc.length; i++) {
+        if (Math.abs(frameRate - ntsc[i] * 1000 / 1001) < 0.01) {
+            return TICKS_PER_SECOND * 1001 / (ntsc[i] * 1000);
+        }
+    }
+    return Math.round(TICKS_PER_SECOND / frameRate);
+}
+
+/**
+ * Build a sequence name from the name template
+ * Tokens: {folder}, {date} (YYYY-MM-DD), {time} (HH-MM), {seed}.
+ * A number is added when the name is already taken.
+ * @param {string} template - Name template
+ * @param {string} folderPath - Project folder
+ * @param {object} options - Normalized build options
+ * @returns {string} Unused sequence name
+ */
+function formatSequenceName(template, folderPath, options) {
+    var now = new Date();
+    var pad = function(value) {
+        return (value < 10 ? "0" : "") + value;
+    };
+    var name = template
+        .replace(/\{folder\}/g, getFolderName(folderPath))
+        .replace(/\{date\}/g, now.getFullYear() + "-" + pad(now.getMonth() + 1) + "-" + pad(now.getDate()))
+        .replace(/\{time\}/g, pad(now.getHours()) + "-" + pad(now.getMinutes()))
+        .replace(/\{seed\}/g, String(options.seed));
+    name = trimString(name) || getFolderName(folderPath);
+
+    var unique = name;
+    for (var n = 2; findSequenceByName(unique); n++) {
+        unique = name + " " + n;
+    }
+    return unique;
+}
+
+/**
+ * Get the number of video tracks the slideshow itself uses
+ * Images alternate on V1/V2 (V2/V3 above a blurred background track),
+ * text overlays go on the track above the images.
+ * @param {object} previewInfo - Preview info of the folder
+ * @param {object} options - Normalized build options
+ * @returns {number} Video tracks
+ */
+function getRequiredVideoTracks(previewInfo, options) {
+    var hasOverlays = previewInfo.overlays && previewInfo.overlays.rows.length > 0;
+    return (usesBlurredBackground(options) ? 3 : 2) + (hasOverlays ? 1 : 0);
+}
+
+/**
+ * Get the number of tracks a slideshow needs
+ * Video tracks as in getRequiredVideoTracks; the voiceover is on A1 and music on A2.
+ * The panel's track settings can ask for more.
+ * @param {object} previewInfo - Preview info of the folder
+ * @param {object} options - Normalized build options
+ * @returns {object} {video, audio}
+ */
+function getRequiredTrackCounts(previewInfo, options) {
+    return {
+        video: Math.max(getRequiredVideoTracks(previewInfo, options), options.sequenceVideoTracks),
+        audio: Math.max(previewInfo.musicFiles.length > 0 ? 2 : 1, options.sequenceAudioTracks)
+    };
+}
+
+/**
+ * Add tracks to a sequence until it has the given numbers
+ * Uses the QE DOM; the sequence is opened first.
+ * @param {Sequence} sequence - Target sequence
+ * @param {object} counts - {video, audio}
+ */
+function ensureSequenceTracks(sequence, counts) {
+    var addVideo = counts.video - sequence.videoTracks.numTracks;
+    var addAudio = counts.audio - sequence.audioTracks.numTracks;
+    if (addVideo <= 0 && addAudio <= 0) return;
+
+    app.project.openSequence(sequence.sequenceID);
+    app.enableQE();
+    // addTracks(video count, after video track, audio count, audio type (1 = stereo), after audio track)
+    qe.project.getActiveSequence().addTracks(Math.max(addVideo, 0), sequence.videoTracks.numTracks,
+                                             Math.max(addAudio, 0), 1, sequence.audioTracks.numTracks);
+}
+
+/**
+ * Create the sequence a slideshow is built in
+ * With a .sqpreset the preset sets everything; otherwise a sequence is
+ * made from the first image and set to the panel's frame size and rate.
+ * The sequence goes into the slideshow's bin and gets the tracks it needs.
+ * @param {string} name - Sequence name
+ * @param {ProjectItem} bin - Slideshow bin (Auto Slideshow / folder)
+ * @param {ProjectItem} firstItem - An imported clip of the slideshow
+ * @param {object} trackCounts - {video, audio} from getRequiredTrackCounts
+ * @param {object} options - Normalized build options
+ * @returns {object} {sequence, error}
+ */
+function createSlideshowSequence(name, bin, firstItem, trackCounts, options) {
+    var sequence = null;
+
+    if (options.sequenceMode === "preset") {
+        var preset = new File(options.sequencePreset);
+        if (!options.sequencePreset || !preset.exists) {
+            return { sequence: null, error: "Sequence preset not found: " + (options.sequencePreset || "(none chosen)") };
+        }
+        app.enableQE();
+        qe.project.newSequence(name, preset.fsName);
+        sequence = findSequenceByName(name);
+        if (!sequence) {
+            return { sequence: null, error: "Premiere Pro could not create a sequence from " + preset.name };
+        }
+        sequence.projectItem.moveBin(bin);
+    } else {
+        sequence = app.project.createNewSequenceFromClips(name, [firstItem], bin);
+        if (!sequence) {
+            return { sequence: null, error: "Could not create sequence " + name };
+        }
+        clearSequenceClips(sequence);
+
+        var settings = sequence.getSettings();
+        var frameTime = new Time();
+        frameTime.ticks = String(getFrameDurationTicks(options.frameRate));
+        settings.videoFrameWidth = options.sequenceWidth;
+        settings.videoFrameHeight = options.sequenceHeight;
+        settings.videoFrameRate = frameTime;
+        settings.videoPixelAspectRatio = "1";
+        sequence.setSettings(settings);
+    }
+
+    ensureSequenceTracks(sequence, trackCounts);
+    app.project.openSequence(sequence.sequenceID);
+    return { sequence: sequence, error: null };
+}
+
+// ============================================================
+// SLIDESHOW BUILD STEPS - Used by createSlideshow, in build order
+// ============================================================
+
+/**
+ * Place the images alternating between the two image tracks
+ * Each image gets its frame count plus its transition overlap; an image
+ * that needs it also gets a blurred copy on the background track, cut to cut.
+ * @param {object} timeline - {sequence, frame, frameRate, ticksPerFrame, trackBase, imageTracks, backgroundTrack}
+ * @param {Array} placedItems - Image project items in placement order
+ * @param {object} plan - Timing plan from buildVoiceTimingPlan
+ * @param {Array} overlaps - Transition overlap in frames per image
+ * @param {Array} placedIsVideo - Whether each placed item is a video clip
+ * @param {number} startFrames - Where the first image goes (after the intro card)
+ * @returns {object} {placements, backgrounds, endTicks}: placements are
+ *   {track, trackIndex, ticks, path} to find each clip again later
+ */
+function placeSlideshowImages(timeline, placedItems, plan, overlaps, placedIsVideo, startFrames) {
+    var frameRate = timeline.frameRate;
+    var ticksPerFrame = timeline.ticksPerFrame;
+    var frameCounts = plan.frameCounts;
+    var placements = [];
+    var backgrounds = [];
+
+    debugLog("");
+    debugLog("PLACEMENT LOOP:");
+    debugLog("  TICKS_PER_SECOND: " + TICKS_PER_SECOND);
+    debugLog("  ticksPerFrame: " + ticksPerFrame);
+    debugLog("");
+
+    var currentTicks = startFrames * ticksPerFrame; // Track position in ticks (integer) - no floating point error
+    for (var j = 0; j < placedItems.length; j++) {
+        var targetTrack = timeline.imageTracks[j % 2];
+        var trackName = "V" + (timeline.trackBase + j % 2 + 1);
+        var clipFrames = frameCounts[j];
+        var placedFrames = clipFrames + overlaps[j];
+        var clipTicks = clipFrames * ticksPerFrame;
+
+        // Convert to seconds for setOutPoint API (second param 4 is mediaType, not time unit)
+        var clipDurationSeconds = clipTicks / TICKS_PER_SECOND;
+
+        // Calculate position in seconds for placement
+        var positionSeconds = currentTicks / TICKS_PER_SECOND;
+
+        debugLog("Image " + (j + 1) + " (" + placedItems[j].name + "):");
+        debugLog("  track: " + trackName);
+        debugLog("  clipFrames: " + clipFrames);
+        debugLog("  clipTicks: " + clipTicks);
+        debugLog("  clipDurationSeconds: " + clipDurationSeconds);
+        debugLog("  currentTicks (before): " + currentTicks);
+        debugLog("  positionSeconds: " + positionSeconds);
+
+        // Convert ticks to EXACT frame-based seconds (avoid repeating decimals)
+        // placedFrames / frameRate gives exact frame-aligned seconds (the overlap is 0 with hard cuts)
+        var exactDurationSeconds = placedFrames / frameRate;
+        var exactPositionFrames = currentTicks / ticksPerFrame;
+        var exactPositionSeconds = exactPositionFrames / frameRate;
+
+        debugLog("  exactDurationSeconds: " + exactDurationSeconds);
+        debugLog("  exactPositionFrames: " + exactPositionFrames);
+        debugLog("  exactPositionSeconds: " + exactPositionSeconds);
+
+        // Set the source in/out points in seconds
+        placedItems[j].setInPoint(0, 4);
+        placedItems[j].setOutPoint(exactDurationSeconds, 4);
+
+        // Place on timeline using frame-based seconds
+        targetTrack.overwriteClip(placedItems[j], exactPositionSeconds);
+        placements.push({ track: targetTrack, trackIndex: timeline.trackBase + j % 2, ticks: currentTicks, path: plan.imagePaths[j] });
+
+        // Blurred copy underneath, cut to cut (backgrounds butt on V1, only the foreground overlaps)
+        if (timeline.backgroundTrack && !placedIsVideo[j] &&
+            needsBlurredBackground(readImageFileSize(plan.imagePaths[j]), timeline.frame)) {
+            placedItems[j].setOutPoint(clipFrames / frameRate, 4);
+            timeline.backgroundTrack.overwriteClip(placedItems[j], exactPositionSeconds);
+            backgrounds.push({ ticks: currentTicks, path: plan.imagePaths[j] });
+            debugLog("  background: V1");
+        }
+
+        currentTicks += clipTicks; // Integer addition - no accumulation error
+
+        debugLog("  currentTicks (after): " + currentTicks);
+        debugLog("  expectedEndSeconds: " + (currentTicks / TICKS_PER_SECOND));
+        debugLog("");
+    }
+
+    return { placements: placements, backgrounds: backgrounds, endTicks: currentTicks };
+}
+
+/**
+ * Extend each clip on the image tracks to exactly meet the next clip's start
+ * This eliminates floating-point rounding gaps left by placement.
+ * @param {Array} tracks - The two image tracks
+ * @returns {number} Number of gaps closed
+ */
+function closePlacementGaps(tracks) {
+    debugLog("");
+    debugLog("POST-PLACEMENT GAP FIX:");
+
+    // Small delay to ensure clips are fully placed
+    $.sleep(100);
+
+    // Collect all clips from both video tracks
+    var allTimelineClips = [];
+    for (var trackIdx = 0; trackIdx < tracks.length; trackIdx++) {
+        for (var clipIdx = 0; clipIdx < tracks[trackIdx].clips.numItems; clipIdx++) {
+            allTimelineClips.push(tracks[trackIdx].clips[clipIdx]);
+        }
+    }
+
+    debugLog("  Found " + allTimelineClips.length + " clips");
+
+    // Sort clips by start time (in ticks for precision)
+    allTimelineClips.sort(function(a, b) {
+        return a.start.ticks - b.start.ticks;
+    });
+
+    // Extend each clip's end to meet the next clip's start
+    var gapsFixed = 0;
+    for (var ci = 0; ci < allTimelineClips.length - 1; ci++) {
+        var thisClip = allTimelineClips[ci];
+        var nextClip = allTimelineClips[ci + 1];
+
+        var thisEndTicks = thisClip.end.ticks;
+        var nextStartTicks = nextClip.start.ticks;
+        var gapTicks = nextStartTicks - thisEndTicks;
+
+        debugLog("  Clip " + (ci + 1) + ": end=" + thisEndTicks +
+                 ", next start=" + nextStartTicks + ", gap=" + gapTicks);
+
+        if (gapTicks > 0) {
+            // There's a gap - create new Time and extend clip
+            var newEnd = new Time();
+            newEnd.ticks = nextStartTicks;
+            thisClip.end = newEnd;
+            gapsFixed++;
+            debugLog("    FIXED: extended to " + nextStartTicks);
+        } else if (gapTicks < 0) {
+            debugLog("    OVERLAP detected (will be handled by Premiere)");
+        }
+    }
+
+    debugLog("  Total gaps fixed: " + gapsFixed);
+    return gapsFixed;
+}
+
+/**
+ * Add the transitions: the upper image fades in over the one before and out over the one after
+ * Cross Dissolve goes through QE; when that fails the upper clip's opacity is faded instead.
+ * @param {object} timeline - Build timeline (see placeSlideshowImages)
+ * @param {Array} placements - Image placements from placeSlideshowImages
+ * @param {Array} overlaps - Transition overlap in frames per image
+ * @param {object} options - Normalized build options
+ * @param {Array} warnings - Receives a warning for fallbacks and missed transitions
+ * @returns {number} Number of transitions added
+ */
+function applySlideshowTransitions(timeline, placements, overlaps, options, warnings) {
+    var transitionCount = 0;
+    var transitionFallbacks = 0;
+    var transitionsMissed = [];
+    if (getTransitionFrames(options) === 0) {
+        return 0;
+    }
+    for (var tr = 1; tr < placements.length; tr += 2) {
+        var fadeIn = overlaps[tr - 1];
+        var fadeOut = overlaps[tr];
+        if (fadeIn === 0 && fadeOut === 0) continue;
+        if (options.transition === "dissolve" &&
+            addQeDissolves(placements[tr].trackIndex, placements[tr].ticks, fadeIn, fadeOut, timeline.frameRate)) {
+            transitionCount += (fadeIn > 0 ? 1 : 0) + (fadeOut > 0 ? 1 : 0);
+            continue;
+        }
+        var upperClip = findClipAtTicks(placements[tr].track, placements[tr].ticks, timeline.ticksPerFrame);
+        if (upperClip && applyOpacityFades(upperClip, fadeIn, fadeOut, timeline.frameRate)) {
+            transitionCount += (fadeIn > 0 ? 1 : 0) + (fadeOut > 0 ? 1 : 0);
+            if (options.transition === "dissolve") transitionFallbacks++;
+        } else {
+            transitionsMissed.push(getFolderName(placements[tr].path));
+        }
+    }
+    if (transitionFallbacks > 0) {
+        warnings.push("Cross Dissolve could not be added to " + transitionFallbacks + " clip(s) - opacity fades used instead");
+    }
+    if (transitionsMissed.length > 0) {
+        warnings.push("No transition on " + transitionsMissed.length + " image(s) - clip or Opacity effect not found: " +
+                      transitionsMissed.join(", "));
+    }
+    debugLog("  Transitions: " + transitionCount + " (" + options.transition + ", " + options.transitionFrames + " frames)");
+    return transitionCount;
+}
+
+/**
+ * Find the placed clips of the stills and the scale that fits each to the frame
+ * Sets clip and scale on each still's placement.
+ * @param {object} timeline - Build timeline (see placeSlideshowImages)
+ * @param {Array} placements - Image placements from placeSlideshowImages
+ * @param {Array} videoPaths - Paths of the placed video clips (left out)
+ * @param {object} options - Normalized build options
+ * @returns {Array} The placements of the stills
+ */
+function findStillClips(timeline, placements, videoPaths, options) {
+    var stills = [];
+    for (var ms = 0; ms < placements.length; ms++) {
+        if (arrayContains(videoPaths, placements[ms].path)) continue;
+        placements[ms].clip = findClipAtTicks(placements[ms].track, placements[ms].ticks, timeline.ticksPerFrame);
+        placements[ms].scale = getImageScale(readImageFileSize(placements[ms].path), timeline.frame, options.scaling);
+        stills.push(placements[ms]);
+    }
+    return stills;
+}
+
+/**
+ * Scale every still to the frame (fit / fill / stretch)
+ * @param {object} timeline - Build timeline (see placeSlideshowImages)
+ * @param {Array} stills - Still placements from findStillClips
+ * @param {object} options - Normalized build options
+ * @param {Array} warnings - Receives a warning naming the stills left at native size
+ * @returns {object} {mode, frame, scaled} for the manifest
+ */
+function applyStillScaling(timeline, stills, options, warnings) {
+    var scaling = { mode: options.scaling, frame: timeline.frame, scaled: 0 };
+    if (options.scaling === "none") {
+        return scaling;
+    }
+    var unscaled = [];
+    for (var sc = 0; sc < stills.length; sc++) {
+        if (stills[sc].clip && stills[sc].scale && applyClipScale(stills[sc].clip, stills[sc].scale)) {
+            scaling.scaled++;
+        } else {
+            unscaled.push(getFolderName(stills[sc].path));
+        }
+    }
+    if (unscaled.length > 0) {
+        warnings.push(unscaled.length + " image(s) kept their native size (size unreadable or no Motion effect): " +
+                      unscaled.join(", "));
+    }
+    debugLog("  Scaling: " + scaling.scaled + " stills (" + options.scaling + " to " + timeline.frame.width + "x" +
+             timeline.frame.height + ")");
+    return scaling;
+}
+
+/**
+ * Fill the blurred background copies to the frame and blur them
+ * @param {object} timeline - Build timeline (see placeSlideshowImages)
+ * @param {Array} backgrounds - Background placements {ticks, path} from placeSlideshowImages
+ * @param {object} options - Normalized build options
+ * @param {Array} warnings - Receives a warning for incomplete backgrounds
+ * @returns {object} {enabled, blur, images} for the manifest
+ */
+function applyBlurredBackgrounds(timeline, backgrounds, options, warnings) {
+    var backgroundTrack = timeline.backgroundTrack;
+    var background = { enabled: backgroundTrack !== null, blur: options.blurAmount, images: [] };
+    var unblurred = 0;
+    for (var bg = 0; bg < backgrounds.length; bg++) {
+        var backgroundClip = findClipAtTicks(backgroundTrack, backgrounds[bg].ticks, timeline.ticksPerFrame);
+        var fillScale = getImageScale(readImageFileSize(backgrounds[bg].path), timeline.frame, "fill");
+        if (!backgroundClip || !fillScale || !applyClipScale(backgroundClip, fillScale) ||
+            !applyBackgroundBlur(backgroundClip, 0, backgrounds[bg].ticks, timeline.ticksPerFrame, options.blurAmount)) {
+            unblurred++;
+        }
+        background.images.push(getFolderName(backgrounds[bg].path));
+    }
+    if (unblurred > 0) {
+        warnings.push("Blurred background incomplete on " + unblurred + " image(s) - Gaussian Blur or Motion not available");
+    }
+    if (backgroundTrack) {
+        debugLog("  Backgrounds: " + backgrounds.length + " on V1 (" + unblurred + " incomplete)");
+    }
+    return background;
+}
+
+/**
+ * Add Ken Burns motion to the stills
+ * Runs after the gap fix, so every move spans the whole clip.
+ * @param {object} timeline - Build timeline (see placeSlideshowImages)
+ * @param {Array} stills - Still placements from findStillClips
+ * @param {object} options - Normalized build options
+ * @param {Array} warnings - Receives a warning for stills left still
+ * @returns {object} {preset, intensity, moves} for the manifest
+ */
+function applySlideshowMotion(timeline, stills, options, warnings) {
+    var motion = { preset: options.kenBurns, intensity: options.kenBurnsIntensity, moves: [] };
+    if (options.kenBurns === "off") {
+        return motion;
+    }
+    var moves = getKenBurnsMoves(stills.length, options.kenBurns, options.kenBurnsIntensity, options.seed);
+    var unmoved = 0;
+    for (var mv = 0; mv < stills.length; mv++) {
+        var baseScale = options.scaling !== "none" && stills[mv].scale ? stills[mv].scale : { scale: 100, scaleWidth: null };
+        if (!stills[mv].clip || !applyKenBurnsMove(stills[mv].clip, moves[mv], baseScale, timeline.frameRate)) {
+            unmoved++;
+            continue;
+        }
+        motion.moves.push({ image: getFolderName(stills[mv].path), type: moves[mv].type });
+    }
+    if (unmoved > 0) {
+        warnings.push("No Ken Burns motion on " + unmoved + " image(s) - Motion effect not found");
+    }
+    debugLog("  Ken Burns: " + motion.moves.length + " stills moved (" + options.kenBurns + ")");
+    return motion;
+}
+
+/**
+ * Place the text overlays from overlays.csv on the track above the images
+ * Each overlay lasts as long as its image's clip.
+ * @param {object} timeline - Build timeline (see placeSlideshowImages)
+ * @param {object|null} overlays - {file, rows} from the preview info
+ * @param {Array} placements - Image placements from placeSlideshowImages
+ * @param {Array} warnings - Receives a warning naming the overlays not placed
+ * @returns {object} {file, track, placed, skipped} for the manifest
+ */
+function placeTextOverlays(timeline, overlays, placements, warnings) {
+    var overlayTrackIndex = timeline.trackBase + 2;
+    var overlayInfo = { file: null, track: "V" + (overlayTrackIndex + 1), placed: [], skipped: [] };
+    if (!overlays || overlays.rows.length === 0) {
+        return overlayInfo;
+    }
+    overlayInfo.file = overlays.file;
+    var overlayClips = [];
+    for (var ov = 0; ov < placements.length; ov++) {
+        for (var orw = 0; orw < overlays.rows.length; orw++) {
+            if (overlays.rows[orw].path !== placements[ov].path) continue;
+            var imageClip = placements[ov].clip || findClipAtTicks(placements[ov].track, placements[ov].ticks, timeline.ticksPerFrame);
+            if (imageClip) {
+                overlayClips.push({ row: overlays.rows[orw], start: Number(imageClip.start.ticks),
+                                    end: Number(imageClip.end.ticks) });
+            } else {
+                overlayInfo.skipped.push(overlays.rows[orw].file);
+            }
+        }
+    }
+    for (var oc = 0; oc < overlayClips.length; oc++) {
+        // With transitions the clips overlap; an overlay ends where the next one starts
+        var overlayEnd = oc + 1 < overlayClips.length ? Math.min(overlayClips[oc].end, overlayClips[oc + 1].start) : overlayClips[oc].end;
+        var overlayRow = overlayClips[oc].row;
+        if (placeOverlayGraphic(timeline.sequence, overlayRow, overlayTrackIndex, overlayClips[oc].start, overlayEnd)) {
+            overlayInfo.placed.push({ image: getFolderName(overlayRow.path), text: overlayRow.text,
+                                      position: overlayRow.position, style: overlayRow.style });
+        } else {
+            overlayInfo.skipped.push(overlayRow.file);
+        }
+    }
+    if (overlayInfo.skipped.length > 0) {
+        warnings.push(overlayInfo.skipped.length + " text overlay(s) could not be placed: " + overlayInfo.skipped.join(", "));
+    }
+    debugLog("  Overlays: " + overlayInfo.placed.length + " on " + overlayInfo.track);
+    return overlayInfo;
+}
+
+/**
+ * Place the voice files on audio track A1 at their frame-aligned segment starts
+ * Runs after the visuals, so B-roll audio can't overwrite the voiceover.
+ * @param {Sequence} sequence - Target sequence
+ * @param {Array} voiceItems - Imported voice project items in order
+ * @param {Array} segments - Voice segments of the timing plan ({start} in seconds)
+ * @param {number} narrationStart - Where the voiceover starts, in seconds
+ * @param {Array} videoPaths - Paths of the placed video clips (their audio is removed)
+ */
+function placeVoiceParts(sequence, voiceItems, segments, narrationStart, videoPaths) {
+    if (videoPaths.length > 0) {
+        debugLog("  B-roll audio clips removed: " + removeVideoClipAudio(sequence, videoPaths));
+    }
+    var audioTrack = sequence.audioTracks[0];
+    for (var vp = 0; vp < voiceItems.length; vp++) {
+        var voiceStart = narrationStart + segments[vp].start;
+        debugLog("  voice part " + (vp + 1) + " at " + voiceStart + "s");
+        audioTrack.overwriteClip(voiceItems[vp], voiceStart);
+    }
+}
+
+/**
+ * Place the imported music files as the music bed (see placeMusicBed)
+ * @param {Sequence} sequence - Target sequence
+ * @param {Array} musicFiles - Music files {path, name} from the preview info
+ * @param {object} musicTimeline - {start, narration, duration} for placeMusicBed
+ * @param {number} frameRate - Sequence frame rate
+ * @param {object} options - Normalized build options
+ * @returns {object} {clips, keyframes, warnings, names}: names are the files found in the project
+ */
+function placeSlideshowMusic(sequence, musicFiles, musicTimeline, frameRate, options) {
+    var musicItems = [];
+    var musicNames = [];
+    for (var mi = 0; mi < musicFiles.length; mi++) {
+        var musicItem = findProjectItemByPath(musicFiles[mi].path);
+        if (musicItem) {
+            musicItems.push(musicItem);
+            musicNames.push(musicFiles[mi].name);
+        }
+    }
+    var music = { clips: 0, keyframes: 0, warnings: [] };
+    if (musicItems.length > 0) {
+        music = placeMusicBed(sequence, musicItems, musicTimeline, frameRate, options);
+        debugLog("  music: " + music.clips + " clips, " + music.keyframes + " volume keyframes");
+        for (var mw = 0; mw < music.warnings.length; mw++) {
+            debugLog("  WARNING: " + music.warnings[mw]);
+        }
+    }
+    music.names = musicNames;
+    return music;
+}
+
+/**
+ * Import the subtitles and place each as its own caption track (one per language)
+ * @param {Sequence} sequence - Target sequence
+ * @param {Array} subtitles - Subtitle files from getSubtitleFiles, already converted to SRT
+ * @param {ProjectItem} bin - Captions bin
+ * @param {number} narrationStart - Where the captions start, in seconds
+ * @returns {Array} Placed subtitles {language, label, file, path}
+ */
+function placeCaptionTracks(sequence, subtitles, bin, narrationStart) {
+    var placedSubtitles = [];
+    var subtitlePaths = [];
+    for (var sp = 0; sp < subtitles.length; sp++) {
+        if (new File(subtitles[sp].srtPath).exists) {
+            subtitlePaths.push(subtitles[sp].srtPath);
+        }
+    }
+    app.project.importFiles(subtitlePaths, true, bin, false);
+    $.sleep(300);
+
+    for (var st = 0; st < subtitles.length; st++) {
+        // Find imported SRT item
+        var srtItem = findProjectItemByPath(subtitles[st].srtPath);
+        if (!srtItem) {
+            debugLog("WARNING: subtitle not imported: " + subtitles[st].name);
+            continue;
+        }
+
+        // Caption tracks can't be named, so the bin item carries the language
+        try {
+            srtItem.name = subtitles[st].label + " - " + getFolderName(subtitles[st].srtPath);
+        } catch (renameError) {
+            // Keep the file name
+        }
+
+        // Create caption track where the narration starts
+        sequence.createCaptionTrack(srtItem, narrationStart);
+        placedSubtitles.push({
+            language: subtitles[st].language,
+            label: subtitles[st].label,
+            file: getFolderName(subtitles[st].srtPath),
+            path: subtitles[st].srtPath
+        });
+        debugLog("  caption track: " + subtitles[st].label + " (" + subtitles[st].name + ")");
+    }
+    return placedSubtitles;
+}
+
+/**
+ * Add the sequence markers and write youtube-chapters.txt
+ * One marker per image start (the placement positions) and one per
+ * chapter from chapters.txt or the subtitles.
+ * @param {Sequence} sequence - Target sequence
+ * @param {string} folderPath - Project folder (chapters.txt, youtube-chapters.txt)
+ * @param {Array} placements - Image placements from placeSlideshowImages
+ * @param {Array} subtitles - Subtitle files (a chapter source)
+ * @param {object} span - {narrationStart, end} in seconds
+ * @param {object} options - Normalized build options
+ * @param {Array} warnings - Receives chapter and YouTube file warnings
+ * @returns {object} {images, chapters, youtubeFile}
+ */
+function addSlideshowMarkers(sequence, folderPath, placements, subtitles, span, options, warnings) {
+    var markers = { images: 0, chapters: [], youtubeFile: null };
+    if (options.imageMarkers) {
+        for (var mk = 0; mk < placements.length; mk++) {
+            var markerName = (mk + 1) + " - " + getFolderName(placements[mk].path);
+            if (addSequenceMarker(sequence, placements[mk].ticks / TICKS_PER_SECOND, markerName, placements[mk].path, false)) {
+                markers.images++;
+            }
+        }
+    }
+    var chapters = getSlideshowChapters(folderPath, options.chapterSource, subtitles, warnings);
+    for (var ch = 0; ch < chapters.length; ch++) {
+        var chapterTime = span.narrationStart + chapters[ch].time;
+        if (addSequenceMarker(sequence, chapterTime, chapters[ch].title, "", true)) {
+            markers.chapters.push({ time: chapterTime, title: chapters[ch].title });
+        }
+    }
+    if (options.youtubeChapters) {
+        // Chapters when there are any, otherwise the image starts (merged into chapters YouTube accepts)
+        var youtubeList = markers.chapters;
+        if (youtubeList.length === 0) {
+            youtubeList = [];
+            for (var yt = 0; yt < placements.length; yt++) {
+                youtubeList.push({ time: placements[yt].ticks / TICKS_PER_SECOND, title: getFolderName(placements[yt].path) });
+            }
+        }
+        var youtubeChapters = getYouTubeChapters(youtubeList, span.end);
+        var youtubePath = folderPath + "/youtube-chapters.txt";
+        if (youtubeChapters.length < YOUTUBE_CHAPTER_RULES.minCount) {
+            warnings.push("Only " + youtubeChapters.length + " chapter(s) of " + YOUTUBE_CHAPTER_RULES.minLength +
+                          "s or more - youtube-chapters.txt not written (YouTube needs " +
+                          YOUTUBE_CHAPTER_RULES.minCount + ")");
+        } else if (writeYouTubeChapters(youtubePath, youtubeChapters)) {
+            markers.youtubeFile = youtubePath;
+        } else {
+            warnings.push("Could not write youtube-chapters.txt");
+        }
+    }
+    debugLog("  markers: " + markers.images + " images, " + markers.chapters.length + " chapters");
+    return markers;
+}
+
+// ============================================================
+// MAIN SLIDESHOW CREATION
+// ============================================================
+
+/**
+ * Create the slideshow on the timeline
  * @param {string} folderPath - Path to project folder
  * @param {number} maxVariation - Maximum duration variation in seconds (default: 2)
  * @param {number} preferredFrameRate - Fallback frame rate if sequence rate unavailable (default: 30)
+ * @param {object} options - Build options from the panel (optional, e.g. timingMode)
  * @returns {string} JSON result
  */
-function createSlideshow(folderPath, maxVariation, preferredFrameRate) {
+function createSlideshow(folderPath, maxVariation, preferredFrameRate, options) {
     // Default to 2 seconds variation if not provided
     if (typeof maxVariation === 'undefined' || maxVariation === null) {
         maxVariation = 2;
@@ -548,6 +5848,7 @@ function createSlideshow(folderPath, maxVariation, preferredFrameRate) {
     if (typeof preferredFrameRate === 'undefined' || preferredFrameRate === null) {
         preferredFrameRate = 30;
     }
+    options = normalizeBuildOptions(options);
     var result = {
         success: false,
         voiceDuration: 0,
@@ -562,48 +5863,56 @@ function createSlideshow(folderPath, maxVariation, preferredFrameRate) {
     debugLog("folderPath: " + folderPath);
     debugLog("maxVariation: " + maxVariation);
     debugLog("preferredFrameRate: " + preferredFrameRate);
+    debugLog("timingMode: " + options.timingMode);
+    debugLog("seed: " + options.seed);
     debugLog("");
 
     try {
-        // 1. Check for active sequence
-        var sequence = app.project.activeSequence;
-        if (!sequence) {
-            result.error = "No active sequence. Please create or open a sequence first.";
-            debugLog("ERROR: " + result.error);
-            debugLogWrite();
-            return JSON.stringify(result);
-        }
-
-        debugLog("Sequence: " + sequence.name);
-
-        // 2. Check for at least 2 video tracks
-        if (sequence.videoTracks.numTracks < 2) {
-            result.error = "Sequence needs at least 2 video tracks. Please add another video track.";
-            debugLog("ERROR: " + result.error);
-            debugLogWrite();
-            return JSON.stringify(result);
-        }
+        // 1. Check for active sequence (only when building into the open sequence;
+        // otherwise a new sequence is created once the media is imported)
+        var sequence = null;
+        if (options.sequenceMode === "active") {
+            sequence = app.project.activeSequence;
+            if (!sequence) {
+                result.error = "No active sequence. Please create or open a sequence first.";
+                debugLog("ERROR: " + result.error);
+                debugLogWrite();
+                return JSON.stringify(result);
+            }
 
-        // 2b. Get sequence frame rate (use preferred as fallback)
-        var frameRate = preferredFrameRate;
-        try {
-            frameRate = getSequenceFrameRate(sequence);
-        } catch (e) {
-            // Fall back to preferred frame rate
+            // 2. Check for at least 2 video tracks
+            if (sequence.videoTracks.numTracks < 2) {
+                result.error = "Sequence needs at least 2 video tracks. Please add another video track.";
+                debugLog("ERROR: " + result.error);
+                debugLogWrite();
+                return JSON.stringify(result);
+            }
         }
 
-        debugLog("");
-        debugLog("SEQUENCE INFO:");
-        debugLog("  frameRate: " + frameRate);
-        debugLog("  timebase (ticksPerFrame): " + sequence.timebase);
-        debugLog("  TICKS_PER_SECOND constant: 254016000000");
-
         // 3. Get preview info (validates folder and gets file lists)
-        var previewInfo = JSON.parse(getPreviewInfo(folderPath));
+        var previewInfo = JSON.parse(getPreviewInfo(folderPath, {
+            profile: options.profile,
+            brandingFolder: options.brandingFolder,
+            introDuration: options.introDuration,
+            outroDuration: options.outroDuration,
+            overlays: options.overlays,
+            preflight: true
+        }));
         if (!previewInfo.valid) {
             result.error = previewInfo.error;
             return JSON.stringify(result);
         }
+        if (previewInfo.preflight.errors > 0) {
+            var firstIssue = previewInfo.preflight.issues[0];
+            result.error = "Preflight found " + previewInfo.preflight.errors + " problem(s): " + firstIssue.message +
+                           (firstIssue.files.length > 0 ? " (" + firstIssue.files.join(", ") + ")" : "");
+            debugLog("ERROR: " + result.error);
+            debugLogWrite();
+            return JSON.stringify(result);
+        }
+        var layoutProfile = findLayoutProfileIn(loadLayoutProfiles(), previewInfo.profile);
+        options.layoutProfile = layoutProfile;
+        debugLog("layoutProfile: " + layoutProfile.name);
 
         // 4. Create bin hierarchy for organized media
         var projectFolderName = getFolderName(folderPath);
@@ -613,10 +5922,38 @@ function createSlideshow(folderPath, maxVariation, preferredFrameRate) {
         try {
             app.project.importFiles(previewInfo.imagePaths, true, bins.images, false);
 
-            // Only import voiceover if not already imported (from preview phase)
-            var existingVoice = findProjectItemByPath(previewInfo.voicePath);
-            if (!existingVoice) {
-                app.project.importFiles([previewInfo.voicePath], true, bins.voiceovers, false);
+            // Only import voiceovers not already imported (from preview phase)
+            var newVoicePaths = [];
+            for (var nv = 0; nv < previewInfo.voiceFiles.length; nv++) {
+                if (!findProjectItemByPath(previewInfo.voiceFiles[nv].path)) {
+                    newVoicePaths.push(previewInfo.voiceFiles[nv].path);
+                }
+            }
+            if (newVoicePaths.length > 0) {
+                app.project.importFiles(newVoicePaths, true, bins.voiceovers, false);
+            }
+
+            // Music bed goes in its own bin (only when there is music)
+            var newMusicPaths = [];
+            for (var nm = 0; nm < previewInfo.musicFiles.length; nm++) {
+                if (!findProjectItemByPath(previewInfo.musicFiles[nm].path)) {
+                    newMusicPaths.push(previewInfo.musicFiles[nm].path);
+                }
+            }
+            if (newMusicPaths.length > 0) {
+                app.project.importFiles(newMusicPaths, true, createBinIfNotExists(bins.project, "Music"), false);
+            }
+
+            // Intro / outro cards (may come from the shared branding folder)
+            var cardPaths = [];
+            if (previewInfo.intro && !findProjectItemByPath(previewInfo.intro.path)) {
+                cardPaths.push(previewInfo.intro.path);
+            }
+            if (previewInfo.outro && !findProjectItemByPath(previewInfo.outro.path)) {
+                cardPaths.push(previewInfo.outro.path);
+            }
+            if (cardPaths.length > 0) {
+                app.project.importFiles(cardPaths, true, createBinIfNotExists(bins.project, "Cards"), false);
             }
         } catch (e) {
             result.error = "Failed to import files into project: " + e.toString();
@@ -626,33 +5963,76 @@ function createSlideshow(folderPath, maxVariation, preferredFrameRate) {
         // Small delay to ensure import completes
         $.sleep(500);
 
-        // 5. Find imported voice item
-        var voiceItem = findProjectItemByPath(previewInfo.voicePath);
-        if (!voiceItem) {
-            result.error = "Could not find imported voice file in project.";
-            return JSON.stringify(result);
+        // 4b. New sequence for this slideshow, in its bin with the tracks it needs
+        if (!sequence) {
+            var firstItem = findProjectItemByPath(previewInfo.imagePaths[0]) ||
+                            findProjectItemByPath(previewInfo.voiceFiles[0].path);
+            var created = createSlideshowSequence(formatSequenceName(options.sequenceName, folderPath, options),
+                                                  bins.project, firstItem, getRequiredTrackCounts(previewInfo, options), options);
+            if (!created.sequence) {
+                result.error = created.error;
+                debugLog("ERROR: " + result.error);
+                debugLogWrite();
+                return JSON.stringify(result);
+            }
+            sequence = created.sequence;
+        }
+        if (sequence.videoTracks.numTracks < getRequiredVideoTracks(previewInfo, options)) {
+            // The open sequence gets the background and overlay tracks the build needs
+            ensureSequenceTracks(sequence, { video: getRequiredVideoTracks(previewInfo, options), audio: 0 });
+        }
+        debugLog("Sequence: " + sequence.name);
+
+        // 4c. Get sequence frame rate (use preferred as fallback)
+        var frameRate = preferredFrameRate;
+        try {
+            frameRate = getSequenceFrameRate(sequence);
+        } catch (e) {
+            // Fall back to preferred frame rate
         }
 
-        // 6. Get voice duration
-        var voiceOutPoint = voiceItem.getOutPoint();
-        var voiceDuration = voiceOutPoint.seconds;
+        debugLog("");
+        debugLog("SEQUENCE INFO:");
+        debugLog("  frameRate: " + frameRate);
+        debugLog("  timebase (ticksPerFrame): " + sequence.timebase);
+        debugLog("  TICKS_PER_SECOND constant: " + TICKS_PER_SECOND);
+
+        // 5. Find imported voice items and their durations (played back-to-back)
+        var voiceItems = [];
+        var voiceDurations = [];
+        var voiceDuration = 0;
         debugLog("");
         debugLog("VOICE DURATION:");
-        debugLog("  voiceOutPoint.seconds: " + voiceDuration);
-        debugLog("  voiceOutPoint.ticks: " + voiceOutPoint.ticks);
-        if (voiceDuration <= 0) {
-            result.error = "Voice file has no duration or could not be read.";
-            debugLog("ERROR: " + result.error);
-            debugLogWrite();
-            return JSON.stringify(result);
+        for (var vi = 0; vi < previewInfo.voiceFiles.length; vi++) {
+            var voiceItem = findProjectItemByPath(previewInfo.voiceFiles[vi].path);
+            if (!voiceItem) {
+                result.error = "Could not find imported voice file in project: " + previewInfo.voiceFiles[vi].name;
+                return JSON.stringify(result);
+            }
+
+            // 6. Get voice duration
+            var voiceOutPoint = voiceItem.getOutPoint();
+            debugLog("  " + voiceItem.name + ": " + voiceOutPoint.seconds + "s (" + voiceOutPoint.ticks + " ticks)");
+            if (voiceOutPoint.seconds <= 0) {
+                result.error = "Voice file " + previewInfo.voiceFiles[vi].name + " has no duration or could not be read.";
+                debugLog("ERROR: " + result.error);
+                debugLogWrite();
+                return JSON.stringify(result);
+            }
+            voiceItems.push(voiceItem);
+            voiceDurations.push(voiceOutPoint.seconds);
+            voiceDuration += voiceOutPoint.seconds;
         }
+        debugLog("  total: " + voiceDuration);
 
         // 7. Find imported image items
         var imageItems = [];
+        var imageItemPaths = [];
         for (var i = 0; i < previewInfo.imagePaths.length; i++) {
             var imgItem = findProjectItemByPath(previewInfo.imagePaths[i]);
             if (imgItem) {
                 imageItems.push(imgItem);
+                imageItemPaths.push(previewInfo.imagePaths[i]);
             }
         }
 
@@ -661,172 +6041,251 @@ function createSlideshow(folderPath, maxVariation, preferredFrameRate) {
             return JSON.stringify(result);
         }
 
-        // 8. Calculate randomized frame counts for each image (integers)
-        var frameCounts = calculateRandomDurations(voiceDuration, imageItems.length, maxVariation, frameRate);
-        var secondsPerImage = voiceDuration / imageItems.length; // Keep average for response
+        // Time only the images that made it into the project
+        var layout = getVoiceLayout(folderPath, previewInfo.voiceFiles, layoutProfile);
+        layout.imagePaths = imageItemPaths;
+        for (var lg = 0; lg < layout.groups.length; lg++) {
+            var groupPaths = [];
+            for (var gp = 0; gp < layout.groups[lg].imagePaths.length; gp++) {
+                if (arrayContains(imageItemPaths, layout.groups[lg].imagePaths[gp])) {
+                    groupPaths.push(layout.groups[lg].imagePaths[gp]);
+                }
+            }
+            if (groupPaths.length === 0) {
+                result.error = "Could not find imported images for voice part " + (lg + 1) + " in project.";
+                return JSON.stringify(result);
+            }
+            layout.groups[lg].imagePaths = groupPaths;
+        }
+        applyImageOrder(folderPath, layout, options);
+        debugLog("imageOrder: " + options.imageOrder);
+
+        // Video clips play at their own length (read from the imported items)
+        var videoPaths = [];
+        options.videoDurations = {};
+        for (var vd = 0; vd < imageItemPaths.length; vd++) {
+            if (isVideoFile(imageItemPaths[vd], layoutProfile)) {
+                videoPaths.push(imageItemPaths[vd]);
+                options.videoDurations[imageItemPaths[vd]] = getProjectItemDuration(imageItems[vd]);
+                debugLog("  video " + imageItems[vd].name + ": " + options.videoDurations[imageItemPaths[vd]] + "s");
+            }
+        }
+
+        // 8. Calculate frame counts for each image (integers)
+        var plan = buildVoiceTimingPlan(folderPath, layout, voiceDurations, frameRate, maxVariation, options);
+        if (plan.error) {
+            result.error = plan.error;
+            debugLog("ERROR: " + result.error);
+            debugLogWrite();
+            return JSON.stringify(result);
+        }
+        var frameCounts = plan.frameCounts;
+
+        // The plan may drop or repeat images (image count policy)
+        var placedItems = [];
+        for (var pi = 0; pi < plan.imagePaths.length; pi++) {
+            for (var ii = 0; ii < imageItemPaths.length; ii++) {
+                if (imageItemPaths[ii] === plan.imagePaths[pi]) {
+                    placedItems.push(imageItems[ii]);
+                    break;
+                }
+            }
+        }
+        var secondsPerImage = voiceDuration / placedItems.length; // Keep average for response
 
         debugLog("");
         debugLog("FRAME COUNTS CALCULATED:");
-        debugLog("  imageCount: " + imageItems.length);
+        debugLog("  timingMode: " + plan.mode);
+        for (var pw = 0; pw < plan.warnings.length; pw++) {
+            debugLog("  WARNING: " + plan.warnings[pw]);
+        }
+        debugLog("  imageCount: " + placedItems.length);
         debugLog("  secondsPerImage (avg): " + secondsPerImage);
         var totalFrames = 0;
         for (var fc = 0; fc < frameCounts.length; fc++) {
             totalFrames += frameCounts[fc];
         }
         debugLog("  totalFrames: " + totalFrames);
-        debugLog("  expectedFrames: " + Math.round(voiceDuration * frameRate));
+        debugLog("  expectedFrames: " + plan.totalFrames);
         debugLog("  frameCounts: [" + frameCounts.join(", ") + "]");
 
-        // 9. Place voice on audio track A1
-        var audioTrack = sequence.audioTracks[0];
-        audioTrack.overwriteClip(voiceItem, 0);
-
-        // 10. Place images alternating between V1 and V2 with individual durations
-        var videoTrack1 = sequence.videoTracks[0]; // V1 - odd images (1, 3, 5...)
-        var videoTrack2 = sequence.videoTracks[1]; // V2 - even images (2, 4, 6...)
-
-        // Use tick-based integer arithmetic to avoid floating-point accumulation errors
-        // Premiere Pro uses 254016000000 ticks per second internally
-        var TICKS_PER_SECOND = 254016000000;
-        var ticksPerFrame = sequence.timebase; // Ticks per frame from sequence
-
-        debugLog("");
-        debugLog("PLACEMENT LOOP:");
-        debugLog("  TICKS_PER_SECOND: " + TICKS_PER_SECOND);
-        debugLog("  ticksPerFrame: " + ticksPerFrame);
-        debugLog("");
-
-        var currentTicks = 0; // Track position in ticks (integer) - no floating point error
-        for (var j = 0; j < imageItems.length; j++) {
-            var targetTrack = (j % 2 === 0) ? videoTrack1 : videoTrack2;
-            var trackName = (j % 2 === 0) ? "V1" : "V2";
-            var clipFrames = frameCounts[j];
-            var clipTicks = clipFrames * ticksPerFrame;
-
-            // Convert to seconds for setOutPoint API (second param 4 is mediaType, not time unit)
-            var clipDurationSeconds = clipTicks / TICKS_PER_SECOND;
-
-            // Calculate position in seconds for placement
-            var positionSeconds = currentTicks / TICKS_PER_SECOND;
-
-            debugLog("Image " + (j + 1) + " (" + imageItems[j].name + "):");
-            debugLog("  track: " + trackName);
-            debugLog("  clipFrames: " + clipFrames);
-            debugLog("  clipTicks: " + clipTicks);
-            debugLog("  clipDurationSeconds: " + clipDurationSeconds);
-            debugLog("  currentTicks (before): " + currentTicks);
-            debugLog("  positionSeconds: " + positionSeconds);
-
-            // Convert ticks to EXACT frame-based seconds (avoid repeating decimals)
-            // clipFrames / frameRate gives exact frame-aligned seconds
-            var exactDurationSeconds = clipFrames / frameRate;
-            var exactPositionFrames = currentTicks / ticksPerFrame;
-            var exactPositionSeconds = exactPositionFrames / frameRate;
-
-            debugLog("  exactDurationSeconds: " + exactDurationSeconds);
-            debugLog("  exactPositionFrames: " + exactPositionFrames);
-            debugLog("  exactPositionSeconds: " + exactPositionSeconds);
+        // 9. Place images alternating between V1 and V2 with individual durations
+        // (V2 and V3 when V1 holds the blurred backgrounds)
+        var backgroundTrack = usesBlurredBackground(options) ? sequence.videoTracks[0] : null;
+        var trackBase = backgroundTrack ? 1 : 0;
+        var timeline = {
+            sequence: sequence,
+            frame: { width: Number(sequence.frameSizeHorizontal), height: Number(sequence.frameSizeVertical) },
+            frameRate: frameRate,
+            // Use tick-based integer arithmetic to avoid floating-point accumulation errors
+            // (TICKS_PER_SECOND is Premiere's internal base)
+            ticksPerFrame: sequence.timebase,
+            trackBase: trackBase,
+            imageTracks: [sequence.videoTracks[trackBase], sequence.videoTracks[trackBase + 1]], // odd / even images
+            backgroundTrack: backgroundTrack
+        };
 
-            // Set the source in/out points in seconds
-            imageItems[j].setInPoint(0, 4);
-            imageItems[j].setOutPoint(exactDurationSeconds, 4);
+        // Intro card first on V1; the narrated images start after it
+        var introItem = previewInfo.intro ? findProjectItemByPath(previewInfo.intro.path) : null;
+        var outroItem = previewInfo.outro ? findProjectItemByPath(previewInfo.outro.path) : null;
+        var introFrames = introItem ? getCardFrames(introItem, previewInfo.intro, options.introDuration, frameRate) : 0;
+        var outroFrames = outroItem ? getCardFrames(outroItem, previewInfo.outro, options.outroDuration, frameRate) : 0;
+        var narrationStart = introFrames / frameRate;
+        if (introFrames > 0) {
+            placeCard(timeline.imageTracks[0], introItem, 0, introFrames, frameRate);
+            debugLog("Intro " + introItem.name + ": " + introFrames + " frames");
+        }
 
-            // Place on timeline using frame-based seconds
-            targetTrack.overwriteClip(imageItems[j], exactPositionSeconds);
+        // Transitions: each image runs into the next one on the other track
+        var placedIsVideo = [];
+        for (var pv = 0; pv < plan.imagePaths.length; pv++) {
+            placedIsVideo.push(arrayContains(videoPaths, plan.imagePaths[pv]));
+        }
+        var overlaps = getTransitionOverlaps(frameCounts, getTransitionFrames(options), placedIsVideo);
 
-            currentTicks += clipTicks; // Integer addition - no accumulation error
+        var placed = placeSlideshowImages(timeline, placedItems, plan, overlaps, placedIsVideo, introFrames);
+        var placements = placed.placements; // Where each image went, to find its clip again after the gap fix
 
-            debugLog("  currentTicks (after): " + currentTicks);
-            debugLog("  expectedEndSeconds: " + (currentTicks / TICKS_PER_SECOND));
-            debugLog("");
+        // Outro card after the last image
+        var outroStart = introFrames + plan.totalFrames;
+        var slideshowEnd = (outroStart + outroFrames) / frameRate;
+        if (outroFrames > 0) {
+            placeCard(timeline.imageTracks[0], outroItem, outroStart, outroFrames, frameRate);
+            debugLog("Outro " + outroItem.name + ": " + outroFrames + " frames at frame " + outroStart);
         }
-
-        // ============================================================
-        // POST-PLACEMENT GAP FIX
-        // Extend each clip's end to exactly meet the next clip's start
-        // This eliminates floating-point rounding gaps
-        // ============================================================
         debugLog("");
-        debugLog("POST-PLACEMENT GAP FIX:");
-
-        // Small delay to ensure clips are fully placed
-        $.sleep(100);
 
-        // Collect all clips from both video tracks
-        var allTimelineClips = [];
-        for (var trackIdx = 0; trackIdx < 2; trackIdx++) {
-            var vTrack = (trackIdx === 0) ? videoTrack1 : videoTrack2;
-            for (var clipIdx = 0; clipIdx < vTrack.clips.numItems; clipIdx++) {
-                allTimelineClips.push(vTrack.clips[clipIdx]);
-            }
+        closePlacementGaps(timeline.imageTracks);
+
+        // 9b-9f. Transitions, scaling, blurred backgrounds, Ken Burns motion and text overlays
+        var effectWarnings = [];
+        var transitionCount = applySlideshowTransitions(timeline, placements, overlaps, options, effectWarnings);
+        var stills = findStillClips(timeline, placements, videoPaths, options);
+        var scaling = applyStillScaling(timeline, stills, options, effectWarnings);
+        var background = applyBlurredBackgrounds(timeline, placed.backgrounds, options, effectWarnings);
+        var motion = applySlideshowMotion(timeline, stills, options, effectWarnings);
+        var overlayInfo = placeTextOverlays(timeline, previewInfo.overlays, placements, effectWarnings);
+
+        // 10. Place voice files back-to-back on audio track A1, then the music bed on A2 ducked under the narration
+        placeVoiceParts(sequence, voiceItems, plan.segments, narrationStart, videoPaths);
+        var music = placeSlideshowMusic(sequence, previewInfo.musicFiles, {
+            start: narrationStart,
+            narration: voiceDuration,
+            duration: slideshowEnd
+        }, frameRate, options);
+
+        // 11. Place every SRT as its own caption track (one per language)
+        var subtitles = getSubtitleFiles(folderPath, layoutProfile);
+        var placedSubtitles = [];
+        result.captionLanguages = [];
+
+        // WebVTT / ASS files are imported through a clean SRT next to them
+        var conversionWarnings = convertSubtitleFiles(subtitles);
+        for (var cw = 0; cw < conversionWarnings.length; cw++) {
+            debugLog("WARNING: " + conversionWarnings[cw]);
         }
 
-        debugLog("  Found " + allTimelineClips.length + " clips");
-
-        // Sort clips by start time (in ticks for precision)
-        allTimelineClips.sort(function(a, b) {
-            return a.start.ticks - b.start.ticks;
-        });
-
-        // Extend each clip's end to meet the next clip's start
-        var gapsFixed = 0;
-        for (var ci = 0; ci < allTimelineClips.length - 1; ci++) {
-            var thisClip = allTimelineClips[ci];
-            var nextClip = allTimelineClips[ci + 1];
-
-            var thisEndTicks = thisClip.end.ticks;
-            var nextStartTicks = nextClip.start.ticks;
-            var gapTicks = nextStartTicks - thisEndTicks;
-
-            debugLog("  Clip " + (ci + 1) + ": end=" + thisEndTicks +
-                     ", next start=" + nextStartTicks + ", gap=" + gapTicks);
-
-            if (gapTicks > 0) {
-                // There's a gap - create new Time and extend clip
-                var newEnd = new Time();
-                newEnd.ticks = nextStartTicks;
-                thisClip.end = newEnd;
-                gapsFixed++;
-                debugLog("    FIXED: extended to " + nextStartTicks);
-            } else if (gapTicks < 0) {
-                debugLog("    OVERLAP detected (will be handled by Premiere)");
+        if (subtitles.length > 0) {
+            placedSubtitles = placeCaptionTracks(sequence, subtitles, bins.captions, narrationStart);
+            for (var pst = 0; pst < placedSubtitles.length; pst++) {
+                result.captionLanguages.push(placedSubtitles[pst].label);
             }
+            result.hasCaptions = placedSubtitles.length > 0;
         }
 
-        debugLog("  Total gaps fixed: " + gapsFixed);
-
-        // 11. Place SRT as caption track (if exists)
-        var srtInfo = getSrtFileInfo(folderPath);
-        if (srtInfo) {
-            // Import SRT file into Captions bin
-            app.project.importFiles([srtInfo.path], true, bins.captions, false);
-            $.sleep(300);
+        // 12. Markers: one per image start, chapters from chapters.txt or the subtitles
+        var markerWarnings = [];
+        var markers = addSlideshowMarkers(sequence, folderPath, placements, subtitles,
+                                          { narrationStart: narrationStart, end: slideshowEnd }, options, markerWarnings);
 
-            // Find imported SRT item
-            var srtItem = findProjectItemByPath(srtInfo.path);
-            if (srtItem) {
-                // Create caption track at position 0
-                sequence.createCaptionTrack(srtItem, 0);
-                result.hasCaptions = true;
-            }
+        // Write manifest for export functionality (timing details allow an exact rebuild)
+        var orderedNames = [];
+        for (var on = 0; on < layout.imagePaths.length; on++) {
+            orderedNames.push(getFolderName(layout.imagePaths[on]));
         }
-
-        // Write manifest for export functionality
-        var manifestWritten = writeSlideshowManifest(folderPath, projectFolderName, imageItems.length, voiceDuration);
+        var manifestWritten = writeSlideshowManifest(folderPath, sequence.name, placedItems.length, voiceDuration, {
+            sequenceId: sequence.sequenceID,
+            timing: {
+                mode: plan.mode,
+                seed: plan.seed,
+                maxVariation: maxVariation,
+                pacing: plan.pacing,
+                pacingCurve: plan.pacing === "custom" ? options.pacingCurve : [],
+                maxVideoDuration: options.maxVideoDuration,
+                frameRate: frameRate,
+                frameCounts: frameCounts
+            },
+            layoutProfile: layoutProfile.name,
+            order: {
+                mode: options.imageOrder,
+                images: orderedNames
+            },
+            voiceovers: plan.segments,
+            cards: {
+                narrationStart: narrationStart,
+                narrationEnd: outroStart / frameRate,
+                intro: introFrames > 0 ? {
+                    file: previewInfo.intro.path,
+                    start: 0,
+                    seconds: introFrames / frameRate
+                } : null,
+                outro: outroFrames > 0 ? {
+                    file: previewInfo.outro.path,
+                    start: outroStart / frameRate,
+                    seconds: outroFrames / frameRate
+                } : null
+            },
+            subtitles: placedSubtitles,
+            transitions: {
+                type: options.transition,
+                frames: getTransitionFrames(options),
+                count: transitionCount,
+                overlaps: overlaps
+            },
+            scaling: scaling,
+            background: background,
+            overlays: overlayInfo,
+            markers: {
+                images: markers.images,
+                chapterSource: options.chapterSource,
+                chapters: markers.chapters,
+                youtubeFile: markers.youtubeFile
+            },
+            motion: motion,
+            music: {
+                files: music.names,
+                clips: music.clips,
+                level: options.musicLevel,
+                ducking: options.musicDucking,
+                fadeOut: options.musicFadeOut
+            },
+            pauses: {
+                snapToPauses: plan.snapped,
+                tolerance: options.pauseTolerance,
+                detected: options.pauses,
+                cuts: plan.cuts
+            }
+        });
         debugLog("Manifest written: " + manifestWritten);
 
         // Success!
         result.success = true;
+        result.sequenceName = sequence.name;
+        result.sequenceId = sequence.sequenceID;
         result.voiceDuration = voiceDuration;
-        result.imageCount = imageItems.length;
+        result.imageCount = placedItems.length;
         result.secondsPerImage = secondsPerImage;
+        result.timingMode = plan.mode;
+        result.seed = plan.seed;
+        result.warnings = plan.warnings.concat(conversionWarnings, effectWarnings, markerWarnings, music.warnings);
+        result.music = music;
 
         debugLog("");
         debugLog("SUCCESS!");
         debugLog("  voiceDuration: " + voiceDuration);
-        debugLog("  imageCount: " + imageItems.length);
-        debugLog("  finalTicks: " + currentTicks);
-        debugLog("  finalSeconds: " + (currentTicks / TICKS_PER_SECOND));
+        debugLog("  imageCount: " + placedItems.length);
+        debugLog("  finalTicks: " + placed.endTicks);
+        debugLog("  finalSeconds: " + (placed.endTicks / TICKS_PER_SECOND));
         debugLog("");
         debugLog("Log file: " + getDebugLogPath());
         debugLogWrite();
@@ -881,6 +6340,98 @@ function getImportedAudioDuration(voicePath, folderPath) {
     return JSON.stringify(result);
 }
 
+/**
+ * Get the durations of all voice files, importing them if needed (for preview)
+ * @param {string} folderPath - Path to the project folder
+ * @param {string} profileName - Layout profile ("" = auto-detect)
+ * @returns {string} JSON with per-file durations and the total
+ */
+function getImportedAudioDurations(folderPath, profileName) {
+    var result = {
+        success: false,
+        durations: [],
+        duration: 0,
+        error: null
+    };
+
+    var resolved = resolveLayoutProfile(folderPath, profileName);
+    if (!resolved.profile) {
+        result.error = resolved.error;
+        return JSON.stringify(result);
+    }
+
+    var voiceFiles = getVoiceFiles(folderPath, resolved.profile);
+    for (var i = 0; i < voiceFiles.length; i++) {
+        var info = JSON.parse(getImportedAudioDuration(voiceFiles[i].path, folderPath));
+        if (!info.success) {
+            result.error = voiceFiles[i].name + ": " + info.error;
+            return JSON.stringify(result);
+        }
+        result.durations.push(info.duration);
+        result.duration += info.duration;
+    }
+
+    if (voiceFiles.length === 0) {
+        result.error = "No audio file found in '" + resolved.profile.voiceoversFolder + "' folder";
+    } else {
+        result.success = true;
+    }
+    return JSON.stringify(result);
+}
+
+/**
+ * Get the native length of the video clips in the images folder (for preview)
+ * Clips are imported into the Images bin so the build can reuse them
+ * @param {string} folderPath - Path to the project folder
+ * @param {string} profileName - Layout profile ("" = auto-detect)
+ * @returns {string} JSON with durations keyed by file path
+ */
+function getImportedVideoDurations(folderPath, profileName) {
+    var result = {
+        success: false,
+        durations: {},
+        error: null
+    };
+
+    try {
+        var resolved = resolveLayoutProfile(folderPath, profileName);
+        if (!resolved.profile) {
+            result.error = resolved.error;
+            return JSON.stringify(result);
+        }
+
+        var layout = getVoiceLayout(folderPath, getVoiceFiles(folderPath, resolved.profile), resolved.profile);
+        var videoPaths = [];
+        var newPaths = [];
+        for (var i = 0; i < layout.imagePaths.length; i++) {
+            if (isVideoFile(layout.imagePaths[i], resolved.profile)) {
+                videoPaths.push(layout.imagePaths[i]);
+                if (!findProjectItemByPath(layout.imagePaths[i])) {
+                    newPaths.push(layout.imagePaths[i]);
+                }
+            }
+        }
+
+        if (newPaths.length > 0) {
+            var bins = createSlideshowBins(getFolderName(folderPath));
+            app.project.importFiles(newPaths, true, bins.images, false);
+            $.sleep(300);
+        }
+
+        for (var v = 0; v < videoPaths.length; v++) {
+            var item = findProjectItemByPath(videoPaths[v]);
+            if (item) {
+                result.durations[videoPaths[v]] = getProjectItemDuration(item);
+            }
+        }
+        result.success = true;
+    } catch (e) {
+        result.error = e.toString();
+    }
+
+    return JSON.stringify(result);
+}
+
 /**
  * Check if there's an active sequence
  * @returns {string} JSON with sequence info
@@ -889,6 +6440,7 @@ function checkActiveSequence() {
     var result = {
         hasSequence: false,
         sequenceName: null,
+        sequenceId: null,
         videoTracks: 0,
         audioTracks: 0
     };
@@ -897,6 +6449,7 @@ function checkActiveSequence() {
     if (sequence) {
         result.hasSequence = true;
         result.sequenceName = sequence.name;
+        result.sequenceId = sequence.sequenceID;
         result.videoTracks = sequence.videoTracks.numTracks;
         result.audioTracks = sequence.audioTracks.numTracks;
     }
@@ -904,6 +6457,353 @@ function checkActiveSequence() {
     return JSON.stringify(result);
 }
 
+// ============================================================
+// BATCH MODE - One slideshow per subfolder of a parent folder
+// ============================================================
+
+/**
+ * List the child folders of a batch parent folder
+ * Every child is checked with validateFolderStructure; folders that fail
+ * are listed with their error so the panel can show them as skipped.
+ * @param {string} parentPath - Parent folder
+ * @param {string} profileName - Layout profile ("" = auto-detect per folder)
+ * @returns {string} JSON {success, folders: [{path, name, valid, profile, error}], error}
+ */
+function getBatchFolders(parentPath, profileName) {
+    var result = {
+        success: false,
+        folders: [],
+        error: null
+    };
+
+    var parent = new Folder(parentPath);
+    if (!parent.exists) {
+        result.error = "Folder not found: " + parentPath;
+        return JSON.stringify(result);
+    }
+
+    var entries = parent.getFiles();
+    var children = [];
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i] instanceof Folder && entries[i].name.charAt(0) !== ".") {
+            children.push(entries[i]);
+        }
+    }
+    children.sort(naturalSort);
+
+    for (var c = 0; c < children.length; c++) {
+        var validation = JSON.parse(validateFolderStructure(children[c].fsName, profileName));
+        result.folders.push({
+            path: children[c].fsName,
+            name: children[c].name,
+            valid: validation.valid,
+            profile: validation.profile,
+            error: validation.valid ? null : validation.error
+        });
+    }
+
+    if (result.folders.length === 0) {
+        result.error = "No subfolders found in " + parent.name;
+    } else {
+        result.success = true;
+    }
+    return JSON.stringify(result);
+}
+
+/**
+ * Find a sequence of the project by name
+ * @param {string} name - Sequence name
+ * @returns {Sequence|null} First sequence with that name
+ */
+function findSequenceByName(name) {
+    for (var i = 0; i < app.project.sequences.numSequences; i++) {
+        if (app.project.sequences[i].name === name) {
+            return app.project.sequences[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Find a sequence of the project by its ID
+ * @param {string} sequenceId - Sequence ID
+ * @returns {Sequence|null} Sequence or null
+ */
+function findSequenceById(sequenceId) {
+    for (var i = 0; i < app.project.sequences.numSequences; i++) {
+        if (app.project.sequences[i].sequenceID === sequenceId) {
+            return app.project.sequences[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Remove every clip from a sequence's video and audio tracks
+ * @param {Sequence} sequence - Sequence to empty
+ */
+function clearSequenceClips(sequence) {
+    var trackLists = [sequence.videoTracks, sequence.audioTracks];
+    for (var l = 0; l < trackLists.length; l++) {
+        for (var t = 0; t < trackLists[l].numTracks; t++) {
+            var clips = trackLists[l][t].clips;
+            for (var c = clips.numItems - 1; c >= 0; c--) {
+                clips[c].remove(false, true);
+            }
+        }
+    }
+}
+
+/**
+ * Create an empty sequence with the settings and tracks of a template
+ * The template is cloned, renamed, emptied and moved into the bin.
+ * @param {Sequence} template - Sequence to copy
+ * @param {string} name - New sequence name
+ * @param {ProjectItem} bin - Target bin
+ * @returns {Sequence|null} New sequence
+ */
+function createSequenceFromTemplate(template, name, bin) {
+    var count = app.project.sequences.numSequences;
+    if (!template.clone() || app.project.sequences.numSequences <= count) {
+        return null;
+    }
+
+    // The clone is added after the existing sequences
+    var sequence = app.project.sequences[app.project.sequences.numSequences - 1];
+    sequence.name = name;
+    clearSequenceClips(sequence);
+    sequence.projectItem.moveBin(bin);
+    return sequence;
+}
+
+/**
+ * Build one slideshow of a batch in its own new sequence
+ * createSlideshow makes the sequence from the panel's sequence settings.
+ * With the "open sequence" setting, the template sequence (the one that
+ * was active when the batch started) is copied instead, named after the
+ * folder.
+ * @param {string} folderPath - Project folder
+ * @param {string} templateSequenceId - ID of the template sequence ("" when not copying)
+ * @param {object} options - Build options from the panel (shared by the batch)
+ * @returns {string} JSON createSlideshow result plus sequenceName
+ */
+function createBatchSlideshow(folderPath, templateSequenceId, options) {
+    var result = {
+        success: false,
+        sequenceName: getFolderName(folderPath),
+        voiceDuration: 0,
+        imageCount: 0,
+        error: null
+    };
+
+    try {
+        options = options || {};
+        if (options.sequenceMode !== "active") {
+            return createSlideshow(folderPath, options.maxVariation, options.frameRate, options);
+        }
+
+        var template = findSequenceById(templateSequenceId);
+        if (!template) {
+            result.error = "Template sequence not found - open the sequence to copy and start the batch again.";
+            return JSON.stringify(result);
+        }
+        if (findSequenceByName(result.sequenceName)) {
+            result.error = "A sequence named '" + result.sequenceName + "' already exists.";
+            return JSON.stringify(result);
+        }
+
+        var bins = createSlideshowBins(result.sequenceName);
+        var sequence = createSequenceFromTemplate(template, result.sequenceName, bins.project);
+        if (!sequence) {
+            result.error = "Could not create a sequence for " + result.sequenceName + ".";
+            return JSON.stringify(result);
+        }
+        app.project.openSequence(sequence.sequenceID);
+
+        var build = JSON.parse(createSlideshow(folderPath, options.maxVariation, options.frameRate, options));
+        build.sequenceName = result.sequenceName;
+        return JSON.stringify(build);
+    } catch (e) {
+        result.error = e.toString();
+        return JSON.stringify(result);
+    }
+}
+
+// ============================================================
+// WATCH FOLDER - Build project folders dropped into a hot folder
+// ============================================================
+
+/**
+ * Project-folder files (besides the layout subfolders) a build reads
+ * Everything else in the folder - the manifest, youtube-chapters.txt,
+ * exports - is written by the build and doesn't count as a change.
+ */
+var WATCH_SOURCE_FILES = /^(timing\.json|timing\.csv|order\.txt|chapters\.txt|overlays\.csv|(intro|outro)\.[^\.]+)$/i;
+
+/**
+ * Summarize the files of a folder so the panel can tell when copying has finished
+ * Hidden files and SRT files converted from a WebVTT/ASS file next to them are ignored.
+ * @param {Folder} folder - Folder to summarize (subfolders included)
+ * @returns {object} {files, bytes, modified} - file count, total size, newest change (ms)
+ */
+function getFolderSignature(folder) {
+    var signature = { files: 0, bytes: 0, modified: 0 };
+    var entries = folder.getFiles();
+    var names = {};
+    for (var n = 0; n < entries.length; n++) {
+        names[entries[n].name.toLowerCase()] = true;
+    }
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].name.charAt(0) === ".") continue;
+        var base = entries[i].name.toLowerCase().replace(/\.srt$/, "");
+        if (base !== entries[i].name.toLowerCase() &&
+            (names[base + ".vtt"] || names[base + ".ass"] || names[base + ".ssa"])) {
+            continue;
+        }
+        if (entries[i] instanceof Folder) {
+            var inner = getFolderSignature(entries[i]);
+            signature.files += inner.files;
+            signature.bytes += inner.bytes;
+            signature.modified = Math.max(signature.modified, inner.modified);
+        } else {
+            signature.files++;
+            signature.bytes += entries[i].length;
+            signature.modified = Math.max(signature.modified, entries[i].modified ? entries[i].modified.getTime() : 0);
+        }
+    }
+    return signature;
+}
+
+/**
+ * Summarize the source files of a project folder (what a build reads)
+ * The layout subfolders of every profile (images, voiceovers, subtitles,
+ * music) and the sidecars in WATCH_SOURCE_FILES; the build's own output
+ * is left out, so a rejected folder is only checked again when its
+ * sources change.
+ * @param {Folder} folder - Project folder
+ * @returns {object} {files, bytes, modified} as from getFolderSignature
+ */
+function getWatchSourceSignature(folder) {
+    var signature = { files: 0, bytes: 0, modified: 0 };
+    var entries = folder.getFiles();
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i] instanceof File && WATCH_SOURCE_FILES.test(entries[i].name)) {
+            signature.files++;
+            signature.bytes += entries[i].length;
+            signature.modified = Math.max(signature.modified, entries[i].modified ? entries[i].modified.getTime() : 0);
+        }
+    }
+
+    var profiles = loadLayoutProfiles();
+    var counted = {};
+    for (var p = 0; p < profiles.length; p++) {
+        var subfolders = [profiles[p].imagesFolder, profiles[p].voiceoversFolder,
+                          profiles[p].subtitlesFolder, profiles[p].musicFolder];
+        for (var s = 0; s < subfolders.length; s++) {
+            var key = subfolders[s].toLowerCase();
+            var subfolder = new Folder(folder.fsName + "/" + subfolders[s]);
+            if (counted[key] || !subfolder.exists) continue;
+            counted[key] = true;
+
+            var inner = getFolderSignature(subfolder);
+            signature.files += inner.files;
+            signature.bytes += inner.bytes;
+            signature.modified = Math.max(signature.modified, inner.modified);
+        }
+    }
+    return signature;
+}
+
+/**
+ * List the project folders in a watch folder
+ * A folder holding slideshow-manifest.json has been built before.
+ * @param {string} watchPath - Watched folder
+ * @returns {string} JSON {success, folders: [{path, name, signature, files, processed}], error}
+ */
+function scanWatchFolder(watchPath) {
+    var result = {
+        success: false,
+        folders: [],
+        error: null
+    };
+
+    try {
+        var watchFolder = new Folder(watchPath);
+        if (!watchFolder.exists) {
+            result.error = "Watch folder not found: " + watchPath;
+            return JSON.stringify(result);
+        }
+
+        var entries = watchFolder.getFiles();
+        var children = [];
+        for (var i = 0; i < entries.length; i++) {
+            if (entries[i] instanceof Folder && entries[i].name.charAt(0) !== ".") {
+                children.push(entries[i]);
+            }
+        }
+        children.sort(naturalSort);
+
+        for (var c = 0; c < children.length; c++) {
+            var signature = getWatchSourceSignature(children[c]);
+            result.folders.push({
+                path: children[c].fsName,
+                name: children[c].name,
+                signature: signature.files + ":" + signature.bytes + ":" + signature.modified,
+                files: signature.files,
+                processed: new File(children[c].fsName + "/slideshow-manifest.json").exists
+            });
+        }
+        result.success = true;
+    } catch (e) {
+        result.error = e.toString();
+    }
+
+    return JSON.stringify(result);
+}
+
+/**
+ * Queue a slideshow built from the watch folder in Adobe Media Encoder
+ * The MP4 goes into the project folder, named after the sequence.
+ * @param {string} folderPath - Project folder
+ * @param {string} sequenceId - ID of the slideshow sequence
+ * @returns {string} JSON {success, outputPath, jobId, error}
+ */
+function exportWatchFolderSlideshow(folderPath, sequenceId) {
+    var result = {
+        success: false,
+        outputPath: "",
+        jobId: null,
+        error: null
+    };
+
+    try {
+        var sequence = findSequenceById(sequenceId);
+        if (!sequence) {
+            result.error = "Sequence not found for " + getFolderName(folderPath);
+            return JSON.stringify(result);
+        }
+
+        var outputBase = folderPath + getPathSeparator() + sequence.name;
+        if (new File(outputBase + ".mp4").exists) {
+            outputBase += "_" + new Date().getTime();
+        }
+        result.outputPath = outputBase + ".mp4";
+
+        var exported = exportSequenceToAME(sequence, result.outputPath);
+        if (exported.success) {
+            app.encoder.startBatch();
+            result.success = true;
+            result.jobId = "" + exported.jobId;
+        } else {
+            result.error = exported.error;
+        }
+    } catch (e) {
+        result.error = e.toString();
+    }
+
+    return JSON.stringify(result);
+}
+
 // ============================================================
 // MANIFEST SYSTEM - Track source folders for export
 // ============================================================
@@ -925,9 +6825,10 @@ function escapeJsonString(str) {
  * @param {string} sequenceName - Name of the sequence
  * @param {number} imageCount - Number of images
  * @param {number} voiceDuration - Duration of voice in seconds
+ * @param {object} details - Extra top-level fields to record (optional, e.g. timing)
  * @returns {boolean} Success status
  */
-function writeSlideshowManifest(folderPath, sequenceName, imageCount, voiceDuration) {
+function writeSlideshowManifest(folderPath, sequenceName, imageCount, voiceDuration, details) {
     try {
         var manifestPath = folderPath + "/slideshow-manifest.json";
         var manifestFile = new File(manifestPath);
@@ -955,8 +6856,13 @@ function writeSlideshowManifest(folderPath, sequenceName, imageCount, voiceDurat
         jsonStr += '  "projectPath": "' + escapeJsonString(projectPath) + '",\n';
         jsonStr += '  "sourceFolder": "' + escapeJsonString(folderPath) + '",\n';
         jsonStr += '  "imageCount": ' + imageCount + ',\n';
-        jsonStr += '  "voiceDuration": ' + voiceDuration + '\n';
-        jsonStr += "}";
+        jsonStr += '  "voiceDuration": ' + voiceDuration;
+        for (var key in details) {
+            if (details.hasOwnProperty(key)) {
+                jsonStr += ',\n  "' + escapeJsonString(key) + '": ' + manifestValueToJson(details[key], "  ");
+            }
+        }
+        jsonStr += "\n}";
 
         manifestFile.encoding = "UTF-8";
         manifestFile.open("w");
@@ -969,6 +6875,41 @@ function writeSlideshowManifest(folderPath, sequenceName, imageCount, voiceDurat
     }
 }
 
+/**
+ * Serialize a manifest value as JSON (ES3 compatible - no JSON.stringify)
+ * Arrays of plain values stay on one line, objects are indented
+ * @param {*} value - String, number, boolean, null, array or plain object
+ * @param {string} indent - Indentation of the line holding the value
+ * @returns {string} JSON text
+ */
+function manifestValueToJson(value, indent) {
+    if (value === null || value === undefined) return "null";
+    if (typeof value === "string") return '"' + escapeJsonString(value) + '"';
+    if (typeof value === "number") return isFinite(value) ? "" + value : "null";
+    if (typeof value === "boolean") return value ? "true" : "false";
+
+    var inner = indent + "  ";
+    var parts = [];
+    if (Object.prototype.toString.call(value) === "[object Array]") {
+        var flat = true;
+        for (var i = 0; i < value.length; i++) {
+            if (value[i] !== null && typeof value[i] === "object") flat = false;
+            parts.push(manifestValueToJson(value[i], inner));
+        }
+        if (parts.length === 0) return "[]";
+        if (flat) return "[" + parts.join(", ") + "]";
+        return "[\n" + inner + parts.join(",\n" + inner) + "\n" + indent + "]";
+    }
+
+    for (var key in value) {
+        if (value.hasOwnProperty(key)) {
+            parts.push('"' + escapeJsonString(key) + '": ' + manifestValueToJson(value[key], inner));
+        }
+    }
+    if (parts.length === 0) return "{}";
+    return "{\n" + inner + parts.join(",\n" + inner) + "\n" + indent + "}";
+}
+
 function padZeroManifest(num) {
     return num < 10 ? "0" + num : "" + num;
 }
@@ -1007,7 +6948,7 @@ function readSlideshowManifest(folderPath) {
 /**
  * Get all sequences created by this extension
  * Scans the Auto Slideshow bin structure and matches to sequences
- * @returns {Array} Array of sequence info objects
+ * @returns {Array} Sequence infos {sequenceName, sequenceId, projectName, sourceFolder}
  */
 function getExtensionCreatedSequences() {
     var results = [];
@@ -1033,23 +6974,41 @@ function getExtensionCreatedSequences() {
         if (projectBin.type !== 2) continue; // Not a bin
 
         var projectName = projectBin.name;
-
-        // Find matching sequence by name
-        for (var k = 0; k < app.project.sequences.numSequences; k++) {
-            var seq = app.project.sequences[k];
-            if (seq.name === projectName) {
-                results.push({
-                    sequenceName: projectName,
-                    sequenceId: seq.sequenceID
-                });
-                break;
-            }
+        var sourceFolder = findSourceFolderForSequence(projectName);
+        var seq = findSlideshowSequence(projectName, sourceFolder);
+        if (seq) {
+            results.push({
+                sequenceName: seq.name,
+                sequenceId: seq.sequenceID,
+                projectName: projectName,
+                sourceFolder: sourceFolder
+            });
         }
     }
 
     return results;
 }
 
+/**
+ * Find the sequence of a slideshow
+ * The manifest records the sequence (its name can come from a template);
+ * slideshows without one are matched by the folder name.
+ * @param {string} projectName - Slideshow bin name (the folder name)
+ * @param {string|null} sourceFolder - Source folder holding the manifest
+ * @returns {Sequence|null} Sequence or null
+ */
+function findSlideshowSequence(projectName, sourceFolder) {
+    var manifest = sourceFolder ? readSlideshowManifest(sourceFolder) : null;
+    var seq = null;
+    if (manifest && manifest.sequenceId) {
+        seq = findSequenceById(manifest.sequenceId);
+    }
+    if (!seq && manifest && manifest.sequenceName) {
+        seq = findSequenceByName(manifest.sequenceName);
+    }
+    return seq || findSequenceByName(projectName);
+}
+
 /**
  * Get list of slideshows for UI display
  * @returns {string} JSON with slideshow list
@@ -1065,9 +7024,15 @@ function getSlideshowList() {
         var sequences = getExtensionCreatedSequences();
 
         for (var i = 0; i < sequences.length; i++) {
+            var subtitles = getSlideshowSubtitles(sequences[i].sourceFolder);
+            var languages = [];
+            for (var l = 0; l < subtitles.length; l++) {
+                languages.push(subtitles[l].label);
+            }
             result.slideshows.push({
                 name: sequences[i].sequenceName,
-                sequenceId: sequences[i].sequenceId
+                sequenceId: sequences[i].sequenceId,
+                languages: languages
             });
         }
     } catch (e) {
@@ -1181,19 +7146,241 @@ function exportSequenceToAME(sequence, outputPath) {
     return result;
 }
 
+/**
+ * Get the subtitles placed in a slideshow (from its manifest)
+ * @param {string} sourceFolder - Source folder of the slideshow
+ * @returns {Array} Subtitles {language, label, file, path}
+ */
+function getSlideshowSubtitles(sourceFolder) {
+    var manifest = sourceFolder ? readSlideshowManifest(sourceFolder) : null;
+    if (!manifest || !manifest.subtitles || !manifest.subtitles.length) {
+        return [];
+    }
+    return manifest.subtitles;
+}
+
+/**
+ * Pick the subtitle of a language
+ * @param {Array} subtitles - Subtitles from getSlideshowSubtitles
+ * @param {string} language - Language code or label ("" = first subtitle)
+ * @returns {object|null} Subtitle or null when the language isn't there
+ */
+function pickSlideshowSubtitle(subtitles, language) {
+    if (subtitles.length === 0) return null;
+    if (!language) return subtitles[0];
+
+    var wanted = language.toLowerCase();
+    for (var i = 0; i < subtitles.length; i++) {
+        if (String(subtitles[i].language).toLowerCase() === wanted ||
+            String(subtitles[i].label).toLowerCase() === wanted) {
+            return subtitles[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the AME preset used to burn captions into the video
+ * Premiere only burns captions when the preset says so, so the user saves a
+ * copy of their H.264 preset with "Burn Captions Into Video" turned on.
+ * @returns {string|null} Path to burn-captions.epr in the user data folder, or null
+ */
+function getBurnInPresetPath() {
+    var presetFile = new File(Folder.userData.fsName + "/AutoSlideshow/burn-captions.epr");
+    return presetFile.exists ? presetFile.fsName : null;
+}
+
+/**
+ * Get a sequence that shows only one subtitle language, for burning in
+ * The slideshow is nested in a new sequence next to it with just the chosen
+ * caption track; an existing one from an earlier export is reused.
+ * @param {Sequence} sequence - Slideshow sequence
+ * @param {object} subtitle - Subtitle to burn in
+ * @param {string} projectName - Slideshow bin name (the folder name)
+ * @returns {Sequence|null} Sequence to export, or null on failure
+ */
+function getBurnInSequence(sequence, subtitle, projectName) {
+    var name = sequence.name + " [" + subtitle.label + "]";
+    for (var s = 0; s < app.project.sequences.numSequences; s++) {
+        if (app.project.sequences[s].name === name) {
+            return app.project.sequences[s];
+        }
+    }
+
+    var bins = createSlideshowBins(projectName);
+    var captionItem = findProjectItemByPath(subtitle.path);
+    if (!captionItem && new File(subtitle.path).exists) {
+        app.project.importFiles([subtitle.path], true, bins.captions, false);
+        $.sleep(300);
+        captionItem = findProjectItemByPath(subtitle.path);
+    }
+    if (!captionItem) return null;
+
+    var burnSequence = app.project.createNewSequenceFromClips(name, [sequence.projectItem], bins.project);
+    if (!burnSequence) return null;
+
+    burnSequence.createCaptionTrack(captionItem, 0);
+    return burnSequence;
+}
+
+/**
+ * Resolve the export settings shared by every slideshow of an export run
+ * @param {object} options - Export options (optional):
+ *   subtitleMode "none" | "sidecar" (copy the .srt next to the MP4) | "burn",
+ *   subtitleLanguage code or label ("" = first language),
+ *   preset AME preset (.epr, "" = system H.264),
+ *   outputFolder folder for the MP4s ("" = each slideshow's source folder)
+ * @returns {object} Settings {subtitleMode, subtitleLanguage, presetPath, burnPresetPath, outputFolder, error}
+ */
+function getExportSettings(options) {
+    options = options || {};
+    var settings = {
+        subtitleMode: arrayContains(["sidecar", "burn"], options.subtitleMode) ? options.subtitleMode : "none",
+        subtitleLanguage: options.subtitleLanguage ? String(options.subtitleLanguage) : "",
+        presetPath: null,
+        burnPresetPath: null,
+        outputFolder: options.outputFolder ? String(options.outputFolder) : "",
+        error: null
+    };
+
+    if (options.preset) {
+        var preset = new File(options.preset);
+        if (!preset.exists) {
+            settings.error = "Export preset not found: " + options.preset;
+            return settings;
+        }
+        settings.presetPath = preset.fsName;
+    } else {
+        settings.presetPath = getH264PresetPath();
+    }
+
+    if (settings.subtitleMode === "burn") {
+        settings.burnPresetPath = getBurnInPresetPath();
+        if (!settings.burnPresetPath) {
+            settings.error = "Burning in subtitles needs an AME preset with \"Burn Captions Into Video\" turned on, saved as " +
+                             Folder.userData.fsName + "/AutoSlideshow/burn-captions.epr";
+        }
+    }
+    if (settings.outputFolder && !new Folder(settings.outputFolder).exists && !new Folder(settings.outputFolder).create()) {
+        settings.error = "Could not create the output folder " + settings.outputFolder;
+    }
+    return settings;
+}
+
+/**
+ * Queue one slideshow in Adobe Media Encoder
+ * Updates the counters and lists of an export result.
+ * @param {object} seqInfo - Sequence info from getExtensionCreatedSequences
+ * @param {object} settings - Export settings from getExportSettings
+ * @param {object} result - Export result {exported, failed, jobs, errors, warnings}
+ * @returns {boolean} True if queued
+ */
+function queueSlideshowExport(seqInfo, settings, result) {
+    // Find the actual sequence object
+    var sequence = findSequenceById(seqInfo.sequenceId);
+
+    if (!sequence) {
+        result.failed++;
+        result.errors.push("Sequence not found: " + seqInfo.sequenceName);
+        return false;
+    }
+
+    // Source folder found from the Auto Slideshow bin and its manifest
+    var sourceFolder = seqInfo.sourceFolder;
+
+    if (!sourceFolder) {
+        // Fallback: export to user's desktop (cross-platform)
+        sourceFolder = Folder.desktop.fsName;
+    }
+
+    // Subtitle language to burn in or ship next to the video
+    var subtitle = null;
+    if (settings.subtitleMode !== "none") {
+        subtitle = pickSlideshowSubtitle(getSlideshowSubtitles(sourceFolder), settings.subtitleLanguage);
+        if (!subtitle) {
+            result.warnings.push(seqInfo.sequenceName + ": no " +
+                                 (settings.subtitleLanguage ? "'" + settings.subtitleLanguage + "' " : "") +
+                                 "subtitles - exported without");
+        }
+    }
+
+    var exportSequence = sequence;
+    var exportPreset = settings.presetPath;
+    var outputName = seqInfo.sequenceName;
+    if (subtitle && settings.subtitleMode === "burn") {
+        exportSequence = getBurnInSequence(sequence, subtitle, seqInfo.projectName);
+        if (!exportSequence) {
+            result.failed++;
+            result.errors.push("Could not add " + subtitle.label + " captions to: " + seqInfo.sequenceName);
+            return false;
+        }
+        exportPreset = settings.burnPresetPath;
+        outputName += "_" + subtitle.label;
+    }
+
+    // Build output path (use platform-appropriate separator)
+    var sep = getPathSeparator();
+    var outputBase = (settings.outputFolder || sourceFolder) + sep + outputName;
+
+    // Check if file exists and add timestamp if needed
+    var outFile = new File(outputBase + ".mp4");
+    if (outFile.exists) {
+        var ts = new Date().getTime();
+        outputBase += "_" + ts;
+    }
+    var outputPath = outputBase + ".mp4";
+
+    // Queue the export
+    var jobId = app.encoder.encodeSequence(
+        exportSequence,
+        outputPath,
+        exportPreset,
+        0,  // Entire sequence
+        1   // Remove when done
+    );
+
+    if (!jobId || jobId === "0" || jobId === 0) {
+        result.failed++;
+        result.errors.push("Failed to queue: " + seqInfo.sequenceName);
+        return false;
+    }
+
+    result.exported++;
+    var job = {
+        sequenceName: seqInfo.sequenceName,
+        jobId: "" + jobId,
+        outputPath: outputPath
+    };
+
+    // Sidecar: video.en.srt is picked up by most players
+    if (subtitle && settings.subtitleMode === "sidecar") {
+        var sidecarFile = new File(subtitle.path);
+        var sidecarPath = outputBase + "." + subtitle.label + ".srt";
+        if (sidecarFile.exists && sidecarFile.copy(sidecarPath)) {
+            job.subtitlePath = sidecarPath;
+        } else {
+            result.warnings.push(seqInfo.sequenceName + ": could not copy " + subtitle.file);
+        }
+    }
+    result.jobs.push(job);
+    return true;
+}
+
 /**
  * Export all slideshows created by this extension
  * Each sequence is exported to its original source folder as an MP4
+ * @param {object} options - Export options (optional, see getExportSettings)
  * @returns {string} JSON result with export status
  */
-function exportAllSlideshows() {
+function exportAllSlideshows(options) {
     var result = {
         success: false,
         exported: 0,
         failed: 0,
         total: 0,
         jobs: [],
-        errors: []
+        errors: [],
+        warnings: []
     };
 
     try {
@@ -1206,72 +7393,19 @@ function exportAllSlideshows() {
             return JSON.stringify(result);
         }
 
+        var settings = getExportSettings(options);
+        if (settings.error) {
+            result.error = settings.error;
+            return JSON.stringify(result);
+        }
+
         // Launch AME
         app.encoder.launchEncoder();
         $.sleep(1500); // Wait for AME to start
 
-        // Get preset path
-        var presetPath = getH264PresetPath();
-
         // Process each sequence
         for (var i = 0; i < sequences.length; i++) {
-            var seqInfo = sequences[i];
-
-            // Find the actual sequence object
-            var sequence = null;
-            for (var s = 0; s < app.project.sequences.numSequences; s++) {
-                if (app.project.sequences[s].name === seqInfo.sequenceName) {
-                    sequence = app.project.sequences[s];
-                    break;
-                }
-            }
-
-            if (!sequence) {
-                result.failed++;
-                result.errors.push("Sequence not found: " + seqInfo.sequenceName);
-                continue;
-            }
-
-            // Find source folder from manifest
-            // Search in Auto Slideshow bin for matching project and get source path
-            var sourceFolder = findSourceFolderForSequence(seqInfo.sequenceName);
-
-            if (!sourceFolder) {
-                // Fallback: export to user's desktop (cross-platform)
-                sourceFolder = Folder.desktop.fsName;
-            }
-
-            // Build output path (use platform-appropriate separator)
-            var sep = getPathSeparator();
-            var outputPath = sourceFolder + sep + seqInfo.sequenceName + ".mp4";
-
-            // Check if file exists and add timestamp if needed
-            var outFile = new File(outputPath);
-            if (outFile.exists) {
-                var ts = new Date().getTime();
-                outputPath = sourceFolder + sep + seqInfo.sequenceName + "_" + ts + ".mp4";
-            }
-
-            // Queue the export
-            var jobId = app.encoder.encodeSequence(
-                sequence,
-                outputPath,
-                presetPath,
-                0,  // Entire sequence
-                1   // Remove when done
-            );
-
-            if (jobId && jobId !== "0" && jobId !== 0) {
-                result.exported++;
-                result.jobs.push({
-                    sequenceName: seqInfo.sequenceName,
-                    jobId: "" + jobId,
-                    outputPath: outputPath
-                });
-            } else {
-                result.failed++;
-                result.errors.push("Failed to queue: " + seqInfo.sequenceName);
-            }
+            queueSlideshowExport(sequences[i], settings, result);
         }
 
         // Start the batch if we queued anything
@@ -1289,7 +7423,7 @@ function exportAllSlideshows() {
 
 /**
  * Find the source folder for a sequence by searching manifests
- * @param {string} sequenceName - Name of the sequence
+ * @param {string} sequenceName - Slideshow bin name (the folder name)
  * @returns {string|null} Source folder path or null
  */
 function findSourceFolderForSequence(sequenceName) {
@@ -1340,8 +7474,13 @@ function findSourceFolderForSequence(sequenceName) {
                         pathParts.pop(); // Remove "images"
                         var sourceFolder = pathParts.join(sep);
 
-                        // Try to read manifest to verify
+                        // Try to read manifest to verify (one level further up for
+                        // images in numbered per-voice subfolders)
                         var manifest = readSlideshowManifest(sourceFolder);
+                        if (!manifest && pathParts.length > 1) {
+                            pathParts.pop();
+                            manifest = readSlideshowManifest(pathParts.join(sep));
+                        }
                         if (manifest && manifest.sourceFolder) {
                             return manifest.sourceFolder;
                         }
@@ -1357,3 +7496,415 @@ function findSourceFolderForSequence(sequenceName) {
 
     return null;
 }
+
+// ============================================================
+// JOB FILES - Headless builds described by a JSON file
+// ============================================================
+
+/**
+ * Job file fields and the build options they set
+ * A job file is JSON:
+ *   folder   - project folder (relative to the job file or absolute)
+ *   profile  - layout profile ("" = auto-detect)
+ *   timing   - {mode, maxVariation, seed, pacing, pacingCurve, imageOrder, minImageDuration,
+ *               maxImageDuration, maxVideoDuration, tooManyImages, tooFewImages,
+ *               snapToPauses, pauseTolerance, pauses: [{start, end}]}
+ *   sequence - {mode, preset, name, width, height, frameRate, videoTracks, audioTracks}
+ *   scaling  - {mode, blurBackground, blurAmount}
+ *   transitions - {type, frames}
+ *   motion   - {preset, intensity}
+ *   overlays - {enabled}
+ *   markers  - {images, chapters, youtube}
+ *   music    - {level, ducking, fadeOut}
+ *   cards    - {intro, outro, brandingFolder}
+ *   export   - {enabled, preset, outputFolder, subtitleMode, subtitleLanguage}
+ * Left-out fields keep the panel defaults.
+ */
+var JOB_OPTION_FIELDS = {
+    timing: {
+        mode: "timingMode",
+        maxVariation: "maxVariation",
+        seed: "seed",
+        pacing: "pacing",
+        pacingCurve: "pacingCurve",
+        imageOrder: "imageOrder",
+        minImageDuration: "minImageDuration",
+        maxImageDuration: "maxImageDuration",
+        maxVideoDuration: "maxVideoDuration",
+        tooManyImages: "tooManyImages",
+        tooFewImages: "tooFewImages",
+        snapToPauses: "snapToPauses",
+        pauseTolerance: "pauseTolerance",
+        pauses: "pauses"
+    },
+    sequence: {
+        mode: "sequenceMode",
+        preset: "sequencePreset",
+        name: "sequenceName",
+        width: "sequenceWidth",
+        height: "sequenceHeight",
+        frameRate: "frameRate",
+        videoTracks: "sequenceVideoTracks",
+        audioTracks: "sequenceAudioTracks"
+    },
+    scaling: {
+        mode: "scaling",
+        blurBackground: "blurBackground",
+        blurAmount: "blurAmount"
+    },
+    transitions: {
+        type: "transition",
+        frames: "transitionFrames"
+    },
+    motion: {
+        preset: "kenBurns",
+        intensity: "kenBurnsIntensity"
+    },
+    overlays: {
+        enabled: "overlays"
+    },
+    markers: {
+        images: "imageMarkers",
+        chapters: "chapterSource",
+        youtube: "youtubeChapters"
+    },
+    music: {
+        level: "musicLevel",
+        ducking: "musicDucking",
+        fadeOut: "musicFadeOut"
+    },
+    cards: {
+        intro: "introDuration",
+        outro: "outroDuration",
+        brandingFolder: "brandingFolder"
+    }
+};
+
+/** Export fields of a job file (passed to getExportSettings) */
+var JOB_EXPORT_FIELDS = ["enabled", "preset", "outputFolder", "subtitleMode", "subtitleLanguage"];
+
+/** Build options holding paths, resolved against the job file's folder */
+var JOB_PATH_OPTIONS = ["sequencePreset", "brandingFolder"];
+
+/**
+ * Resolve a path from a job file
+ * @param {string} path - Absolute path or path relative to the job file
+ * @param {string} baseFolder - Folder holding the job file
+ * @returns {string} Absolute path ("" for an empty path)
+ */
+function resolveJobPath(path, baseFolder) {
+    path = trimString(String(path || ""));
+    if (!path) return "";
+    if (/^([\/~]|[A-Za-z]:[\\\/]|\\\\)/.test(path)) {
+        return new File(path).fsName;
+    }
+    return new File(baseFolder + "/" + path).fsName;
+}
+
+/**
+ * Turn the sections of a job file into build options
+ * @param {object} job - Parsed job file
+ * @param {string} baseFolder - Folder holding the job file
+ * @param {string[]} warnings - Receives unknown fields
+ * @returns {object} Build options for createSlideshow
+ */
+function getJobBuildOptions(job, baseFolder, warnings) {
+    var options = {
+        profile: typeof job.profile === "string" ? job.profile : ""
+    };
+
+    for (var section in job) {
+        if (!job.hasOwnProperty(section)) continue;
+        if (section === "folder" || section === "profile" || section === "export") continue;
+        var fields = JOB_OPTION_FIELDS.hasOwnProperty(section) ? JOB_OPTION_FIELDS[section] : null;
+        if (!fields) {
+            warnings.push("Unknown job field '" + section + "' ignored");
+            continue;
+        }
+        var values = job[section];
+        if (!values || typeof values !== "object") {
+            warnings.push("Job field '" + section + "' should be an object - ignored");
+            continue;
+        }
+        for (var field in values) {
+            if (!values.hasOwnProperty(field)) continue;
+            if (fields.hasOwnProperty(field)) {
+                options[fields[field]] = values[field];
+            } else {
+                warnings.push("Unknown job field '" + section + "." + field + "' ignored");
+            }
+        }
+    }
+
+    for (var p = 0; p < JOB_PATH_OPTIONS.length; p++) {
+        if (typeof options[JOB_PATH_OPTIONS[p]] === "string") {
+            options[JOB_PATH_OPTIONS[p]] = resolveJobPath(options[JOB_PATH_OPTIONS[p]], baseFolder);
+        }
+    }
+    return options;
+}
+
+/**
+ * Get the export options of a job file
+ * Exports run when the job has an "export" section not turned off with "enabled": false.
+ * @param {object} job - Parsed job file
+ * @param {string} baseFolder - Folder holding the job file
+ * @param {string[]} warnings - Receives unknown fields
+ * @returns {object|null} Export options for getExportSettings, or null for no export
+ */
+function getJobExportOptions(job, baseFolder, warnings) {
+    var values = job["export"];
+    if (!values || typeof values !== "object" || values.enabled === false) {
+        return null;
+    }
+    for (var field in values) {
+        if (values.hasOwnProperty(field) && !arrayContains(JOB_EXPORT_FIELDS, field)) {
+            warnings.push("Unknown job field 'export." + field + "' ignored");
+        }
+    }
+    return {
+        preset: resolveJobPath(values.preset, baseFolder),
+        outputFolder: resolveJobPath(values.outputFolder, baseFolder),
+        subtitleMode: values.subtitleMode,
+        subtitleLanguage: values.subtitleLanguage
+    };
+}
+
+/**
+ * Get the path of a job's result file
+ * The result sits next to the project folder as <folder>.slideshow-result.json,
+ * or next to the job file when the folder is unknown.
+ * @param {File} jobFile - Job file
+ * @param {string} folderPath - Project folder ("" if unknown)
+ * @returns {string} Result file path
+ */
+function getJobResultPath(jobFile, folderPath) {
+    if (folderPath) {
+        var folder = new Folder(folderPath);
+        if (folder.parent) {
+            return folder.parent.fsName + "/" + folder.name + ".slideshow-result.json";
+        }
+    }
+    return jobFile.parent.fsName + "/" + jobFile.name.replace(/\.json$/i, "") + ".slideshow-result.json";
+}
+
+/**
+ * Write a job's result file
+ * @param {string} resultPath - Result file path
+ * @param {object} result - Job result
+ * @returns {boolean} True if written
+ */
+function writeJobResult(resultPath, result) {
+    try {
+        var file = new File(resultPath);
+        file.encoding = "UTF-8";
+        if (!file.open("w")) return false;
+        file.write(manifestValueToJson(result, "") + "\n");
+        file.close();
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Format a date for job results (YYYY-MM-DDTHH:MM:SS, local time)
+ * @param {Date} date - Date
+ * @returns {string} Timestamp
+ */
+function formatJobTimestamp(date) {
+    return date.getFullYear() + "-" +
+           padZeroManifest(date.getMonth() + 1) + "-" +
+           padZeroManifest(date.getDate()) + "T" +
+           padZeroManifest(date.getHours()) + ":" +
+           padZeroManifest(date.getMinutes()) + ":" +
+           padZeroManifest(date.getSeconds());
+}
+
+/**
+ * Run one job file: build the slideshow and queue its export
+ * Uses the same code paths as the panel's Create Slideshow and Export All.
+ * The voice pauses cannot be detected here; snapping uses the job's "pauses".
+ * @param {File} jobFile - Job file
+ * @returns {object} Job result (also written to the result file)
+ */
+function runJobFile(jobFile) {
+    var result = {
+        version: 1,
+        job: jobFile.fsName,
+        folder: "",
+        success: false,
+        startedAt: formatJobTimestamp(new Date()),
+        finishedAt: "",
+        sequenceName: "",
+        sequenceId: "",
+        build: null,
+        "export": null,
+        warnings: [],
+        error: null
+    };
+
+    try {
+        var content = readTextFile(jobFile.fsName);
+        var job = null;
+        if (content === null) {
+            result.error = "Could not read the job file";
+        } else {
+            try {
+                job = JSON.parse(content);
+            } catch (e) {
+                result.error = "Invalid JSON (" + e.toString() + ")";
+            }
+        }
+        if (job && (typeof job !== "object" || typeof job.folder !== "string" || !trimString(job.folder))) {
+            result.error = "The job has no \"folder\"";
+            job = null;
+        }
+
+        if (job) {
+            var baseFolder = jobFile.parent.fsName;
+            result.folder = resolveJobPath(job.folder, baseFolder);
+            var options = getJobBuildOptions(job, baseFolder, result.warnings);
+            var exportOptions = getJobExportOptions(job, baseFolder, result.warnings);
+
+            if (!new Folder(result.folder).exists) {
+                result.error = "Folder not found: " + result.folder;
+            } else {
+                options = normalizeBuildOptions(options);
+                result.build = JSON.parse(createSlideshow(result.folder, options.maxVariation, options.frameRate, options));
+                if (!result.build.success) {
+                    result.error = result.build.error;
+                } else {
+                    result.sequenceName = result.build.sequenceName;
+                    result.sequenceId = result.build.sequenceId;
+                    if (exportOptions) {
+                        result["export"] = queueJobExport(result, exportOptions);
+                        if (result["export"].error) {
+                            result.error = result["export"].error;
+                        }
+                    }
+                    result.success = !result.error;
+                }
+            }
+        }
+    } catch (e) {
+        result.error = e.toString();
+    }
+
+    result.finishedAt = formatJobTimestamp(new Date());
+    result.resultPath = getJobResultPath(jobFile, result.folder);
+    if (!writeJobResult(result.resultPath, result)) {
+        result.warnings.push("Could not write the result file " + result.resultPath);
+    }
+    return result;
+}
+
+/**
+ * Queue the export of a job's slideshow in Adobe Media Encoder
+ * @param {object} job - Job result with folder, sequenceName and sequenceId
+ * @param {object} exportOptions - Options from getJobExportOptions
+ * @returns {object} Export result {exported, failed, jobs, errors, warnings, error}
+ */
+function queueJobExport(job, exportOptions) {
+    var result = {
+        exported: 0,
+        failed: 0,
+        jobs: [],
+        errors: [],
+        warnings: [],
+        error: null
+    };
+
+    var settings = getExportSettings(exportOptions);
+    if (settings.error) {
+        result.error = settings.error;
+        return result;
+    }
+
+    app.encoder.launchEncoder();
+    $.sleep(1500); // Wait for AME to start
+
+    queueSlideshowExport({
+        sequenceName: job.sequenceName,
+        sequenceId: job.sequenceId,
+        projectName: getFolderName(job.folder),
+        sourceFolder: job.folder
+    }, settings, result);
+
+    if (result.exported > 0) {
+        app.encoder.startBatch();
+    } else {
+        result.error = result.errors.length > 0 ? result.errors[0] : "Export was not queued";
+    }
+    return result;
+}
+
+/**
+ * Run a job file, or every job file (*.json) in a folder
+ * Result files of earlier runs are skipped.
+ * @param {string} path - Job file or folder of job files
+ * @returns {string} JSON summary {success, total, succeeded, failed,
+ *   jobs: [{job, folder, success, sequenceName, voiceDuration, imageCount, exported, resultPath, warnings, error}]}
+ */
+function runSlideshowJobs(path) {
+    var result = {
+        success: false,
+        total: 0,
+        succeeded: 0,
+        failed: 0,
+        jobs: [],
+        error: null
+    };
+
+    try {
+        var jobFiles = [];
+        // File() gives a Folder object for an existing folder
+        var entry = new File(path);
+        if (entry instanceof Folder) {
+            var entries = entry.getFiles("*.json");
+            for (var i = 0; i < entries.length; i++) {
+                if (entries[i] instanceof File && !/\.slideshow-result\.json$/i.test(entries[i].name)) {
+                    jobFiles.push(entries[i]);
+                }
+            }
+            jobFiles.sort(naturalSort);
+            if (jobFiles.length === 0) {
+                result.error = "No job files (*.json) found in " + entry.name;
+                return JSON.stringify(result);
+            }
+        } else if (entry.exists) {
+            jobFiles.push(entry);
+        } else {
+            result.error = "Job file not found: " + path;
+            return JSON.stringify(result);
+        }
+
+        result.total = jobFiles.length;
+        for (var j = 0; j < jobFiles.length; j++) {
+            var job = runJobFile(jobFiles[j]);
+            if (job.success) {
+                result.succeeded++;
+            } else {
+                result.failed++;
+            }
+            result.jobs.push({
+                job: job.job,
+                folder: job.folder,
+                success: job.success,
+                sequenceName: job.sequenceName,
+                voiceDuration: job.build ? job.build.voiceDuration : 0,
+                imageCount: job.build ? job.build.imageCount : 0,
+                exported: job["export"] ? job["export"].exported > 0 : false,
+                resultPath: job.resultPath,
+                warnings: job.warnings,
+                error: job.error
+            });
+        }
+        result.success = result.succeeded > 0;
+    } catch (e) {
+        result.error = e.toString();
+    }
+
+    return JSON.stringify(result);
+}
+